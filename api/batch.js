@@ -0,0 +1,187 @@
+/**
+ * Batch Try-On API - POST /api/batch (JSON)
+ * One model photo against many garments. The photos are sent first, one by one, to
+ * POST /api/uploads - a batch is far larger than one request body may be - and the
+ * batch refers to them by upload id:
+ *   { userImage: "upl_...", items: [{ image: "upl_...", swapType }], instruction }
+ * Each garment becomes its own job, generated in an invocation of its own, at most
+ * BATCH_CONCURRENCY (4) at once (see lib/batch.js); progress is read from
+ * GET /api/batches/:id. BATCH_MAX_ITEMS (30) caps the garments per batch.
+ */
+
+import { handleCors, getBaseUrl } from '../lib/http.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+import { authenticateRequest, callerId, checkSwapTypes, checkQuota, consumeQuota } from '../lib/api-keys.js';
+import { describeError, requestLocale, rejectionBody, localizeError } from '../lib/errors.js';
+import { createLogger } from '../lib/logger.js';
+import { tryOnRequests } from '../lib/metrics.js';
+import { createJob } from '../lib/jobs.js';
+import { resolveProvider } from '../lib/providers/index.js';
+import { screenTryOnInputs } from '../lib/screening.js';
+import { recordFailure, resolvePrompt } from '../lib/tryon.js';
+import { createRequestId } from '../lib/results.js';
+import { requireUpload } from '../lib/uploads.js';
+import { BATCH_CONCURRENCY, startBatchRuns } from '../lib/batch.js';
+
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS || 30);
+
+// One round of BATCH_CONCURRENCY items takes at most an invocation's maxDuration, plus the hand-over
+const BATCH_ROUND_TIME = 320 * 1000;
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res)) return;
+
+    const provider = resolveProvider('batch', 'gemini');
+    const locale = requestLocale(req);
+    const fail = (statusCode, body) => res.status(statusCode).json(localizeError(body, locale));
+
+    // Check provider credentials
+    if (!provider.isConfigured()) {
+        createLogger({ route: 'batch', provider: provider.name }).error('Missing API configuration for provider');
+        return fail(500, {
+            error: 'Server configuration error',
+            message: 'Missing API configuration. Please contact support.',
+            code: 'server_misconfigured'
+        });
+    }
+
+    const requestId = createRequestId();
+    let log = createLogger({ requestId, route: 'batch', provider: provider.name });
+    log.info('Request started', { stage: 'start' });
+
+    // API key, origin and quota - checked before any upload is read
+    const auth = await authenticateRequest(req);
+    if (!auth.ok) {
+        log.warn('Request rejected', { stage: 'auth', reason: auth.error });
+        return fail(auth.statusCode, rejectionBody(auth));
+    }
+    const apiKey = auth.key;
+    if (apiKey) {
+        log = log.child({ keyId: apiKey.id });
+    }
+
+    const quota = await checkQuota(apiKey);
+    if (!quota.ok) {
+        return fail(quota.statusCode, rejectionBody(quota));
+    }
+
+    // Rate limiting - a batch takes one token, however many garments it holds
+    if (await enforceRateLimit(req, res, { route: 'batch', keyId: apiKey?.id, limit: apiKey?.rateLimit, widget: auth.widget })) return;
+
+    try {
+        const { userImage: userUpload, items: requested, instruction } = req.body || {};
+
+        if (!userUpload || !Array.isArray(requested) || requested.length === 0) {
+            return fail(400, {
+                error: 'A user image and at least one clothing image are required',
+                code: 'missing_images'
+            });
+        }
+
+        if (requested.length > BATCH_MAX_ITEMS) {
+            return fail(400, {
+                error: 'Too many garments',
+                message: `A batch accepts at most ${BATCH_MAX_ITEMS} garments.`,
+                code: 'too_many_garments',
+                params: { max: BATCH_MAX_ITEMS }
+            });
+        }
+
+        // Every garment is a generation, so the whole batch must fit in the quota
+        const itemSwapTypes = requested.map(item => item?.swapType || provider.defaultSwapType);
+        const allowed = checkSwapTypes(apiKey, itemSwapTypes);
+        const prompted = allowed.ok ? resolvePrompt(provider, requestId, itemSwapTypes, instruction) : allowed;
+        const batchQuota = prompted.ok ? await checkQuota(apiKey, requested.length) : prompted;
+        if (!batchQuota.ok) {
+            return fail(batchQuota.statusCode, rejectionBody(batchQuota));
+        }
+
+        // Only the caller's own uploads, all still there - one missing rejects the whole batch
+        const owner = callerId(req, auth);
+        const userImage = await requireUpload(userUpload, { owner });
+        const images = [];
+        for (const item of requested) {
+            images.push(await requireUpload(item?.image, { owner }));
+        }
+
+        // Every item is screened like a single request, in one look at the whole batch
+        const screening = await screenTryOnInputs({
+            route: 'batch',
+            requestId,
+            userImage,
+            garments: images.map((image, index) => ({ image, swapType: itemSwapTypes[index] }))
+        }, log);
+        if (!screening.ok) {
+            return fail(screening.statusCode, rejectionBody(screening));
+        }
+
+        const consumed = await consumeQuota(apiKey, images.length);
+        if (!consumed.ok) {
+            return fail(consumed.statusCode, rejectionBody(consumed));
+        }
+
+        // Items wait for the rounds ahead of them before they are given up as lost
+        const maxWait = Math.ceil(requested.length / BATCH_CONCURRENCY) * BATCH_ROUND_TIME;
+        const baseUrl = getBaseUrl(req);
+        const items = [];
+        for (const [index, item] of requested.entries()) {
+            const swapType = itemSwapTypes[index];
+            const job = await createJob({
+                route: 'batch',
+                requestId: `${requestId}-${index + 1}`,
+                data: {
+                    provider: provider.name,
+                    swapTypes: [swapType],
+                    promptVersion: prompted.prompt?.version || null,
+                    keyId: apiKey?.id || null,
+                    allowedSwapTypes: apiKey?.allowedSwapTypes || null,
+                    owner,
+                    baseUrl,
+                    maxWait
+                }
+            });
+            items.push({ index, jobId: job.id, swapType, upload: item.image });
+        }
+
+        const batch = await createJob({
+            route: 'batch',
+            requestId,
+            data: {
+                provider: provider.name,
+                keyId: apiKey?.id || null,
+                userImage: userUpload,
+                prompt: prompted.prompt,
+                baseUrl,
+                items
+            }
+        });
+        for (const item of items) {
+            tryOnRequests.inc({ route: 'batch', swap_type: item.swapType });
+        }
+        log.info('Batch queued', { stage: 'queue', batchId: batch.id, items: items.length });
+
+        await startBatchRuns(batch, Math.min(BATCH_CONCURRENCY, items.length), log.child({ batchId: batch.id }));
+
+        return res.status(202).json({
+            success: true,
+            batchId: batch.id,
+            status: batch.status,
+            statusUrl: `/api/batches/${batch.id}`,
+            items: items.map(({ index, jobId, swapType }) => ({ index, jobId, swapType })),
+            requestId: requestId
+        });
+
+    } catch (error) {
+        const described = describeError(error);
+        const { statusCode, message, code } = described;
+        recordFailure('batch', described);
+        log.error('Request failed', { stage: 'request', category: described.category, code: described.code, error: error.message });
+
+        return fail(statusCode, {
+            error: 'Failed to start batch',
+            message: message,
+            code: code,
+            requestId: requestId
+        });
+    }
+}
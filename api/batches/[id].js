@@ -0,0 +1,42 @@
+/**
+ * Batch status endpoint - GET /api/batches/:id
+ * Reports overall progress and the status (and result) of every item; item errors
+ * are in the caller's language (Accept-Language), like GET /api/jobs/:id.
+ */
+
+import { getJob, isValidJobId } from '../../lib/jobs.js';
+import { handleCors } from '../../lib/http.js';
+import { requestLocale, localizeError } from '../../lib/errors.js';
+import { loadBatchStatus } from '../../lib/batch.js';
+import { createLogger } from '../../lib/logger.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['GET'])) return;
+
+    const locale = requestLocale(req);
+
+    const batchId = Array.isArray(req.query.id) ? req.query.id[0] : req.query.id;
+    if (!isValidJobId(batchId)) {
+        return res.status(400).json(localizeError({ error: 'Invalid batch ID', code: 'invalid_job_id' }, locale));
+    }
+
+    try {
+        const batch = await getJob(batchId);
+        if (!batch || !Array.isArray(batch.data?.items)) {
+            return res.status(404).json(localizeError({ error: 'Batch not found', code: 'job_not_found' }, locale));
+        }
+
+        // Polling clients must always see the latest state
+        res.setHeader('Cache-Control', 'no-store');
+        const status = await loadBatchStatus(batch);
+        return res.status(200).json({ ...status, items: status.items.map(item => localizeError(item, locale)) });
+
+    } catch (error) {
+        createLogger({ route: 'batches', batchId }).error('Batch status error', { error: error.message });
+        return res.status(500).json(localizeError({
+            error: 'Failed to read batch status',
+            message: 'An error occurred while checking the batch. Please try again.',
+            code: 'job_status_failed'
+        }, locale));
+    }
+}
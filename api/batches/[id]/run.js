@@ -0,0 +1,51 @@
+/**
+ * Batch item run - POST /api/batches/:id/run?expires=...&sig=...
+ * Called by the deployment itself (see startBatchRuns) through a signed link: takes the
+ * next queued item of the batch and generates it in the background work of this
+ * invocation, then starts the run for the item after it. Answers 202 once an item is
+ * taken, 200 when the batch has nothing left to start.
+ */
+
+import { waitUntil } from '@vercel/functions';
+import { getJob, isValidJobId } from '../../../lib/jobs.js';
+import { handleCors } from '../../../lib/http.js';
+import { verifySignedUrl } from '../../../lib/signed-urls.js';
+import { takeBatchItem, runBatchItem, startBatchRuns, finishBatch } from '../../../lib/batch.js';
+import { createLogger } from '../../../lib/logger.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['POST'])) return;
+
+    const batchId = Array.isArray(req.query.id) ? req.query.id[0] : req.query.id;
+    if (!isValidJobId(batchId)) {
+        return res.status(400).json({ error: 'Invalid batch ID' });
+    }
+
+    const signature = verifySignedUrl(`/api/batches/${batchId}/run`, req.query);
+    if (signature !== 'valid') {
+        return res.status(signature === 'expired' ? 410 : 403).json({ error: 'Invalid link' });
+    }
+
+    const log = createLogger({ route: 'batch', batchId });
+
+    try {
+        const batch = await getJob(batchId);
+        if (!batch || !Array.isArray(batch.data?.items)) {
+            return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        const taken = await takeBatchItem(batch);
+        if (!taken) {
+            await finishBatch(batch);
+            return res.status(200).json({ started: false });
+        }
+
+        log.info('Batch item started', { stage: 'queue', jobId: taken.job.id });
+        waitUntil(runBatchItem(batch, taken, log).then(() => startBatchRuns(batch, 1, log)));
+        return res.status(202).json({ started: true, jobId: taken.job.id });
+
+    } catch (error) {
+        log.error('Batch run failed', { error: error.message });
+        return res.status(500).json({ error: 'Failed to run batch' });
+    }
+}
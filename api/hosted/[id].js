@@ -0,0 +1,49 @@
+/**
+ * Hosted image endpoint - GET /api/hosted/:id?expires=...&sig=...
+ * Serves a request's input photo to the provider downloading it (see lib/image-host.js)
+ * while its signed link is valid and the job still needs it.
+ */
+
+import { handleCors } from '../../lib/http.js';
+import { isValidHostedImageId, loadHostedImage } from '../../lib/image-host.js';
+import { verifySignedUrl } from '../../lib/signed-urls.js';
+import { createLogger } from '../../lib/logger.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['GET'])) return;
+
+    const imageId = Array.isArray(req.query.id) ? req.query.id[0] : req.query.id;
+    if (!isValidHostedImageId(imageId)) {
+        return res.status(400).json({ error: 'Invalid image ID' });
+    }
+
+    const signature = verifySignedUrl(`/api/hosted/${imageId}`, req.query);
+    if (signature === 'expired') {
+        return res.status(410).json({ error: 'Link expired', message: 'This image link has expired.' });
+    }
+    if (signature !== 'valid') {
+        return res.status(403).json({ error: 'Invalid link', message: 'This image link is not valid.' });
+    }
+
+    try {
+        const image = await loadHostedImage(imageId);
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        res.setHeader('Content-Type', image.contentType);
+        res.setHeader('Content-Length', image.buffer.length);
+        // Customer photos - never kept by caches on the way
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.setHeader('Content-Security-Policy', "default-src 'none'");
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        return res.status(200).send(image.buffer);
+
+    } catch (error) {
+        createLogger({ route: 'hosted', imageId }).error('Hosted image read error', { error: error.message });
+        return res.status(500).json({
+            error: 'Failed to read image',
+            message: 'An error occurred while loading the image. Please try again.'
+        });
+    }
+}
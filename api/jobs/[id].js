@@ -0,0 +1,53 @@
+/**
+ * Job status endpoint - GET /api/jobs/:id
+ * Reports queued/running/succeeded/failed and returns the result once ready.
+ * With Accept: text/event-stream (e.g. an EventSource) it streams the job's
+ * progress instead, so a client whose stream dropped can pick it up again.
+ */
+
+import { getJob, isValidJobId, isTerminal, serializeJob } from '../../lib/jobs.js';
+import { handleCors } from '../../lib/http.js';
+import { requestLocale, localizeError } from '../../lib/errors.js';
+import { refreshJob, streamJob } from '../../lib/tryon.js';
+import { wantsEventStream, openEventStream } from '../../lib/progress.js';
+import { createLogger } from '../../lib/logger.js';
+
+// Stays under the function's maxDuration in vercel.json; EventSource reconnects on its own
+const STREAM_DURATION = 55 * 1000;
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['GET'])) return;
+
+    const jobId = Array.isArray(req.query.id) ? req.query.id[0] : req.query.id;
+    const locale = requestLocale(req);
+    if (!isValidJobId(jobId)) {
+        return res.status(400).json(localizeError({ error: 'Invalid job ID', code: 'invalid_job_id' }, locale));
+    }
+
+    try {
+        let job = await getJob(jobId);
+        if (!job) {
+            return res.status(404).json(localizeError({ error: 'Job not found', code: 'job_not_found' }, locale));
+        }
+
+        if (wantsEventStream(req)) {
+            return streamJob(openEventStream(res), jobId, { maxDuration: STREAM_DURATION, locale });
+        }
+
+        if (!isTerminal(job.status)) {
+            job = await refreshJob(job);
+        }
+
+        // Polling clients must always see the latest state
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json(localizeError(serializeJob(job), locale));
+
+    } catch (error) {
+        createLogger({ route: 'jobs', jobId }).error('Job status error', { error: error.message });
+        return res.status(500).json(localizeError({
+            error: 'Failed to read job status',
+            message: 'An error occurred while checking the job. Please try again.',
+            code: 'job_status_failed'
+        }, locale));
+    }
+}
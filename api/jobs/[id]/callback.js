@@ -0,0 +1,40 @@
+/**
+ * Provider callback - POST /api/jobs/:id/callback?expires=...&sig=...
+ * A provider that finishes in the background (RunPod's `webhook`) calls the signed link
+ * it was given for the job. The body is not trusted: the link only says which job to
+ * look at, and that job is polled upstream like any status request would.
+ */
+
+import { getJob, isValidJobId, isTerminal } from '../../../lib/jobs.js';
+import { handleCors } from '../../../lib/http.js';
+import { verifySignedUrl } from '../../../lib/signed-urls.js';
+import { refreshJob } from '../../../lib/tryon.js';
+import { createLogger } from '../../../lib/logger.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['POST'])) return;
+
+    const jobId = Array.isArray(req.query.id) ? req.query.id[0] : req.query.id;
+    if (!isValidJobId(jobId)) {
+        return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const signature = verifySignedUrl(`/api/jobs/${jobId}/callback`, req.query);
+    if (signature !== 'valid') {
+        return res.status(signature === 'expired' ? 410 : 403).json({ error: 'Invalid link' });
+    }
+
+    try {
+        const job = await getJob(jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const current = isTerminal(job.status) ? job : await refreshJob(job);
+        return res.status(200).json({ received: true, status: current.status });
+
+    } catch (error) {
+        createLogger({ route: 'callback', jobId }).error('Provider callback failed', { error: error.message });
+        return res.status(500).json({ error: 'Failed to update job' });
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * Prometheus metrics - GET /api/metrics
+ * Totals across every function instance, read from the shared storage (see lib/metrics.js).
+ * Set METRICS_TOKEN to require `Authorization: Bearer <token>` from the scraper.
+ */
+
+import { handleCors, hasBearerToken } from '../lib/http.js';
+import { renderMetrics } from '../lib/metrics.js';
+import { createLogger } from '../lib/logger.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['GET'])) return;
+
+    if (process.env.METRICS_TOKEN && !hasBearerToken(req, process.env.METRICS_TOKEN)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    let body;
+    try {
+        body = await renderMetrics();
+    } catch (error) {
+        createLogger({ route: 'metrics' }).error('Metrics read error', { error: error.message });
+        return res.status(500).json({ error: 'Failed to read metrics' });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(body);
+}
@@ -0,0 +1,167 @@
+/**
+ * Refinement API - POST /api/refine
+ * Takes the resultId of an earlier try-on (or refinement) and an instruction, and
+ * generates a new result from the conversation that produced it - see lib/refine.js.
+ * Answers 202 with the job id, or streams its progress like /api/generate.
+ */
+
+import { waitUntil } from '@vercel/functions';
+import { handleCors, parseForm, firstValue } from '../lib/http.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+import { authenticateRequest, callerId, checkQuota, consumeQuota } from '../lib/api-keys.js';
+import { describeError, requestLocale, rejectionBody, localizeError } from '../lib/errors.js';
+import { GENERATION_DEADLINE } from '../lib/upstream.js';
+import { createLogger } from '../lib/logger.js';
+import { getPromptTemplate, supportsRefine, sanitizeInstruction } from '../lib/prompts.js';
+import { createJob } from '../lib/jobs.js';
+import { describeProgress, wantsEventStream, openEventStream } from '../lib/progress.js';
+import { getProvider } from '../lib/providers/index.js';
+import { recordFailure, streamJob } from '../lib/tryon.js';
+import { REFINE_MAX_DEPTH, loadRefineContext, canRefine, runRefine } from '../lib/refine.js';
+import { createRequestId } from '../lib/results.js';
+import { resolveWatermark } from '../lib/provenance.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res)) return;
+
+    const locale = requestLocale(req);
+    const fail = (statusCode, body) => res.status(statusCode).json(localizeError(body, locale));
+    const requestId = createRequestId();
+    const deadline = Date.now() + GENERATION_DEADLINE;
+    let log = createLogger({ requestId, route: 'refine' });
+    log.info('Request started', { stage: 'start' });
+
+    // API key, origin and quota - a refinement is a generation like any other
+    const auth = await authenticateRequest(req);
+    if (!auth.ok) {
+        log.warn('Request rejected', { stage: 'auth', reason: auth.error });
+        return fail(auth.statusCode, rejectionBody(auth));
+    }
+    const apiKey = auth.key;
+    if (apiKey) {
+        log = log.child({ keyId: apiKey.id });
+    }
+
+    const quota = await checkQuota(apiKey);
+    if (!quota.ok) {
+        return fail(quota.statusCode, rejectionBody(quota));
+    }
+
+    // Rate limiting
+    if (await enforceRateLimit(req, res, { route: 'refine', keyId: apiKey?.id, limit: apiKey?.rateLimit, widget: auth.widget })) return;
+
+    // From here on a streaming client gets every answer as an event
+    const stream = wantsEventStream(req) ? openEventStream(res) : null;
+    const reply = (statusCode, body) => {
+        if (!stream) return fail(statusCode, body);
+        stream.send('error', { status: statusCode, ...localizeError(body, locale) });
+        stream.end();
+    };
+
+    try {
+        // Only text fields - nothing is uploaded
+        const { fields } = await parseForm(req, { maxFiles: 0 });
+        const resultId = String(firstValue(fields.resultId) || '').trim();
+
+        let instruction;
+        try {
+            instruction = sanitizeInstruction(firstValue(fields.instruction));
+        } catch (error) {
+            return reply(error.statusCode || 400, { error: 'Invalid instruction', message: error.message, code: error.code });
+        }
+        if (!resultId || !instruction) {
+            return reply(400, {
+                error: 'A result id and an instruction are required',
+                message: 'Send the resultId of a finished try-on and what to change, e.g. "shorter sleeves".',
+                code: 'refine_input_required'
+            });
+        }
+
+        // Results of other callers are reported as missing, not forbidden
+        const context = await loadRefineContext(resultId);
+        if (!context || !canRefine(context, callerId(req, auth))) {
+            return reply(404, {
+                error: 'Result not found',
+                message: 'This result does not exist or cannot be refined. Please start a new try-on.',
+                code: 'result_not_found'
+            });
+        }
+
+        if (context.depth >= REFINE_MAX_DEPTH) {
+            return reply(400, {
+                error: 'Too many refinements',
+                message: `A try-on can be refined at most ${REFINE_MAX_DEPTH} times. Please start a new try-on.`,
+                code: 'refine_limit',
+                params: { max: REFINE_MAX_DEPTH }
+            });
+        }
+
+        // The conversation continues on the provider and template that started it
+        const provider = getProvider(context.provider);
+        if (!provider.refine || !context.prompt || !supportsRefine(getPromptTemplate(context.prompt.version))) {
+            return reply(400, {
+                error: 'Refinement not available',
+                message: 'This result cannot be refined. Please start a new try-on.',
+                code: 'refine_unavailable'
+            });
+        }
+        if (!provider.isConfigured()) {
+            log.error('Missing API configuration for provider', { provider: provider.name });
+            return reply(500, {
+                error: 'Server configuration error',
+                message: 'Missing API configuration. Please contact support.',
+                code: 'server_misconfigured'
+            });
+        }
+        log = log.child({ provider: provider.name, parentId: context.resultId });
+
+        const consumed = await consumeQuota(apiKey);
+        if (!consumed.ok) {
+            return reply(consumed.statusCode, rejectionBody(consumed));
+        }
+
+        const watermark = resolveWatermark(apiKey);
+        const job = await createJob({
+            route: 'refine',
+            requestId,
+            data: {
+                provider: provider.name,
+                swapTypes: context.garments.map(garment => garment.swapType),
+                promptVersion: context.prompt.version,
+                parentId: context.resultId,
+                keyId: apiKey?.id || null,
+                watermark
+            }
+        });
+        log.info('Job queued', { stage: 'queue', jobId: job.id, depth: context.depth + 1, instructionLength: instruction.length });
+
+        waitUntil(runRefine(job.id, requestId, provider, { context, instruction, watermark, deadline }));
+
+        if (stream) {
+            stream.send('progress', describeProgress('queued', { jobId: job.id, statusUrl: `/api/jobs/${job.id}`, requestId }));
+            return streamJob(stream, job.id, { locale });
+        }
+
+        return res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            requestId: requestId,
+            parentId: context.resultId
+        });
+
+    } catch (error) {
+        const described = describeError(error);
+        recordFailure('refine', described);
+        log.error('Request failed', { stage: 'request', category: described.category, code: described.code, error: error.message, stack: error.stack });
+
+        return reply(described.statusCode, {
+            error: 'Failed to refine image',
+            message: described.message,
+            code: described.code,
+            requestId: requestId,
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
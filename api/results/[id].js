@@ -0,0 +1,49 @@
+/**
+ * Result endpoint - GET /api/results/:id?expires=...&sig=...
+ * Serves a stored generation to anyone holding a valid, unexpired signed link.
+ */
+
+import { handleCors } from '../../lib/http.js';
+import { isValidResultId, loadResult } from '../../lib/results.js';
+import { verifySignedUrl } from '../../lib/signed-urls.js';
+import { createLogger } from '../../lib/logger.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['GET'])) return;
+
+    const resultId = Array.isArray(req.query.id) ? req.query.id[0] : req.query.id;
+    if (!isValidResultId(resultId)) {
+        return res.status(400).json({ error: 'Invalid result ID' });
+    }
+
+    const signature = verifySignedUrl(`/api/results/${resultId}`, req.query);
+    if (signature === 'expired') {
+        return res.status(410).json({ error: 'Link expired', message: 'This result link has expired.' });
+    }
+    if (signature !== 'valid') {
+        return res.status(403).json({ error: 'Invalid link', message: 'This result link is not valid.' });
+    }
+
+    try {
+        const result = await loadResult(resultId);
+        if (!result) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+
+        const maxAge = Math.max(0, Math.floor((Number(req.query.expires) * 1000 - Date.now()) / 1000));
+        res.setHeader('Content-Type', result.contentType);
+        res.setHeader('Content-Length', result.buffer.length);
+        res.setHeader('Cache-Control', `private, max-age=${maxAge}`);
+        // Results may be SVG (stub provider) - never let them run script on our origin
+        res.setHeader('Content-Security-Policy', "default-src 'none'; img-src data:; style-src 'unsafe-inline'");
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        return res.status(200).send(result.buffer);
+
+    } catch (error) {
+        createLogger({ route: 'results', resultId }).error('Result read error', { error: error.message });
+        return res.status(500).json({
+            error: 'Failed to read result',
+            message: 'An error occurred while loading the image. Please try again.'
+        });
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * Composite endpoint - GET /api/results/:id/composite?expires=...&sig=...
+ * Renders a branded composite of a result - model photo, garment, result and logo,
+ * laid out as in lib/composite-layout.js - for anyone holding the result's signed
+ * link: expires and sig are the ones from /api/results/:id.
+ * Optional query: layout (side-by-side, grid), size (square, portrait, story,
+ * landscape) and format (jpeg, png).
+ */
+
+import { handleCors } from '../../../lib/http.js';
+import { enforceRateLimit } from '../../../lib/rate-limit.js';
+import { isValidResultId, loadUnmarkedResult } from '../../../lib/results.js';
+import { readProvenanceXmp } from '../../../lib/provenance.js';
+import { verifySignedUrl } from '../../../lib/signed-urls.js';
+import { loadRefineContext, loadContextInputs } from '../../../lib/refine.js';
+import { COMPOSITE_LAYOUTS, COMPOSITE_SIZES } from '../../../lib/composite-layout.js';
+import { COMPOSITE_FORMATS, renderComposite } from '../../../lib/composite.js';
+import { createLogger } from '../../../lib/logger.js';
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png' };
+
+function checkOption(name, value, choices) {
+    if (choices.includes(value)) return null;
+    return { error: `Invalid ${name}`, message: `Use one of: ${choices.join(', ')}.` };
+}
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['GET'])) return;
+
+    const resultId = Array.isArray(req.query.id) ? req.query.id[0] : req.query.id;
+    if (!isValidResultId(resultId)) {
+        return res.status(400).json({ error: 'Invalid result ID' });
+    }
+
+    // Same link as the result itself
+    const signature = verifySignedUrl(`/api/results/${resultId}`, req.query);
+    if (signature === 'expired') {
+        return res.status(410).json({ error: 'Link expired', message: 'This result link has expired.' });
+    }
+    if (signature !== 'valid') {
+        return res.status(403).json({ error: 'Invalid link', message: 'This result link is not valid.' });
+    }
+
+    const { layout = 'side-by-side', size = 'square', format = 'jpeg' } = req.query;
+    const invalid = checkOption('layout', layout, COMPOSITE_LAYOUTS)
+        || checkOption('size', size, Object.keys(COMPOSITE_SIZES))
+        || checkOption('format', format, Object.keys(COMPOSITE_FORMATS));
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+
+    // Rendering is real work, unlike serving a stored result
+    if (await enforceRateLimit(req, res, { route: 'composite' })) return;
+
+    const log = createLogger({ route: 'composite', resultId });
+    try {
+        const [result, context] = await Promise.all([loadUnmarkedResult(resultId), loadRefineContext(resultId)]);
+        if (!result) {
+            return res.status(404).json({ error: 'Result not found' });
+        }
+        if (!context) {
+            return res.status(404).json({
+                error: 'Composite not available',
+                message: 'The photos behind this result are not stored, so no composite can be made.'
+            });
+        }
+
+        // The first garment stands for the look when several were layered; the composite
+        // has its own logo, so it takes the unmarked result and only its provenance label
+        const { userImage, garments } = await loadContextInputs(context);
+        const rendered = log.time('render');
+        const image = await renderComposite(
+            { user: userImage.buffer, garment: garments[0].image.buffer, result: result.buffer },
+            { layout, size, format, xmp: await readProvenanceXmp(result.buffer) }
+        );
+        rendered({ layout, size, format, bytes: image.length });
+
+        const maxAge = Math.max(0, Math.floor((Number(req.query.expires) * 1000 - Date.now()) / 1000));
+        res.setHeader('Content-Type', COMPOSITE_FORMATS[format]);
+        res.setHeader('Content-Length', image.length);
+        res.setHeader('Content-Disposition', `inline; filename="cameleon-${resultId}-${layout}-${size}.${EXTENSIONS[format]}"`);
+        res.setHeader('Cache-Control', `private, max-age=${maxAge}`);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        return res.status(200).send(image);
+
+    } catch (error) {
+        log.error('Composite render error', { error: error.message });
+        return res.status(500).json({
+            error: 'Failed to render composite',
+            message: 'An error occurred while creating the image. Please try again.'
+        });
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * Anonymous session endpoint - POST /api/session
+ * Our own pages call it on load to get the session cookie that stands in for an
+ * API key under ALLOW_ANONYMOUS=same-origin (see lib/sessions.js).
+ */
+
+import { handleCors } from '../lib/http.js';
+import { anonymousAccess, isFirstPartyOrigin } from '../lib/api-keys.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+import { issueSession } from '../lib/sessions.js';
+import { requestLocale, localizeError } from '../lib/errors.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['POST'])) return;
+
+    res.setHeader('Cache-Control', 'no-store');
+    if (anonymousAccess() !== 'same-origin') {
+        return res.status(404).json({ error: 'Sessions are not enabled' });
+    }
+
+    // Only a page of ours, fetched by the browser itself, may start one
+    const origin = req.headers.origin || null;
+    const site = req.headers['sec-fetch-site'];
+    if (!origin || !isFirstPartyOrigin(req, origin) || (site && site !== 'same-origin')) {
+        return res.status(403).json(localizeError({
+            error: 'Origin not allowed',
+            message: `Requests from ${origin} are not allowed.`,
+            code: 'origin_not_allowed',
+            params: { origin }
+        }, requestLocale(req)));
+    }
+
+    if (await enforceRateLimit(req, res, { route: 'session' })) return;
+
+    const { expiresAt } = issueSession(req, res);
+    return res.status(200).json({ success: true, expiresAt });
+}
@@ -0,0 +1,63 @@
+/**
+ * Upload endpoint - POST /api/uploads (multipart, one `image`)
+ * Keeps one photo for a later request to refer to by the returned uploadId - batch.html
+ * sends the model photo and every garment this way before starting a batch
+ * (see lib/uploads.js). Same API key, session and rate limit rules as the try-on routes.
+ */
+
+import { handleCors, parseForm, firstValue } from '../lib/http.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+import { authenticateRequest, callerId } from '../lib/api-keys.js';
+import { describeError, requestLocale, rejectionBody, localizeError } from '../lib/errors.js';
+import { createLogger } from '../lib/logger.js';
+import { readUpload, removeUploads } from '../lib/tryon.js';
+import { saveUpload, pruneUploads } from '../lib/uploads.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res)) return;
+
+    const locale = requestLocale(req);
+    const fail = (statusCode, body) => res.status(statusCode).json(localizeError(body, locale));
+    let log = createLogger({ route: 'upload' });
+
+    const auth = await authenticateRequest(req);
+    if (!auth.ok) {
+        log.warn('Request rejected', { stage: 'auth', reason: auth.error });
+        return fail(auth.statusCode, rejectionBody(auth));
+    }
+    if (auth.key) {
+        log = log.child({ keyId: auth.key.id });
+    }
+
+    if (await enforceRateLimit(req, res, { route: 'upload', keyId: auth.key?.id, limit: auth.key?.rateLimit, widget: auth.widget })) return;
+
+    try {
+        const { files } = await parseForm(req, { maxFiles: 1 });
+        const file = firstValue(files.image);
+        if (!file) {
+            return fail(400, { error: 'An image is required', code: 'missing_image' });
+        }
+
+        let image;
+        try {
+            image = await readUpload(file, 'image');
+        } finally {
+            removeUploads([file], log);
+        }
+
+        const upload = await saveUpload(image, { owner: callerId(req, auth) });
+        log.info('Image uploaded', { stage: 'upload', uploadId: upload.id });
+        return res.status(201).json({ success: true, uploadId: upload.id, expiresAt: upload.expiresAt });
+
+    } catch (error) {
+        const described = describeError(error);
+        log.error('Upload failed', { stage: 'upload', category: described.category, code: described.code, error: error.message });
+        return fail(described.statusCode, {
+            error: 'Failed to upload image',
+            message: described.message,
+            code: described.code
+        });
+    } finally {
+        pruneUploads().catch(() => {});
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Failed webhook deliveries - admin only (Authorization: Bearer $ADMIN_TOKEN)
+ * GET  /api/webhooks/deliveries                 lists deliveries not delivered yet - status "failed"
+ *                                               once out of retries, "sending" while (or if cut short while) in flight
+ * POST /api/webhooks/deliveries { "id": "..." } replays one ({ "all": true } replays every one)
+ */
+
+import { handleCors, hasBearerToken } from '../../lib/http.js';
+import { listFailedDeliveries, replayDelivery, isValidDeliveryId } from '../../lib/webhooks.js';
+import { createLogger } from '../../lib/logger.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['GET', 'POST'])) return;
+
+    if (!hasBearerToken(req, process.env.ADMIN_TOKEN)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const deliveries = await listFailedDeliveries();
+            return res.status(200).json({
+                success: true,
+                deliveries: deliveries.map(({ body, ...delivery }) => delivery)
+            });
+        }
+
+        const { id, all } = req.body || {};
+        const ids = all
+            ? (await listFailedDeliveries()).map(delivery => delivery.id)
+            : [id];
+
+        if (!all && !isValidDeliveryId(id)) {
+            return res.status(400).json({ error: 'Invalid delivery ID' });
+        }
+
+        const results = [];
+        for (const deliveryId of ids) {
+            const delivered = await replayDelivery(deliveryId);
+            results.push({ id: deliveryId, delivered: delivered === true, found: delivered !== null });
+        }
+
+        if (!all && !results[0].found) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        return res.status(200).json({ success: true, results });
+
+    } catch (error) {
+        createLogger({ route: 'webhooks' }).error('Webhook delivery admin error', { error: error.message });
+        return res.status(500).json({
+            error: 'Failed to process deliveries',
+            message: 'An error occurred while reading or replaying deliveries.'
+        });
+    }
+}
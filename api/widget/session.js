@@ -0,0 +1,59 @@
+/**
+ * Widget session endpoint
+ * POST /api/widget/session { key } - widget.js asks for a session from the partner's page.
+ * The publishable key (the key id) must list the page's origin, as the browser reports it;
+ * the token returned travels to widget.html and stands in for the key (see lib/sessions.js).
+ * GET /api/widget/session - widget.html checks its token (X-Widget-Token) and learns the
+ * origin it was issued to, the only one it sends its events to.
+ */
+
+import { handleCors } from '../../lib/http.js';
+import { findWidgetKey, isWidgetOrigin } from '../../lib/api-keys.js';
+import { enforceRateLimit } from '../../lib/rate-limit.js';
+import { issueWidgetSession, readWidgetSession } from '../../lib/sessions.js';
+import { requestLocale, localizeError } from '../../lib/errors.js';
+
+export default async function handler(req, res) {
+    if (await handleCors(req, res, ['GET', 'POST'])) return;
+
+    res.setHeader('Cache-Control', 'no-store');
+    const locale = requestLocale(req);
+    const fail = (statusCode, body) => res.status(statusCode).json(localizeError(body, locale));
+
+    if (req.method === 'GET') {
+        const session = readWidgetSession(req);
+        const record = session && await findWidgetKey(session.keyId);
+        if (!isWidgetOrigin(record, session?.origin)) {
+            return fail(401, {
+                error: 'Widget session expired',
+                message: 'The try-on session has expired. Please close and reopen it.',
+                code: 'widget_session_expired'
+            });
+        }
+        return res.status(200).json({ success: true, origin: session.origin });
+    }
+
+    if (await enforceRateLimit(req, res, { route: 'widget' })) return;
+
+    const record = await findWidgetKey(req.body?.key);
+    if (!record) {
+        return fail(401, { error: 'Invalid API key', message: 'The API key is not recognised.', code: 'api_key_invalid' });
+    }
+    if (!record.enabled) {
+        return fail(403, { error: 'API key disabled', message: 'This API key has been disabled.', code: 'api_key_disabled' });
+    }
+
+    // Set by the browser itself - a page cannot claim another site's origin
+    const origin = req.headers.origin || null;
+    if (!isWidgetOrigin(record, origin)) {
+        return fail(403, {
+            error: 'Origin not allowed',
+            message: `Requests from ${origin} are not allowed for this API key.`,
+            code: 'origin_not_allowed',
+            params: { origin }
+        });
+    }
+
+    const { token, expiresAt } = issueWidgetSession(record.id, origin);
+    return res.status(200).json({ success: true, token, expiresAt });
+}
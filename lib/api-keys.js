@@ -0,0 +1,470 @@
+/**
+ * Partner API keys
+ * Keys look like cam_<id>_<secret>; only a SHA-256 hash of the full key is stored.
+ * Each key carries its allowed origins, daily/monthly quotas, allowed swap types,
+ * an optional rate limit, the most variants it may ask for per request, whether its
+ * results are watermarked (null follows RESULT_WATERMARK), an enabled flag and the
+ * secret its webhooks are signed with (sealed, see openWebhookSecret).
+ *
+ * Records live in the shared storage (lib/storage.js), never in the deployed files,
+ * which are served as they are; API_KEYS_DIR keeps them in a local directory instead
+ * (git- and deploy-ignored under config/api-keys). Manage them with `npm run keys`.
+ *
+ * Requests without a key are served by ALLOW_ANONYMOUS: "same-origin" (the default)
+ * serves our own pages through a session cookie, "none" refuses them all - for an
+ * API-only deployment - and "all" serves anyone (local testing).
+ *
+ * A key's id is also its publishable widget key: widget.js on a page of one of the
+ * origins the key lists by name (never "*") gets a widget session billed to the key.
+ */
+
+import crypto from 'crypto';
+import { LocalStorage } from './storage.js';
+import { MemoryRecordStore, StorageRecordStore } from './record-store.js';
+import { getRateLimitStore, getClientIp } from './rate-limit.js';
+import { readSession, hasWidgetToken, readWidgetSession } from './sessions.js';
+
+// Origins are read on every preflight, so keep the key list around briefly
+const KEY_CACHE_TTL = 60 * 1000;
+
+const KEY_PATTERN = /^cam_([a-f0-9]{12})_([A-Za-z0-9_-]{32,})$/;
+const KEY_ID_PATTERN = /^[a-f0-9]{12}$/;
+
+// Candidate images per request for anonymous callers and keys without their own limit
+const DEFAULT_MAX_VARIANTS = Number(process.env.MAX_VARIANTS || 4);
+
+const SEALED_PREFIX = 'sealed:';
+
+function createDefaultStore() {
+    if (process.env.API_KEYS_STORE === 'memory') {
+        return new MemoryRecordStore();
+    }
+    if (process.env.API_KEYS_DIR) {
+        return new StorageRecordStore({ prefix: 'api-keys', storage: new LocalStorage(process.env.API_KEYS_DIR) });
+    }
+    return new StorageRecordStore({ prefix: 'api-keys' });
+}
+
+let store = null;
+let cachedKeys = null;
+
+export function getApiKeyStore() {
+    if (!store) {
+        store = createDefaultStore();
+    }
+    return store;
+}
+
+/**
+ * Swap the backing store (any record store - see lib/record-store.js)
+ */
+export function setApiKeyStore(customStore) {
+    store = customStore;
+    cachedKeys = null;
+}
+
+// Webhook secrets are sealed with AES-256-GCM under a key derived from API_KEYS_SECRET
+// (else URL_SIGNING_SECRET); without either - local development - they stay readable
+function sealingKey() {
+    const secret = process.env.API_KEYS_SECRET || process.env.URL_SIGNING_SECRET;
+    return secret ? crypto.createHash('sha256').update(`webhook-secrets:${secret}`).digest() : null;
+}
+
+function sealSecret(value) {
+    const key = sealingKey();
+    if (!key) return value;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const sealed = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return `${SEALED_PREFIX}${[iv, cipher.getAuthTag(), sealed].map(part => part.toString('base64url')).join('.')}`;
+}
+
+/**
+ * A key's webhook signing secret in clear, or null when it has none or it cannot be unsealed
+ */
+export function openWebhookSecret(record) {
+    const value = record?.webhookSecret;
+    if (!value || !value.startsWith(SEALED_PREFIX)) return value || null;
+
+    const key = sealingKey();
+    if (!key) return null;
+    try {
+        const [iv, tag, sealed] = value.slice(SEALED_PREFIX.length).split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(sealed), decipher.final()]).toString('utf8');
+    } catch {
+        return null;
+    }
+}
+
+async function listKeysCached(now = Date.now()) {
+    if (!cachedKeys || now - cachedKeys.loadedAt > KEY_CACHE_TTL) {
+        cachedKeys = { keys: await getApiKeyStore().list(), loadedAt: now };
+    }
+    return cachedKeys.keys;
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function createWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Issue a new key - the plain key and webhook secret are returned once
+ */
+export async function createApiKey({ name, allowedOrigins = [], allowedSwapTypes = [], quotas = {}, rateLimit = null, maxVariants = null, watermark = null }) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `cam_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const webhookSecret = createWebhookSecret();
+
+    const record = {
+        id,
+        name,
+        hash: hashKey(key),
+        allowedOrigins,
+        allowedSwapTypes,
+        quotas: { daily: quotas.daily || null, monthly: quotas.monthly || null },
+        rateLimit,
+        maxVariants,
+        watermark,
+        webhookSecret: sealSecret(webhookSecret),
+        enabled: true,
+        createdAt: new Date().toISOString()
+    };
+    await getApiKeyStore().set(id, record);
+    cachedKeys = null;
+
+    return { key, record, webhookSecret };
+}
+
+export async function updateApiKey(id, patch) {
+    const record = await getApiKeyStore().get(id);
+    if (!record) return null;
+
+    const updated = { ...record, ...patch, id: record.id, hash: record.hash };
+    await getApiKeyStore().set(id, updated);
+    cachedKeys = null;
+    return updated;
+}
+
+/**
+ * Replace a key's webhook secret - returns the new secret
+ */
+export async function rotateWebhookSecret(id) {
+    const webhookSecret = createWebhookSecret();
+    const updated = await updateApiKey(id, { webhookSecret: sealSecret(webhookSecret) });
+    return updated ? webhookSecret : null;
+}
+
+export async function deleteApiKey(id) {
+    await getApiKeyStore().delete(id);
+    cachedKeys = null;
+}
+
+export function listApiKeys() {
+    return getApiKeyStore().list();
+}
+
+/**
+ * Read the key from `Authorization: Bearer ...` or `X-API-Key`
+ */
+function readKeyFromRequest(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+    return req.headers['x-api-key'] ? String(req.headers['x-api-key']).trim() : null;
+}
+
+async function findKey(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) return null;
+
+    const record = await getApiKeyStore().get(match[1]);
+    if (!record) return null;
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(hashKey(key), 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? record : null;
+}
+
+/**
+ * Origins of our own pages - the Host the request came in on plus FIRST_PARTY_ORIGINS
+ */
+export function isFirstPartyOrigin(req, origin) {
+    const extra = (process.env.FIRST_PARTY_ORIGINS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    if (extra.includes(origin)) return true;
+
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch {
+        return false;
+    }
+}
+
+function originAllowedForKey(record, origin) {
+    return record.allowedOrigins.includes('*') || record.allowedOrigins.includes(origin);
+}
+
+/**
+ * The key behind a publishable widget key (the key id), or null
+ */
+export async function findWidgetKey(id) {
+    if (typeof id !== 'string' || !KEY_ID_PATTERN.test(id)) return null;
+    return getApiKeyStore().get(id);
+}
+
+/**
+ * Whether the widget may run for `record` on a page of `origin` - the key must list it by name
+ */
+export function isWidgetOrigin(record, origin) {
+    return Boolean(record?.enabled && origin && record.allowedOrigins.includes(origin));
+}
+
+/**
+ * Whether a browser on `origin` may call the API at all
+ * Used for CORS, where the key itself is not yet available (preflights carry no credentials).
+ */
+export async function isAllowedOrigin(req, origin) {
+    if (!origin) return false;
+    if (isFirstPartyOrigin(req, origin)) return true;
+
+    const keys = await listKeysCached();
+    return keys.some(record => record.enabled && originAllowedForKey(record, origin));
+}
+
+/**
+ * How requests without a key are treated - ALLOW_ANONYMOUS, "same-origin" unless set
+ * so index.html, legacy.html and batch.html work out of the box
+ */
+export function anonymousAccess() {
+    return process.env.ALLOW_ANONYMOUS || 'same-origin';
+}
+
+/**
+ * Identify the caller before any upload is parsed
+ * Every request needs a key or a widget session, which acts for its key, except that
+ * "same-origin" also serves our own pages, which prove themselves with the
+ * session cookie from POST /api/session (lib/sessions.js); "all" serves anyone, for local testing.
+ * Returns { ok: true, key, session, widget } (key is null for anonymous callers, session null
+ * without a session, widget true for widget sessions) or { ok: false, statusCode, error, message, code }.
+ */
+export async function authenticateRequest(req) {
+    const origin = req.headers.origin || null;
+    const presented = readKeyFromRequest(req);
+
+    if (!presented && hasWidgetToken(req)) {
+        const widget = readWidgetSession(req);
+        const record = widget && await findWidgetKey(widget.keyId);
+        // The key may have been disabled, or the page's origin dropped, since the session began
+        if (!isWidgetOrigin(record, widget?.origin)) {
+            return {
+                ok: false,
+                statusCode: 401,
+                error: 'Widget session expired',
+                message: 'The try-on session has expired. Please close and reopen it.',
+                code: 'widget_session_expired'
+            };
+        }
+        return { ok: true, key: record, session: { id: widget.id }, widget: true };
+    }
+
+    if (!presented) {
+        const anonymous = anonymousAccess();
+        const session = readSession(req);
+        if (anonymous === 'all' || (anonymous === 'same-origin' && session && origin && isFirstPartyOrigin(req, origin))) {
+            return { ok: true, key: null, session };
+        }
+        if (anonymous === 'same-origin' && origin && isFirstPartyOrigin(req, origin)) {
+            return {
+                ok: false,
+                statusCode: 401,
+                error: 'Session expired',
+                message: 'Your session has expired. Please reload the page.',
+                code: 'session_required'
+            };
+        }
+        return {
+            ok: false,
+            statusCode: 401,
+            error: 'API key required',
+            message: 'Send your API key in the Authorization or X-API-Key header.',
+            code: 'api_key_required'
+        };
+    }
+
+    const record = await findKey(presented);
+    if (!record) {
+        return { ok: false, statusCode: 401, error: 'Invalid API key', message: 'The API key is not recognised.', code: 'api_key_invalid' };
+    }
+
+    if (!record.enabled) {
+        return { ok: false, statusCode: 403, error: 'API key disabled', message: 'This API key has been disabled.', code: 'api_key_disabled' };
+    }
+
+    // Server-to-server calls send no Origin; browsers must come from an allowed site
+    if (origin && !originAllowedForKey(record, origin)) {
+        return {
+            ok: false,
+            statusCode: 403,
+            error: 'Origin not allowed',
+            message: `Requests from ${origin} are not allowed for this API key.`,
+            code: 'origin_not_allowed',
+            params: { origin }
+        };
+    }
+
+    return { ok: true, key: record, session: null };
+}
+
+/**
+ * Stable id of an authenticated caller - its session, else its key, else (ALLOW_ANONYMOUS=all) its IP
+ * Ties what a caller creates, such as refinable results, to that caller alone: widget
+ * shoppers share their partner's key but not each other's results.
+ */
+export function callerId(req, auth) {
+    if (auth.session) return `session:${auth.session.id}`;
+    if (auth.key) return `key:${auth.key.id}`;
+    return `ip:${getClientIp(req)}`;
+}
+
+/**
+ * Check the key may use every requested swap type (an empty list allows all)
+ */
+export function checkSwapTypes(record, swapTypes) {
+    if (!record || !record.allowedSwapTypes || record.allowedSwapTypes.length === 0) {
+        return { ok: true };
+    }
+
+    const rejected = swapTypes.filter(swapType => !record.allowedSwapTypes.includes(swapType));
+    if (rejected.length > 0) {
+        return {
+            ok: false,
+            statusCode: 403,
+            error: 'Swap type not allowed',
+            message: `This API key cannot use: ${rejected.join(', ')}.`,
+            code: 'swap_type_not_allowed',
+            params: { swapTypes: rejected.join(', ') }
+        };
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Read the requested number of variants (candidate images) and check it against the limit
+ * The limit is the key's maxVariants (else MAX_VARIANTS), capped by what the provider can do.
+ * Returns { ok, variants } or { ok: false, statusCode, error, message, code }.
+ */
+export function checkVariants(record, value, providerLimit = 1) {
+    const limit = Math.min(record?.maxVariants || DEFAULT_MAX_VARIANTS, providerLimit);
+    if (value === undefined || value === '') {
+        return { ok: true, variants: 1 };
+    }
+
+    const variants = Number(value);
+    if (!Number.isInteger(variants) || variants < 1) {
+        return { ok: false, statusCode: 400, error: 'Invalid variants', message: 'variants must be a whole number, 1 or more.', code: 'invalid_variants' };
+    }
+    if (variants > limit) {
+        return {
+            ok: false,
+            statusCode: 400,
+            error: 'Too many variants',
+            message: limit === 1
+                ? 'Only one image per request is available here.'
+                : `At most ${limit} variants can be requested at once.`,
+            code: 'too_many_variants',
+            params: { max: limit }
+        };
+    }
+
+    return { ok: true, variants };
+}
+
+// Usage counters live next to the rate-limit buckets (same pluggable store)
+function usagePeriods(now) {
+    const iso = new Date(now).toISOString();
+    return {
+        daily: { key: iso.slice(0, 10), ttlMs: 2 * 24 * 60 * 60 * 1000 },
+        monthly: { key: iso.slice(0, 7), ttlMs: 32 * 24 * 60 * 60 * 1000 }
+    };
+}
+
+async function readUsage(record, now) {
+    const periods = usagePeriods(now);
+    const usage = {};
+    for (const [period, { key }] of Object.entries(periods)) {
+        const counter = await getRateLimitStore().get(`usage:${record.id}:${key}`);
+        usage[period] = counter ? counter.count : 0;
+    }
+    return usage;
+}
+
+function quotaExceeded(period, limit) {
+    return {
+        ok: false,
+        statusCode: 429,
+        error: 'Quota exceeded',
+        message: `The ${period} quota of ${limit} generations for this API key has been reached.`,
+        code: 'quota_exceeded',
+        params: { period, limit }
+    };
+}
+
+/**
+ * Check `units` generations fit in the key's daily and monthly quotas
+ * An early, read-only check to turn a spent key away before any upload is parsed -
+ * consumeQuota is what actually holds the line.
+ */
+export async function checkQuota(record, units = 1, now = Date.now()) {
+    if (!record) return { ok: true };
+
+    const usage = await readUsage(record, now);
+    for (const period of ['daily', 'monthly']) {
+        const limit = record.quotas?.[period];
+        if (limit && usage[period] + units > limit) {
+            return quotaExceeded(period, limit);
+        }
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Count `units` generations against the key's quotas, if they still fit
+ * Each counter is checked and incremented in one atomic update, so concurrent
+ * requests cannot overrun a quota together. Call it right before queueing;
+ * returns { ok: true } or the same rejection as checkQuota.
+ */
+export async function consumeQuota(record, units = 1, now = Date.now()) {
+    if (!record) return { ok: true };
+
+    const taken = [];
+    for (const [period, { key, ttlMs }] of Object.entries(usagePeriods(now))) {
+        const limit = record.quotas?.[period];
+        const storeKey = `usage:${record.id}:${key}`;
+        let exceeded = false;
+        await getRateLimitStore().update(storeKey, counter => {
+            const count = counter ? counter.count : 0;
+            exceeded = Boolean(limit) && count + units > limit;
+            return exceeded ? undefined : { count: count + units };
+        }, { ttlMs });
+
+        if (exceeded) {
+            // The daily count was taken already when the monthly quota turns it down
+            for (const counter of taken) {
+                await getRateLimitStore().update(counter.storeKey, saved => (saved ? { count: Math.max(saved.count - units, 0) } : undefined), { ttlMs: counter.ttlMs });
+            }
+            return quotaExceeded(period, limit);
+        }
+        taken.push({ storeKey, ttlMs });
+    }
+
+    return { ok: true };
+}
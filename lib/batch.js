@@ -0,0 +1,152 @@
+/**
+ * Batch try-on helpers
+ * A batch is a parent job listing one child job per garment; the children are
+ * ordinary try-on jobs, so they poll, fail and expire exactly like single requests.
+ * Its photos arrive as uploads (lib/uploads.js) and every item runs in an invocation
+ * of its own, so neither the request body nor one maxDuration limits the batch size.
+ */
+
+import { getJob, startQueuedJob, markFailed, markSucceeded, isTerminal, JOB_STATUS } from './jobs.js';
+import { refreshJob, runTryOn, recordFailure } from './tryon.js';
+import { describeError } from './errors.js';
+import { createSignedUrl } from './signed-urls.js';
+import { getProvider } from './providers/index.js';
+import { requireUpload, releaseUploads } from './uploads.js';
+
+// Items generate in invocations of their own (POST /api/batches/:id/run), this many at once
+export const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 4);
+
+// How long a run link stays valid - it is used right after it is signed
+const RUN_LINK_TTL = 60 * 1000;
+
+// A run answers as soon as it has taken its item; the generation goes on in its background work
+const RUN_START_TIMEOUT = 15 * 1000;
+
+/**
+ * Start `count` runs of a batch, each in a function invocation of its own
+ * A run takes the next queued item and starts one more run when it is done, so the
+ * batch keeps `count` items generating until none are left. Only the answers are awaited.
+ */
+export async function startBatchRuns(batch, count, log) {
+    await Promise.all(Array.from({ length: count }, async () => {
+        const { url } = createSignedUrl(`/api/batches/${batch.id}/run`, RUN_LINK_TTL);
+        try {
+            const response = await fetch(`${batch.data.baseUrl}${url}`, { method: 'POST', signal: AbortSignal.timeout(RUN_START_TIMEOUT) });
+            await response.body?.cancel();
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (error) {
+            // The other runs carry on; items nobody starts fail once their maxWait passes
+            log.warn('Could not start batch run', { stage: 'queue', error: error.message });
+        }
+    }));
+}
+
+/**
+ * Take the next queued item of a batch - resolves to { item, job }, or null when none is left
+ */
+export async function takeBatchItem(batch) {
+    for (const item of batch.data.items) {
+        const job = await startQueuedJob(item.jobId);
+        if (job) {
+            return { item, job };
+        }
+    }
+    return null;
+}
+
+/**
+ * Generate one taken item from its uploads, with a whole generation deadline of its own
+ */
+export async function runBatchItem(batch, { item, job }, log) {
+    try {
+        const userImage = await requireUpload(batch.data.userImage, { owner: null });
+        const image = await requireUpload(item.upload, { owner: null });
+        await runTryOn(job.id, job.requestId, getProvider(batch.data.provider), {
+            userImage,
+            garments: [{ image, swapType: item.swapType }],
+            prompt: batch.data.prompt
+        });
+    } catch (error) {
+        const described = describeError(error);
+        recordFailure('batch', described);
+        log.error('Job failed', { stage: 'done', jobId: job.id, category: described.category, code: described.code, error: error.message });
+        await markFailed(job.id, described).catch(storeError => {
+            log.error('Could not record job failure', { jobId: job.id, error: storeError.message });
+        });
+    } finally {
+        await releaseUploads([item.upload]);
+    }
+}
+
+/**
+ * Close a batch whose items have all finished - frees the model photo and marks it done
+ */
+export async function finishBatch(batch) {
+    const jobs = await Promise.all(batch.data.items.map(item => getJob(item.jobId)));
+    if (jobs.some(job => job && !isTerminal(job.status))) return;
+
+    await releaseUploads([batch.data.userImage]);
+    await markSucceeded(batch.id, null);
+}
+
+/**
+ * Load a batch with up-to-date child jobs and per-item progress
+ */
+export async function loadBatchStatus(batchJob) {
+    const items = await Promise.all(batchJob.data.items.map(async item => {
+        let job = await getJob(item.jobId);
+        if (job && !isTerminal(job.status)) {
+            job = await refreshJob(job);
+        }
+
+        const entry = {
+            index: item.index,
+            jobId: item.jobId,
+            swapType: item.swapType,
+            status: job ? job.status : JOB_STATUS.FAILED
+        };
+
+        if (job && job.status === JOB_STATUS.SUCCEEDED) {
+            entry.imageUrl = job.result.imageUrl;
+            entry.promptVersion = job.result.promptVersion;
+            entry.detections = job.result.detections;
+        } else if (!job) {
+            entry.message = 'Job expired. Please retry this item.';
+            entry.code = 'job_not_found';
+        } else if (job.status === JOB_STATUS.FAILED && job.error) {
+            entry.message = job.error.message;
+            entry.code = job.error.code;
+            if (job.error.params) {
+                entry.params = job.error.params;
+            }
+        }
+
+        return entry;
+    }));
+
+    const counts = {
+        total: items.length,
+        succeeded: items.filter(item => item.status === JOB_STATUS.SUCCEEDED).length,
+        failed: items.filter(item => item.status === JOB_STATUS.FAILED).length
+    };
+    const finished = counts.succeeded + counts.failed === counts.total;
+
+    let status = JOB_STATUS.RUNNING;
+    if (finished) {
+        status = counts.succeeded > 0 ? JOB_STATUS.SUCCEEDED : JOB_STATUS.FAILED;
+    } else if (items.every(item => item.status === JOB_STATUS.QUEUED)) {
+        status = JOB_STATUS.QUEUED;
+    }
+
+    return {
+        success: status !== JOB_STATUS.FAILED,
+        batchId: batchJob.id,
+        status,
+        requestId: batchJob.requestId,
+        createdAt: batchJob.createdAt,
+        progress: { ...counts, completed: counts.succeeded + counts.failed },
+        items
+    };
+}
@@ -0,0 +1,194 @@
+/**
+ * Result cache and Idempotency-Key support
+ * A request is fingerprinted by a hash of its normalized images, swap types,
+ * layering, prompt version, styling instruction and number of variants. A finished generation is
+ * remembered under that hash, so the same pair of images submitted again is
+ * answered from result storage instead of a new provider call.
+ *
+ * An Idempotency-Key header ties a submission to its job: repeating the request
+ * with the same key attaches to that job, queued, running or finished. The key is
+ * claimed atomically before the request is screened or queued, so concurrent
+ * duplicates never start a second job.
+ *
+ * Entries live in the shared rate-limit store, next to the quota counters.
+ */
+
+import crypto from 'crypto';
+import { getRateLimitStore } from './rate-limit.js';
+import { createResultLink } from './results.js';
+
+// RESULT_CACHE_TTL and IDEMPOTENCY_TTL are in seconds; RESULT_CACHE=off disables the cache
+const RESULT_CACHE_TTL = Number(process.env.RESULT_CACHE_TTL || 24 * 60 * 60) * 1000;
+const IDEMPOTENCY_TTL = Number(process.env.IDEMPOTENCY_TTL || 24 * 60 * 60) * 1000;
+
+// A claimed key whose request died before creating its job frees itself after this
+const IDEMPOTENCY_PENDING_TTL = 5 * 60 * 1000;
+
+// How long a concurrent duplicate waits for the first request to create its job
+const IDEMPOTENCY_WAIT = 10 * 1000;
+const IDEMPOTENCY_POLL_INTERVAL = 250;
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function cacheEnabled() {
+    return process.env.RESULT_CACHE !== 'off' && RESULT_CACHE_TTL > 0;
+}
+
+/**
+ * Hash of everything that decides the stored result - what the provider generates and its watermark
+ */
+export function fingerprintRequest({ provider, userImage, garments, layering, prompt, variants = 1, watermark = false }) {
+    const hash = crypto.createHash('sha256')
+        .update(`${provider}\n${layering}\n${prompt?.version || ''}\n${prompt?.instruction || ''}\n`)
+        // Single-image requests keep the fingerprint they had before variants existed
+        .update(variants > 1 ? `variants:${variants}\n` : '')
+        .update(watermark ? 'watermark\n' : '')
+        .update(userImage.buffer);
+
+    for (const garment of garments) {
+        hash.update(`\n${garment.swapType}\n`).update(garment.image.buffer);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * How the caller wants the cache used
+ * `cache=false` or Cache-Control: no-cache skips the lookup (a fresh generation that is
+ * still cached afterwards); Cache-Control: no-store also keeps the result out of the cache.
+ */
+export function getCachePolicy(req, cacheField) {
+    const cacheControl = String(req.headers['cache-control'] || '').toLowerCase();
+    const noStore = cacheControl.includes('no-store');
+    const noCache = noStore || cacheControl.includes('no-cache') || cacheField === 'false';
+
+    return {
+        read: cacheEnabled() && !noCache,
+        write: cacheEnabled() && !noStore
+    };
+}
+
+function linkSteps(steps) {
+    return steps.map(step => ({ ...step, imageUrl: createResultLink(step.resultId).url }));
+}
+
+function unlinkSteps(steps) {
+    return steps.map(({ step, swapTypes, resultId }) => ({ step, swapTypes, resultId }));
+}
+
+/**
+ * Cached output for a fingerprint, with fresh signed links - or null
+ */
+export async function getCachedResult(fingerprint) {
+    const entry = await getRateLimitStore().get(`cache:${fingerprint}`);
+    if (!entry) return null;
+
+    const link = createResultLink(entry.resultId);
+    const output = { resultId: entry.resultId, imageUrl: link.url, expiresAt: link.expiresAt, cached: true };
+
+    if (entry.promptVersion) output.promptVersion = entry.promptVersion;
+    if (entry.detections) output.detections = entry.detections;
+    if (entry.steps) output.steps = linkSteps(entry.steps);
+    if (entry.variants) {
+        output.variants = entry.variants.map(({ variant, resultId, steps }) => {
+            const variantLink = createResultLink(resultId);
+            return { variant, resultId, imageUrl: variantLink.url, expiresAt: variantLink.expiresAt, ...(steps && { steps: linkSteps(steps) }) };
+        });
+    }
+    return output;
+}
+
+/**
+ * Remember a job's output under its fingerprint (signed links are not kept - they expire)
+ */
+export async function cacheResult(fingerprint, output) {
+    const entry = { resultId: output.resultId, promptVersion: output.promptVersion, detections: output.detections };
+    if (output.steps) entry.steps = unlinkSteps(output.steps);
+    if (output.variants) {
+        entry.variants = output.variants.map(({ variant, resultId, steps }) => ({ variant, resultId, ...(steps && { steps: unlinkSteps(steps) }) }));
+    }
+    await getRateLimitStore().set(`cache:${fingerprint}`, entry, { ttlMs: RESULT_CACHE_TTL });
+}
+
+/**
+ * Read the Idempotency-Key header - { ok, key } (key is null when absent) or a 400 rejection
+ */
+export function readIdempotencyKey(req) {
+    const value = req.headers['idempotency-key'];
+    if (value === undefined) return { ok: true, key: null };
+
+    if (typeof value !== 'string' || !IDEMPOTENCY_KEY_PATTERN.test(value)) {
+        return {
+            ok: false,
+            statusCode: 400,
+            error: 'Invalid Idempotency-Key',
+            message: 'Idempotency-Key must be 1 to 255 printable ASCII characters.',
+            code: 'invalid_idempotency_key'
+        };
+    }
+    return { ok: true, key: value };
+}
+
+// Keys are scoped to the caller, so two partners can use the same key safely
+function idempotencyStoreKey(route, scope, key) {
+    return `idempotency:${route}:${scope}:${crypto.createHash('sha256').update(key).digest('hex')}`;
+}
+
+/**
+ * Claim an idempotency key before doing any work for it
+ * The key is reserved atomically, so of several concurrent requests with the same
+ * key only one goes on to create a job; the others wait for its job id. Resolves to
+ *   { reserved: true, token }  this request owns the key - completeIdempotentJob or releaseIdempotencyKey
+ *   { jobId }                  replay this job
+ *   { conflict: true }         the key was used for a different request
+ *   { pending: true }          the first request has not created its job yet
+ * `jobExists(jobId)` lets a key whose job has expired be taken over.
+ */
+export async function claimIdempotencyKey(route, scope, key, fingerprint, { jobExists = async () => true } = {}) {
+    const storeKey = idempotencyStoreKey(route, scope, key);
+    const token = crypto.randomBytes(12).toString('hex');
+    const deadline = Date.now() + IDEMPOTENCY_WAIT;
+    let stale = null;
+
+    for (;;) {
+        let entry = null;
+        try {
+            entry = await getRateLimitStore().update(storeKey, current => {
+                if (current && !(stale && current.jobId === stale)) return undefined;
+                return { fingerprint, jobId: null, token };
+            }, { ttlMs: IDEMPOTENCY_PENDING_TTL });
+        } catch (error) {
+            // Another request is writing the key right now - look again
+            if (error.code !== 'storage_conflict') throw error;
+        }
+
+        if (entry?.token === token) return { reserved: true, token };
+        if (entry && entry.fingerprint !== fingerprint) return { conflict: true };
+        if (entry?.jobId) {
+            if (await jobExists(entry.jobId)) return { jobId: entry.jobId };
+            stale = entry.jobId;
+            continue;
+        }
+
+        if (Date.now() >= deadline) return { pending: true };
+        await new Promise(resolve => setTimeout(resolve, IDEMPOTENCY_POLL_INTERVAL));
+    }
+}
+
+/**
+ * Point a claimed key at the job it started
+ */
+export async function completeIdempotentJob(route, scope, key, fingerprint, jobId) {
+    await getRateLimitStore().set(idempotencyStoreKey(route, scope, key), { fingerprint, jobId }, { ttlMs: IDEMPOTENCY_TTL });
+}
+
+/**
+ * Give a claimed key back when the request ends without a job (rejected or failed),
+ * so a retry with the same key is processed afresh
+ */
+export async function releaseIdempotencyKey(route, scope, key, token) {
+    const storeKey = idempotencyStoreKey(route, scope, key);
+    const entry = await getRateLimitStore().get(storeKey);
+    if (entry?.token === token && !entry.jobId) {
+        await getRateLimitStore().delete(storeKey);
+    }
+}
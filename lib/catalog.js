@@ -0,0 +1,162 @@
+/**
+ * Product catalog
+ * Lets a try-on request name a garment by SKU instead of uploading its photo.
+ * The default catalog reads a local product feed - CATALOG_FEED, a JSON array or a
+ * CSV file (header row) with these fields per product:
+ * - sku: the product code sent by the client
+ * - imageUrl: https URL of the product photo
+ * - swapType (optional): used when the client sends no swap type or Auto
+ * - name (optional): for logs
+ *
+ * A catalog is any object with get(sku) resolving to a product or null, so a
+ * live catalog API can replace the feed through setCatalog().
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Ships with the deployment like the prompt templates (see includeFiles in vercel.json)
+const DEFAULT_FEED = path.join(process.cwd(), 'config', 'catalog.json');
+
+const SKU_PATTERN = /^[\w.\-/]{1,64}$/;
+
+/**
+ * Catalog held in memory
+ */
+export class MemoryCatalog {
+    constructor(products = []) {
+        this.products = new Map(products.map(product => [product.sku, product]));
+    }
+
+    async get(sku) {
+        return this.products.get(sku) || null;
+    }
+}
+
+/**
+ * Split one CSV line - quoted fields may contain commas and "" for a quote
+ */
+function parseCsvLine(line) {
+    const values = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            values.push(value);
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    values.push(value);
+    return values.map(entry => entry.trim());
+}
+
+function parseCsv(text) {
+    const [header, ...rows] = text.split(/\r?\n/).filter(line => line.trim());
+    if (!header) return [];
+
+    const columns = parseCsvLine(header);
+    return rows.map(row => {
+        const values = parseCsvLine(row);
+        return Object.fromEntries(columns.map((column, index) => [column, values[index] || '']));
+    });
+}
+
+function toProduct(entry) {
+    const sku = String(entry.sku || '').trim();
+    const imageUrl = String(entry.imageUrl || '').trim();
+    if (!sku || !imageUrl) return null;
+
+    return {
+        sku,
+        imageUrl,
+        swapType: String(entry.swapType || '').trim() || null,
+        name: String(entry.name || '').trim() || null
+    };
+}
+
+/**
+ * Catalog read from a JSON or CSV product feed, once per instance
+ * A missing feed is an empty catalog.
+ */
+export class FeedCatalog {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.products = null;
+    }
+
+    async load() {
+        let text;
+        try {
+            text = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return new Map();
+            throw error;
+        }
+
+        const entries = this.filePath.toLowerCase().endsWith('.csv') ? parseCsv(text) : JSON.parse(text);
+        if (!Array.isArray(entries)) {
+            throw new Error(`Product feed ${this.filePath} must be a list of products`);
+        }
+        return new Map(entries.map(toProduct).filter(Boolean).map(product => [product.sku, product]));
+    }
+
+    async get(sku) {
+        if (!this.products) {
+            this.products = await this.load();
+        }
+        return this.products.get(sku) || null;
+    }
+}
+
+let catalog = null;
+
+export function getCatalog() {
+    if (!catalog) {
+        catalog = new FeedCatalog(process.env.CATALOG_FEED || DEFAULT_FEED);
+    }
+    return catalog;
+}
+
+export function setCatalog(customCatalog) {
+    catalog = customCatalog;
+}
+
+/**
+ * Look up the products for a request's SKUs, in order
+ * Resolves to { ok, products } or { ok: false, statusCode, error, message, code }.
+ */
+export async function lookupProducts(skus) {
+    if (!skus.every(sku => SKU_PATTERN.test(sku))) {
+        return { ok: false, statusCode: 400, error: 'Invalid SKU', message: 'SKUs are up to 64 letters, digits and . - _ / characters.', code: 'invalid_sku' };
+    }
+
+    const products = await Promise.all(skus.map(sku => getCatalog().get(sku)));
+    const unknown = skus.filter((sku, index) => !products[index]);
+    if (unknown.length > 0) {
+        return {
+            ok: false,
+            statusCode: 404,
+            error: 'Unknown SKU',
+            message: `No product found for SKU: ${unknown.join(', ')}.`,
+            code: 'unknown_sku',
+            params: { skus: unknown.join(', ') }
+        };
+    }
+
+    return { ok: true, products };
+}
@@ -0,0 +1,63 @@
+/**
+ * "Auto" swap type
+ * Garments sent as Auto are classified into one of the prompt template's
+ * categories before generation. The detected category and its confidence are
+ * returned with the result so the UI can show them and let the user override.
+ */
+
+export const AUTO_SWAP_TYPE = 'Auto';
+
+/**
+ * Whether a provider can resolve Auto garments (see classifyGarment in providers/index.js)
+ */
+export function supportsAuto(provider) {
+    return typeof provider.classifyGarment === 'function';
+}
+
+function clampConfidence(value) {
+    const confidence = Number(value);
+    if (!Number.isFinite(confidence)) return 0;
+    return Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+}
+
+/**
+ * Replace every Auto garment's swap type with the detected category
+ * Resolves to { garments, detections } - detections lists { index, swapType, confidence }
+ * per Auto garment. If classification fails the provider's default swap type is used
+ * and the detection is marked as a fallback with confidence 0.
+ */
+export async function resolveAutoSwapTypes(provider, { requestId, garments, template }, log) {
+    const detections = [];
+    if (!garments.some(garment => garment.swapType === AUTO_SWAP_TYPE)) {
+        return { garments, detections };
+    }
+
+    const categories = Object.entries(template.categories).map(([swapType, category]) => ({ swapType, item: category.item }));
+
+    const resolved = [];
+    for (const [index, garment] of garments.entries()) {
+        if (garment.swapType !== AUTO_SWAP_TYPE) {
+            resolved.push(garment);
+            continue;
+        }
+
+        const classified = log.time('classify');
+        let detection;
+        try {
+            const result = await provider.classifyGarment({ requestId, image: garment.image, categories });
+            if (!Object.hasOwn(template.categories, result.swapType)) {
+                throw new Error(`Classifier returned an unknown category: ${result.swapType}`);
+            }
+            detection = { index, swapType: result.swapType, confidence: clampConfidence(result.confidence) };
+            classified({ garment: index, swapType: detection.swapType, confidence: detection.confidence }, 'Garment classified');
+        } catch (error) {
+            detection = { index, swapType: provider.defaultSwapType, confidence: 0, fallback: true };
+            classified({ garment: index, error: error.message }, 'Garment classification failed, using default swap type');
+        }
+
+        detections.push(detection);
+        resolved.push({ ...garment, swapType: detection.swapType });
+    }
+
+    return { garments: resolved, detections };
+}
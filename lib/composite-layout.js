@@ -0,0 +1,137 @@
+/**
+ * Composite image layout - shared by the browser export in index.html and
+ * GET /api/results/:id/composite, so both place every panel on the same pixels.
+ * Plain arithmetic only: no Node or DOM APIs, the browser imports this file as is.
+ *
+ * A composite shows the model photo, the garment and the result on the brand
+ * background, with the Cameleon logo in a footer:
+ * - side-by-side: photo and result next to each other, the garment as an inset on the photo
+ * - grid: photo and garment share one half, the result fills the other
+ * The halves sit in columns or rows, whichever keeps photo-shaped panels closer to 3:4.
+ */
+
+// Social-media canvas sizes
+export const COMPOSITE_SIZES = {
+    square: { width: 1080, height: 1080 },      // Instagram post
+    portrait: { width: 1080, height: 1350 },    // Instagram portrait post
+    story: { width: 1080, height: 1920 },       // Stories, Reels, TikTok
+    landscape: { width: 1200, height: 630 }     // Link previews (Facebook, X, LinkedIn)
+};
+
+export const COMPOSITE_LAYOUTS = ['side-by-side', 'grid'];
+
+export const COMPOSITE_THEME = {
+    background: '#2e1a47',
+    accent: '#a855f7',
+    garmentBackground: '#ffffff'
+};
+
+const PHOTO_ASPECT = 3 / 4;
+
+function splitBox(box, columns, gap) {
+    if (columns) {
+        const first = Math.round((box.width - gap) / 2);
+        return [
+            { x: box.x, y: box.y, width: first, height: box.height },
+            { x: box.x + first + gap, y: box.y, width: box.width - first - gap, height: box.height }
+        ];
+    }
+    const first = Math.round((box.height - gap) / 2);
+    return [
+        { x: box.x, y: box.y, width: box.width, height: first },
+        { x: box.x, y: box.y + first + gap, width: box.width, height: box.height - first - gap }
+    ];
+}
+
+// Distance from a 3:4 photo, in either direction
+function aspectDistance(width, height) {
+    return Math.abs(Math.log(width / height / PHOTO_ASPECT));
+}
+
+/**
+ * Place the panels of a composite
+ * Returns { width, height, background, panels, logo }. Each panel is
+ * { image: 'user' | 'garment' | 'result', x, y, width, height, fit, background?, frame? }:
+ * 'cover' images fill the panel (see coverCrop), 'contain' images sit whole on `background`
+ * (see containBox), and `frame` is the width of an accent border drawn around the panel.
+ * The logo is contained in its box.
+ */
+export function computeCompositeLayout(layout, size) {
+    const canvas = COMPOSITE_SIZES[size];
+    if (!canvas || !COMPOSITE_LAYOUTS.includes(layout)) {
+        throw new Error(`Unknown composite layout ${layout} at size ${size}`);
+    }
+
+    const { width, height } = canvas;
+    const margin = Math.round(Math.min(width, height) / 36);
+    const footer = margin * 3;
+    const content = { x: margin, y: margin, width: width - margin * 2, height: height - margin * 3 - footer };
+
+    const columns = aspectDistance((content.width - margin) / 2, content.height)
+        <= aspectDistance(content.width, (content.height - margin) / 2);
+    const [before, after] = splitBox(content, columns, margin);
+
+    const garmentPanel = { image: 'garment', fit: 'contain', background: COMPOSITE_THEME.garmentBackground };
+    let panels;
+    if (layout === 'grid') {
+        const [user, garment] = splitBox(before, !columns, margin);
+        panels = [
+            { image: 'user', fit: 'cover', ...user },
+            { ...garmentPanel, ...garment },
+            { image: 'result', fit: 'cover', ...after }
+        ];
+    } else {
+        const side = Math.round(Math.min(before.width, before.height) * 0.34);
+        panels = [
+            { image: 'user', fit: 'cover', ...before },
+            { image: 'result', fit: 'cover', ...after },
+            {
+                ...garmentPanel,
+                x: before.x + before.width - side - margin,
+                y: before.y + before.height - side - margin,
+                width: side,
+                height: side,
+                frame: Math.max(2, Math.round(margin / 6))
+            }
+        ];
+    }
+
+    return {
+        width,
+        height,
+        background: COMPOSITE_THEME.background,
+        panels,
+        logo: { x: margin, y: height - margin - footer, width: width - margin * 2, height: footer }
+    };
+}
+
+/**
+ * Centred source rectangle of a sourceWidth x sourceHeight image that fills `box` when scaled
+ * Returns { left, top, width, height } in source pixels.
+ */
+export function coverCrop(sourceWidth, sourceHeight, box) {
+    const scale = Math.max(box.width / sourceWidth, box.height / sourceHeight);
+    const width = Math.min(sourceWidth, Math.max(1, Math.round(box.width / scale)));
+    const height = Math.min(sourceHeight, Math.max(1, Math.round(box.height / scale)));
+    return {
+        left: Math.floor((sourceWidth - width) / 2),
+        top: Math.floor((sourceHeight - height) / 2),
+        width,
+        height
+    };
+}
+
+/**
+ * Largest centred rectangle inside `box` with the image's aspect ratio - { x, y, width, height }
+ */
+export function containBox(sourceWidth, sourceHeight, box) {
+    const scale = Math.min(box.width / sourceWidth, box.height / sourceHeight);
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+    return {
+        x: box.x + Math.floor((box.width - width) / 2),
+        y: box.y + Math.floor((box.height - height) / 2),
+        width,
+        height
+    };
+}
@@ -0,0 +1,102 @@
+/**
+ * Server-side composite rendering
+ * Draws the layout from lib/composite-layout.js with sharp, the way index.html
+ * draws it on a canvas.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { computeCompositeLayout, coverCrop, containBox, COMPOSITE_THEME } from './composite-layout.js';
+
+// Ships with the deployment (see includeFiles in vercel.json)
+const LOGO_PATH = path.join(process.cwd(), 'Logo.png');
+
+const JPEG_QUALITY = 90;
+
+export const COMPOSITE_FORMATS = {
+    jpeg: 'image/jpeg',
+    png: 'image/png'
+};
+
+let logo = null;
+
+/**
+ * Logo.png, decoded once - { buffer, width, height }
+ */
+export async function loadLogo() {
+    if (!logo) {
+        logo = await upright(await fs.promises.readFile(LOGO_PATH));
+    }
+    return logo;
+}
+
+// Decoded and turned upright, so crops are taken in display coordinates
+async function upright(buffer) {
+    const { data, info } = await sharp(buffer).rotate().png().toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height };
+}
+
+function solid(box, color) {
+    return {
+        input: { create: { width: box.width, height: box.height, channels: 4, background: color } },
+        left: box.x,
+        top: box.y
+    };
+}
+
+async function placeImage(image, box, fit) {
+    if (fit === 'cover') {
+        const input = await sharp(image.buffer)
+            .extract(coverCrop(image.width, image.height, box))
+            .resize(box.width, box.height, { fit: 'fill' })
+            .toBuffer();
+        return { input, left: box.x, top: box.y };
+    }
+
+    const target = containBox(image.width, image.height, box);
+    const input = await sharp(image.buffer).resize(target.width, target.height, { fit: 'fill' }).toBuffer();
+    return { input, left: target.x, top: target.y };
+}
+
+/**
+ * Render a composite from the model photo, garment and result buffers
+ * Resolves to the encoded image (format is a COMPOSITE_FORMATS key). xmp, when given,
+ * is embedded as is - the result's provenance label, see lib/provenance.js.
+ */
+export async function renderComposite({ user, garment, result }, { layout, size, format = 'jpeg', xmp = null }) {
+    const plan = computeCompositeLayout(layout, size);
+    const sources = {
+        user: await upright(user),
+        garment: await upright(garment),
+        result: await upright(result)
+    };
+
+    const layers = [];
+    for (const panel of plan.panels) {
+        if (panel.frame) {
+            layers.push(solid({
+                x: panel.x - panel.frame,
+                y: panel.y - panel.frame,
+                width: panel.width + panel.frame * 2,
+                height: panel.height + panel.frame * 2
+            }, COMPOSITE_THEME.accent));
+        }
+        if (panel.background) {
+            layers.push(solid(panel, panel.background));
+        }
+        layers.push(await placeImage(sources[panel.image], panel, panel.fit));
+    }
+    layers.push(await placeImage(await loadLogo(), plan.logo, 'contain'));
+
+    let composite = sharp({
+        create: { width: plan.width, height: plan.height, channels: 3, background: plan.background }
+    }).composite(layers);
+    if (xmp) {
+        composite = composite.withXmp(xmp);
+    }
+
+    return format === 'png'
+        ? composite.png().toBuffer()
+        : composite.jpeg({ quality: JPEG_QUALITY }).toBuffer();
+}
@@ -0,0 +1,107 @@
+/**
+ * Error mapping shared by all try-on handlers
+ * Clients get a status code, a safe message, a coarse category and a stable code.
+ * Messages are written in English where errors are raised; localizeError() swaps in
+ * the caller's language from the catalogs in lib/locales/ by code. Clients that
+ * localize themselves key on `code` and fill in `params`.
+ */
+
+import { errors as formidableErrors } from 'formidable';
+import { UpstreamError } from './upstream.js';
+import { negotiateLocale, formatMessage } from './i18n.js';
+import it from './locales/it.js';
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+import de from './locales/de.js';
+import es from './locales/es.js';
+
+const CATALOGS = { it, en, fr, de, es };
+
+// API answers stay in English unless the caller asks for another language
+const API_LOCALE = 'en';
+
+// Coarse, machine-readable error categories (e.g. for webhook consumers)
+const ERROR_CATEGORIES = {
+    400: 'invalid_input',
+    408: 'timeout',
+    413: 'file_too_large',
+    415: 'invalid_image',
+    422: 'content_blocked',
+    502: 'upstream_error',
+    503: 'capacity',
+    504: 'timeout'
+};
+
+export function errorCategory(statusCode) {
+    return ERROR_CATEGORIES[statusCode] || 'internal';
+}
+
+function described(statusCode, message, code, params) {
+    const category = errorCategory(statusCode);
+    const body = { statusCode, message, category, code: code || category };
+    return params ? { ...body, params } : body;
+}
+
+/**
+ * A rejected check ({ ok: false, ... }) raised where it cannot be answered at once,
+ * e.g. in a job's background work - the message is safe to show
+ */
+export class RejectionError extends Error {
+    constructor({ statusCode, error, message, code, params }) {
+        super(message || error);
+        this.name = 'RejectionError';
+        this.code = code;
+        this.params = params;
+        this.statusCode = statusCode;
+        this.expose = true;
+    }
+}
+
+/**
+ * Map an error to the status code, message, category and code returned to the client
+ */
+export function describeError(error) {
+    // Upstream failures carry their own code; their message is internal detail
+    if (error instanceof UpstreamError) {
+        return described(error.statusCode, error.publicMessage, error.code);
+    }
+
+    // Errors raised for the client's own input already carry a safe message
+    if (error.expose && error.statusCode) {
+        return described(error.statusCode, error.message, error.code, error.params);
+    }
+
+    // Upload parsing - formidable errors carry a numeric code
+    if (error.code === formidableErrors.biggerThanMaxFileSize || error.code === formidableErrors.biggerThanTotalMaxFileSize) {
+        return described(413, 'Image files too large. Please use images smaller than 4.5MB each.');
+    }
+    if (typeof error.code === 'number' && 'httpCode' in error) {
+        return described(400, 'Error processing uploaded images. Please try different images.');
+    }
+
+    return described(500, 'An error occurred during processing. Please try again.', 'internal');
+}
+
+/**
+ * Language of the answers to a request, from its Accept-Language header
+ */
+export function requestLocale(req) {
+    return negotiateLocale(req.headers['accept-language'], API_LOCALE);
+}
+
+/**
+ * The client-facing part of a { ok: false, ... } check result
+ */
+export function rejectionBody({ error, message, code, params }) {
+    return { error, message, code, params };
+}
+
+/**
+ * Put the message of an error body in `locale`, by its code
+ * English bodies keep the message written where the error was raised - it is the
+ * most specific - as do codes the catalogs do not know.
+ */
+export function localizeError(body, locale) {
+    const template = body?.code && locale !== API_LOCALE ? CATALOGS[locale]?.api[body.code] : null;
+    return template ? { ...body, message: formatMessage(template, body.params) } : body;
+}
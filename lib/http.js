@@ -0,0 +1,90 @@
+/**
+ * Shared HTTP helpers for the serverless handlers
+ * CORS and form parsing; rate limiting lives in rate-limit.js.
+ */
+
+import crypto from 'crypto';
+import { IncomingForm } from 'formidable';
+import { isAllowedOrigin } from './api-keys.js';
+
+export const MAX_FILE_SIZE = 4.5 * 1024 * 1024; // 4.5MB per file (safe for Vercel's 5MB body limit)
+export const MAX_TOTAL_FILE_SIZE = 8 * 1024 * 1024; // 8MB total
+
+/**
+ * Set CORS headers and answer preflight requests
+ * Only our own pages and origins registered on an API key are let through.
+ * Returns true when the request has been fully handled.
+ */
+export async function handleCors(req, res, methods = ['POST']) {
+    const origin = req.headers.origin;
+
+    res.setHeader('Vary', 'Origin');
+    if (origin && await isAllowedOrigin(req, origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Idempotency-Key, Cache-Control');
+        res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, Idempotent-Replayed');
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.status(204).end();
+        return true;
+    }
+
+    if (!methods.includes(req.method)) {
+        res.status(405).json({ error: 'Method not allowed' });
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Parse a multipart form with formidable
+ */
+export function parseForm(req, options = {}) {
+    const form = new IncomingForm({
+        keepExtensions: true,
+        maxFileSize: MAX_FILE_SIZE,
+        maxTotalFileSize: MAX_TOTAL_FILE_SIZE,
+        multiples: false,
+        ...options
+    });
+
+    return new Promise((resolve, reject) => {
+        form.parse(req, (err, fields, files) => {
+            if (err) reject(err);
+            else resolve({ fields, files });
+        });
+    });
+}
+
+/**
+ * Public origin of this deployment, for links handed to other servers
+ */
+export function getBaseUrl(req) {
+    if (process.env.PUBLIC_BASE_URL) {
+        return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    }
+    const protocol = String(req.headers['x-forwarded-proto'] || 'http').split(',')[0].trim();
+    return `${protocol}://${req.headers.host}`;
+}
+
+/**
+ * Read a single value from formidable output (handles both v2 and v3+ formats)
+ */
+export function firstValue(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Check `Authorization: Bearer <token>` against a configured secret in constant time
+ */
+export function hasBearerToken(req, token) {
+    const presented = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!token || !presented) return false;
+
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const actual = crypto.createHash('sha256').update(presented).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,48 @@
+/**
+ * Languages and message formatting - shared by the API (lib/errors.js) and the
+ * pages, which import this file and one catalog from lib/locales/ as they are.
+ * Plain string handling only: no Node or DOM APIs.
+ *
+ * A catalog is { api, ui }: `api` holds the client messages of the API error codes,
+ * `ui` the strings of index.html, legacy.html, batch.html and the embeddable widget.html.
+ * Keys are flat ('progress.queued.text') and messages take {name} placeholders.
+ */
+
+export const LOCALES = ['it', 'en', 'fr', 'de', 'es'];
+
+export const LOCALE_NAMES = {
+    it: 'Italiano',
+    en: 'English',
+    fr: 'Français',
+    de: 'Deutsch',
+    es: 'Español'
+};
+
+/**
+ * Best supported locale for an Accept-Language header or a list of language tags
+ * (e.g. navigator.languages), in order of preference; `fallback` when none matches.
+ */
+export function negotiateLocale(preferences, fallback) {
+    const ranked = Array.isArray(preferences)
+        ? preferences.map((tag, index) => ({ tag, weight: 1 - index / 1000 }))
+        : String(preferences || '').split(',').map((part, index) => {
+            const [tag, ...attributes] = part.trim().split(';');
+            const q = attributes.map(attribute => attribute.trim()).find(attribute => attribute.startsWith('q='));
+            const weight = q ? Number(q.slice(2)) : 1;
+            return { tag, weight: (Number.isFinite(weight) ? weight : 0) - index / 1000 };
+        });
+
+    const match = ranked
+        .filter(entry => entry.weight > 0)
+        .sort((a, b) => b.weight - a.weight)
+        .map(entry => entry.tag.trim().toLowerCase().split('-')[0])
+        .find(language => LOCALES.includes(language));
+    return match || fallback;
+}
+
+/**
+ * Fill the {name} placeholders of a message; unknown names are left as they are
+ */
+export function formatMessage(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
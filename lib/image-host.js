@@ -0,0 +1,103 @@
+/**
+ * Temporary image hosting for providers that fetch inputs by URL (RunPod)
+ * The photos of a request are kept here and served from GET /api/hosted/:id through
+ * a signed link that expires after HOSTED_IMAGE_TTL seconds (15 minutes by default),
+ * so they never leave for a public image host. They are deleted once the job that
+ * needs them finishes - followed in the background and by the provider's callback,
+ * see runTryOn - and expired ones are swept after every generation.
+ *
+ * The upload and GET /api/hosted/:id run in different function instances, so images
+ * live in the shared storage (lib/storage.js); HOSTED_IMAGE_DIR pins them to a local
+ * directory for single-server setups. The provider must be able to reach the link -
+ * set PUBLIC_BASE_URL when the deployment sits behind a proxy.
+ */
+
+import crypto from 'crypto';
+import { LocalStorage, getStorage } from './storage.js';
+import { StorageRecordStore } from './record-store.js';
+import { createSignedUrl } from './signed-urls.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ stage: 'hosted' });
+
+// Long enough for a queued RunPod job to start and download its inputs
+const HOSTED_IMAGE_TTL = Number(process.env.HOSTED_IMAGE_TTL || 15 * 60) * 1000;
+
+let storage = process.env.HOSTED_IMAGE_DIR ? new LocalStorage(process.env.HOSTED_IMAGE_DIR) : null;
+let records = null;
+
+/**
+ * Where the image bytes live - the shared storage unless swapped or pinned
+ */
+export function getHostedImageStorage() {
+    return storage || getStorage();
+}
+
+export function setHostedImageStorage(customStorage) {
+    storage = customStorage;
+    records = null;
+}
+
+// One { id, requestId, expiresAt } record per image, next to the bytes, for the expiry sweep
+function getHostedImageRecords() {
+    if (!records) {
+        records = new StorageRecordStore({ prefix: 'hosted-records', storage });
+    }
+    return records;
+}
+
+function imageKey(id) {
+    return `hosted/${id}`;
+}
+
+// Hosted image ids end up in URLs given to the provider, so only accept what we generate
+const HOSTED_ID_PATTERN = /^img_[a-f0-9]{24}$/;
+
+export function isValidHostedImageId(id) {
+    return typeof id === 'string' && HOSTED_ID_PATTERN.test(id);
+}
+
+/**
+ * Keep an image ({ buffer, mimeType }) for a provider to download
+ * Resolves to { id, url, expiresAt } - url is absolute, built on baseUrl.
+ */
+export async function hostImage(image, { baseUrl, requestId = null }) {
+    const id = `img_${crypto.randomBytes(12).toString('hex')}`;
+    const { url, expiresAt } = createSignedUrl(`/api/hosted/${id}`, HOSTED_IMAGE_TTL);
+    await getHostedImageStorage().put(imageKey(id), image.buffer, { contentType: image.mimeType });
+    await getHostedImageRecords().set(id, { id, requestId, expiresAt });
+    return { id, url: `${baseUrl}${url}`, expiresAt };
+}
+
+/**
+ * A hosted image as { buffer, contentType }, or null once it is gone or expired
+ */
+export async function loadHostedImage(id, now = Date.now()) {
+    if (!isValidHostedImageId(id)) return null;
+    const record = await getHostedImageRecords().get(id);
+    if (!record || record.expiresAt <= now) return null;
+    const stored = await getHostedImageStorage().get(imageKey(id));
+    return stored ? { buffer: stored.buffer, contentType: stored.contentType } : null;
+}
+
+/**
+ * Delete hosted images that are no longer needed - failures are logged, never thrown
+ */
+export async function releaseHostedImages(ids = []) {
+    for (const id of ids.filter(isValidHostedImageId)) {
+        try {
+            await getHostedImageStorage().delete(imageKey(id));
+            await getHostedImageRecords().delete(id);
+        } catch (error) {
+            log.warn('Could not delete hosted image', { id, error: error.message });
+        }
+    }
+}
+
+/**
+ * Drop hosted images past their expiry, whatever happened to their job
+ */
+export async function pruneHostedImages(now = Date.now()) {
+    const images = await getHostedImageRecords().list();
+    await releaseHostedImages(images.filter(image => image.expiresAt <= now).map(image => image.id));
+}
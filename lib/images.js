@@ -0,0 +1,94 @@
+/**
+ * Upload normalization
+ * Every uploaded photo is sniffed from its magic bytes, decoded, turned upright
+ * from its EXIF orientation, stripped of metadata (GPS, device...) and downscaled
+ * before any provider sees it. Anything that is not a readable image is rejected.
+ */
+
+import sharp from 'sharp';
+
+// Longest side sent to the providers; larger photos only cost upload time and tokens
+const MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION || 2048);
+const JPEG_QUALITY = Number(process.env.IMAGE_JPEG_QUALITY || 90);
+
+// ISO-BMFF brands (bytes 8-11 of the ftyp box)
+const AVIF_BRANDS = new Set(['avif', 'avis']);
+const HEIC_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+
+/**
+ * Raised for uploads we refuse; safe to show to the client
+ */
+export class ImageValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageValidationError';
+        this.code = 'invalid_image';
+        this.statusCode = 415;
+        this.expose = true;
+    }
+}
+
+/**
+ * Identify the image format from its first bytes, ignoring the declared mimetype
+ */
+export function detectImageFormat(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    if (/^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) return 'gif';
+
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('ascii', 8, 12);
+        if (AVIF_BRANDS.has(brand)) return 'avif';
+        if (HEIC_BRANDS.has(brand)) return 'heic';
+    }
+
+    return null;
+}
+
+/**
+ * Validate and normalize one uploaded image
+ * Returns { buffer, mimeType, width, height, originalFormat, originalWidth, originalHeight }.
+ */
+export async function normalizeImage(buffer, { label = 'image', maxDimension = MAX_DIMENSION } = {}) {
+    const format = detectImageFormat(buffer);
+    if (!format) {
+        throw new ImageValidationError(`The ${label} is not a supported image. Please use a JPEG, PNG or WebP photo.`);
+    }
+
+    try {
+        // failOn: 'error' turns truncated or damaged files into errors instead of grey pixels
+        const image = sharp(buffer, { failOn: 'error' });
+        const metadata = await image.metadata();
+
+        // rotate() with no angle applies and then drops the EXIF orientation;
+        // sharp writes no metadata unless asked, so EXIF/GPS/XMP are stripped here
+        const pipeline = image
+            .rotate()
+            .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+
+        // Keep transparency (e.g. garment cut-outs) as PNG, everything else becomes JPEG
+        const output = metadata.hasAlpha
+            ? pipeline.png()
+            : pipeline.jpeg({ quality: JPEG_QUALITY, mozjpeg: true });
+
+        const { data, info } = await output.toBuffer({ resolveWithObject: true });
+
+        return {
+            buffer: data,
+            mimeType: metadata.hasAlpha ? 'image/png' : 'image/jpeg',
+            width: info.width,
+            height: info.height,
+            originalFormat: format,
+            originalWidth: metadata.autoOrient?.width || metadata.width,
+            originalHeight: metadata.autoOrient?.height || metadata.height
+        };
+    } catch (error) {
+        if (format === 'heic') {
+            throw new ImageValidationError(`The ${label} is a HEIC photo we cannot read. Please export it as JPEG and try again.`);
+        }
+        throw new ImageValidationError(`The ${label} appears to be corrupt or incomplete. Please try a different photo.`);
+    }
+}
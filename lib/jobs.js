@@ -0,0 +1,196 @@
+/**
+ * Job store for asynchronous generations
+ * POST handlers create a job and return its id right away, the client then
+ * polls GET /api/jobs/:id until the job succeeds or fails.
+ *
+ * The poll, the SSE stream and the background generation run in different
+ * function instances, so jobs live in the shared storage (lib/storage.js -
+ * STORAGE_DRIVER=s3 in production). JOB_STORE_DIR pins them to a local directory
+ * and JOB_STORE=memory to one process, both for single-server setups and tests.
+ */
+
+import crypto from 'crypto';
+import { LocalStorage, isProduction } from './storage.js';
+import { MemoryRecordStore, StorageRecordStore } from './record-store.js';
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+const TERMINAL_STATUSES = new Set([JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED]);
+
+// Finished jobs are kept long enough for a reconnecting client to fetch them
+const JOB_TTL = 60 * 60 * 1000; // 1 hour
+
+export function isTerminal(status) {
+    return TERMINAL_STATUSES.has(status);
+}
+
+function createDefaultStore() {
+    if (process.env.JOB_STORE === 'memory') {
+        if (isProduction()) {
+            throw new Error('JOB_STORE=memory is per instance and cannot be used in production');
+        }
+        return new MemoryRecordStore();
+    }
+    if (process.env.JOB_STORE_DIR) {
+        return new StorageRecordStore({ prefix: 'jobs', storage: new LocalStorage(process.env.JOB_STORE_DIR) });
+    }
+    return new StorageRecordStore({ prefix: 'jobs' });
+}
+
+let store = null;
+
+export function getJobStore() {
+    if (!store) {
+        store = createDefaultStore();
+    }
+    return store;
+}
+
+/**
+ * Swap the backing store (any record store - see lib/record-store.js)
+ */
+export function setJobStore(customStore) {
+    store = customStore;
+}
+
+// Job ids are handed to the browser, so only accept what we generate
+const JOB_ID_PATTERN = /^job_[a-f0-9]{24}$/;
+
+export function isValidJobId(id) {
+    return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+export async function createJob({ route, requestId, data = {} }) {
+    const now = Date.now();
+    const job = {
+        id: `job_${crypto.randomBytes(12).toString('hex')}`,
+        route,
+        requestId,
+        status: JOB_STATUS.QUEUED,
+        createdAt: now,
+        updatedAt: now,
+        data,
+        result: null,
+        error: null
+    };
+    await getJobStore().set(job.id, job);
+    return job;
+}
+
+export async function getJob(id) {
+    if (!isValidJobId(id)) return null;
+    return getJobStore().get(id);
+}
+
+export async function updateJob(id, patch) {
+    if (!isValidJobId(id)) return null;
+
+    // Read and write in one step, so progress reports and the final status never overwrite each other
+    return getJobStore().update(id, job => {
+        if (!job) return undefined;
+        // Job data is merged so later stages can add fields without dropping earlier ones
+        const data = patch.data ? { ...job.data, ...patch.data } : job.data;
+        return { ...job, ...patch, data, updatedAt: Date.now() };
+    });
+}
+
+/**
+ * Take the right to finish an unfinished job
+ * Several pollers (status requests, event streams, the background follow, the provider's
+ * callback) can see an upstream job complete at once; only the one that claims it stores
+ * the result and sends the webhook. A claim older than `staleMs` - its holder died - can be
+ * taken again. Resolves to true for the caller that got it.
+ */
+export async function claimJob(id, staleMs = 60 * 1000) {
+    if (!isValidJobId(id)) return false;
+
+    let claimed = false;
+    await getJobStore().update(id, job => {
+        // Runs again when another writer got in first, so decide afresh every time
+        claimed = Boolean(job) && !isTerminal(job.status) && !(job.claimedAt && Date.now() - job.claimedAt < staleMs);
+        return claimed ? { ...job, claimedAt: Date.now() } : undefined;
+    });
+    return claimed;
+}
+
+/**
+ * Start a queued job - resolves to the job for the one caller that moved it to running,
+ * null for everyone else (it was already started, finished or is gone)
+ */
+export async function startQueuedJob(id) {
+    if (!isValidJobId(id)) return null;
+
+    let started = null;
+    await getJobStore().update(id, job => {
+        const now = Date.now();
+        started = job && job.status === JOB_STATUS.QUEUED
+            ? { ...job, status: JOB_STATUS.RUNNING, data: { ...job.data, startedAt: now }, updatedAt: now }
+            : null;
+        return started || undefined;
+    });
+    return started;
+}
+
+export function markRunning(id, data) {
+    return updateJob(id, data ? { status: JOB_STATUS.RUNNING, data } : { status: JOB_STATUS.RUNNING });
+}
+
+export function markSucceeded(id, result) {
+    return updateJob(id, { status: JOB_STATUS.SUCCEEDED, result, error: null });
+}
+
+export function markFailed(id, error) {
+    return updateJob(id, { status: JOB_STATUS.FAILED, error });
+}
+
+/**
+ * Drop finished jobs older than the TTL
+ */
+export async function pruneJobs(now = Date.now()) {
+    const jobs = await getJobStore().list();
+    for (const job of jobs) {
+        if (isTerminal(job.status) && now - job.updatedAt > JOB_TTL) {
+            await getJobStore().delete(job.id);
+        }
+    }
+}
+
+/**
+ * Public view of a job - never exposes internal data such as upstream ids
+ */
+export function serializeJob(job) {
+    const body = {
+        success: job.status !== JOB_STATUS.FAILED,
+        jobId: job.id,
+        status: job.status,
+        requestId: job.requestId,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+
+    // Latest stage of an unfinished job (see lib/progress.js)
+    if (!isTerminal(job.status) && job.progress) {
+        const { at, ...progress } = job.progress;
+        body.progress = progress;
+    }
+
+    if (job.status === JOB_STATUS.SUCCEEDED && job.result) {
+        Object.assign(body, job.result);
+    }
+
+    if (job.status === JOB_STATUS.FAILED && job.error) {
+        body.error = 'Failed to generate image';
+        body.message = job.error.message;
+        body.code = job.error.code || job.error.category || 'internal';
+        if (job.error.params) {
+            body.params = job.error.params;
+        }
+    }
+
+    return body;
+}
@@ -0,0 +1,277 @@
+/**
+ * German messages
+ */
+
+export default {
+    api: {
+        server_misconfigured: 'Der Dienst ist nicht vollständig eingerichtet. Bitte wende dich an den Support.',
+        api_key_required: 'Sende deinen API-Schlüssel im Header Authorization oder X-API-Key.',
+        session_required: 'Deine Sitzung ist abgelaufen. Bitte lade die Seite neu.',
+        widget_session_expired: 'Die Anprobe-Sitzung ist abgelaufen. Bitte schließe sie und öffne sie erneut.',
+        api_key_invalid: 'Der API-Schlüssel wird nicht erkannt.',
+        api_key_disabled: 'Dieser API-Schlüssel wurde deaktiviert.',
+        origin_not_allowed: 'Anfragen von {origin} sind für diesen API-Schlüssel nicht erlaubt.',
+        quota_exceeded: 'Dieser API-Schlüssel hat sein Kontingent von {limit} Generierungen aufgebraucht.',
+        rate_limited: 'Zu viele Anfragen. Bitte warte einen Moment und versuche es erneut.',
+        invalid_idempotency_key: 'Der Idempotency-Key muss aus 1 bis 255 druckbaren ASCII-Zeichen bestehen.',
+        idempotency_key_reused: 'Dieser Idempotency-Key wurde bereits für eine andere Anfrage verwendet.',
+        idempotency_key_in_progress: 'Eine Anfrage mit diesem Idempotency-Key wird noch verarbeitet. Versuche es gleich noch einmal.',
+        missing_images: 'Bitte lade beide Bilder hoch.',
+        missing_image: 'Bitte wähle ein Bild zum Hochladen aus.',
+        upload_expired: 'Ein hochgeladenes Bild ist nicht mehr verfügbar. Bitte lade es erneut hoch.',
+        too_many_garments: 'Du kannst höchstens {max} Kleidungsstücke pro Anfrage senden.',
+        unsupported_layering: 'Der Kombinationsmodus „{layering}“ ist nicht verfügbar.',
+        invalid_variants: 'Die Anzahl der Varianten muss eine ganze Zahl ab 1 sein.',
+        too_many_variants: 'Du kannst höchstens {max} Varianten auf einmal anfordern.',
+        garment_urls_disabled: 'Kleidungsstücke per Link sind bei diesem Dienst nicht aktiviert. Lade das Foto hoch.',
+        invalid_garment_url: 'Der Link zum Bild des Kleidungsstücks ist ungültig.',
+        invalid_sku: 'Die Artikelnummer ist ungültig.',
+        unknown_sku: 'Kein Produkt gefunden für: {skus}.',
+        swap_type_not_allowed: 'Dieser API-Schlüssel darf Folgendes nicht verwenden: {swapTypes}.',
+        unsupported_swap_type: 'Nicht unterstützte Anprobe-Art: {swapTypes}.',
+        instructions_unavailable: 'Styling-Hinweise sind bei diesem Dienst nicht verfügbar.',
+        invalid_instruction: 'Die Styling-Hinweise sind ungültig: Verwende einen kurzen Satz ohne Links.',
+        invalid_callback_url: 'Die Callback-URL ist ungültig.',
+        unsafe_url: 'Der angegebene Link ist ungültig.',
+        invalid_image: 'Bildformat nicht unterstützt. Verwende ein JPEG-, PNG- oder WebP-Foto.',
+        file_too_large: 'Die Bilder sind zu groß. Verwende Bilder unter 4,5 MB.',
+        image_fetch_failed: 'Das Bild des Kleidungsstücks konnte nicht geladen werden. Prüfe den Link.',
+        timeout: 'Das Laden des Bildes hat zu lange gedauert.',
+        invalid_input: 'Die Bilder konnten nicht verarbeitet werden. Versuche es mit anderen Bildern.',
+        internal: 'Ein Fehler ist aufgetreten. Bitte versuche es später erneut.',
+        upstream_rate_limited: 'Der Dienst ist gerade stark ausgelastet. Versuche es in einer Minute erneut.',
+        upstream_unavailable: 'Der Generierungsdienst ist nicht verfügbar. Versuche es in ein paar Minuten erneut.',
+        upstream_timeout: 'Der Dienst hat zu lange gebraucht. Bitte versuche es erneut.',
+        upstream_rejected: 'Der Dienst konnte die Anfrage nicht verarbeiten. Bitte versuche es später erneut.',
+        circuit_open: 'Der Dienst pausiert kurz. Versuche es in einer Minute erneut.',
+        no_image: 'Der Dienst hat kein Bild geliefert. Versuche es erneut oder nimm andere Fotos.',
+        safety_blocked: 'Die Bilder wurden vom Sicherheitsfilter blockiert. Versuche es mit anderen Fotos.',
+        generation_failed: 'Die Generierung ist fehlgeschlagen. Bitte versuche es erneut.',
+        generation_timeout: 'Zeitüberschreitung - Die Generierung hat zu lange gedauert.',
+        upload_failed: 'Die Bilder konnten nicht an den Dienst übertragen werden. Bitte versuche es erneut.',
+        disallowed_content: 'Diese Bilder können nicht verarbeitet werden. Bitte verwende andere Fotos.',
+        screening_unavailable: 'Die Fotos konnten gerade nicht geprüft werden. Bitte versuche es gleich noch einmal.',
+        product_in_model_slot: 'Das Model-Foto zeigt ein Produkt, keine Person. Lade das Foto der Person im Feld Model hoch.',
+        no_person: 'Auf dem Model-Foto wurde keine Person gefunden.',
+        multiple_people: 'Das Model-Foto zeigt {count} Personen. Verwende ein Foto mit nur einer Person.',
+        head_not_visible: 'Der Kopf ist auf dem Foto nicht vollständig zu sehen – das braucht die Anprobe eines Huts.',
+        face_not_visible: 'Das Gesicht ist auf dem Foto nicht gut zu sehen – das braucht die Anprobe einer Brille.',
+        upper_body_not_visible: 'Der Oberkörper ist auf dem Foto nicht vollständig zu sehen.',
+        lower_body_not_visible: 'Die Beine sind auf dem Foto nicht vollständig zu sehen.',
+        feet_not_visible: 'Die Füße sind auf dem Foto nicht zu sehen – das braucht die Anprobe von Schuhen.',
+        garment_mismatch: 'Das Produktfoto zeigt nicht die gewählte Art von Kleidungsstück. Prüfe die Art der Anprobe.',
+        no_garment: 'Auf dem Produktfoto wurde kein Kleidungsstück oder Accessoire gefunden.',
+        invalid_job_id: 'Die ID der Generierung ist ungültig.',
+        job_not_found: 'Diese Generierung existiert nicht mehr.',
+        job_status_failed: 'Der Status der Generierung konnte nicht geprüft werden. Bitte versuche es erneut.',
+        refine_input_required: 'Beschreibe, was du am Ergebnis ändern möchtest.',
+        result_not_found: 'Dieses Ergebnis kann nicht mehr bearbeitet werden. Starte eine neue Anprobe.',
+        refine_limit: 'Du hast die maximale Anzahl an Änderungen ({max}) erreicht. Starte eine neue Anprobe.',
+        refine_unavailable: 'Dieses Ergebnis kann nicht bearbeitet werden. Starte eine neue Anprobe.'
+    },
+
+    ui: {
+        'page.title': 'Cameleon - Deine virtuelle Umkleide',
+        'header.title': 'Deine virtuelle Umkleide',
+        'header.history': '🕘 Verlauf',
+        'header.historyTitle': 'Deine bisherigen Anproben',
+        'header.language': 'Sprache',
+
+        'section.model': 'Model',
+        'section.product': 'Produkt',
+        'section.result': 'Ergebnis',
+
+        'upload.model': 'Klicke, um das Model hochzuladen',
+        'upload.product': 'Klicke, um das Produkt hochzuladen',
+        'upload.hint': 'Maximal 4 MB - Automatische Komprimierung',
+        'upload.processing': 'Bild wird optimiert...',
+        'upload.addGarment': '+ Kleidungsstück hinzufügen',
+        'upload.addGarmentTitle': 'Ein weiteres Kleidungsstück zum Look hinzufügen',
+        'upload.garmentThumb': 'Kleidungsstück hochladen',
+        'upload.removeGarment': 'Kleidungsstück entfernen',
+
+        'result.placeholder': 'Dein virtuelles Outfit erscheint hier',
+        'result.failed': 'Fehler bei der Generierung',
+        'result.generated': '✓ Generiert',
+        'result.before': 'Vorher',
+        'result.after': 'Nachher',
+        'result.compareSlider': 'Vorher-Nachher-Vergleich',
+
+        'actions.compare': 'Vorher/Nachher vergleichen',
+        'actions.export': 'Collage exportieren',
+        'actions.download': 'Bild herunterladen',
+        'actions.enlarge': 'Vergrößern',
+        'actions.share': 'Link teilen',
+        'actions.linkCopied': 'Link kopiert',
+
+        'refine.placeholder': 'Ergebnis anpassen: z. B. kürzere Ärmel',
+        'refine.button': 'Ändern',
+        'refine.original': 'Original',
+        'refine.originalTitle': 'Ursprüngliches Ergebnis',
+
+        'swap.title': 'Art der Anprobe',
+        'swap.label.Auto': 'Auto',
+        'swap.label.Full Outfit': 'Outfit',
+        'swap.label.Upper-Body': 'Oben',
+        'swap.label.Lower-Body': 'Unten',
+        'swap.label.Dress': 'Kleid',
+        'swap.label.Shoes': 'Schuhe',
+        'swap.label.Headwear': 'Hüte',
+        'swap.label.Eyewear': 'Brillen',
+        'swap.label.Bodywear': 'Accessoires',
+        'swap.label.Jewelry': 'Schmuck',
+        'swap.label.Bags': 'Taschen',
+        'swap.label.Upper-body': 'Upper-body',
+        'swap.label.Lower-body': 'Lower-body',
+        'swap.label.Dresses': 'Dresses',
+        'swap.desc.Auto': 'Erkennt das Teil',
+        'swap.desc.Full Outfit': 'Ganzes Outfit',
+        'swap.desc.Upper-Body': 'Shirts, Hemden',
+        'swap.desc.Lower-Body': 'Hosen, Röcke',
+        'swap.desc.Dress': 'Kleider',
+        'swap.desc.Shoes': 'Schuhwerk',
+        'swap.desc.Headwear': 'Kopfbedeckungen',
+        'swap.desc.Eyewear': 'Sonnen-, Korrekturbrillen',
+        'swap.desc.Bodywear': 'Schals, Krawatten',
+        'swap.desc.Jewelry': 'Ketten, Ringe',
+        'swap.desc.Bags': 'Rucksäcke, Handtaschen',
+        'swap.legacyDesc.Auto': 'Automatische Erkennung',
+        'swap.legacyDesc.Upper-body': 'Shirts, Hemden, Jacken',
+        'swap.legacyDesc.Lower-body': 'Hosen, Röcke, Shorts',
+        'swap.legacyDesc.Dresses': 'Kleider, komplette Outfits',
+
+        'detection.fallback': 'Kategorie nicht erkannt, verwendet: {label}.',
+        'detection.detected': 'Erkannt: {label} ({confidence} % Sicherheit).',
+        'detection.override': 'Art ändern',
+        'cached.note': 'Ergebnis wurde mit diesen Bildern bereits generiert.',
+        'cached.regenerate': 'Neu generieren',
+        'styling.placeholder': 'Styling-Hinweise (optional): z. B. Hemd in die Hose gesteckt, Ärmel hochgekrempelt',
+        'styling.variants': 'Varianten zum Vergleichen:',
+        'steps.title': 'Schritt {step}: {swapTypes}',
+        'variants.title': 'Variante {variant}',
+
+        'progress.upload.text': 'Bilder werden hochgeladen...',
+        'progress.upload.subtext': 'Bilder werden an den Server gesendet',
+        'progress.preparing': 'Wird vorbereitet...',
+        'progress.timer': 'Verstrichene Zeit: {seconds} s',
+        'progress.parsed.text': 'Bilder werden hochgeladen...',
+        'progress.parsed.subtext': 'Bilder vom Server empfangen',
+        'progress.normalized.text': 'Bilder werden vorbereitet...',
+        'progress.normalized.subtext': 'Format und Größe werden geprüft',
+        'progress.screened.text': 'Fotos geprüft...',
+        'progress.screened.subtext': 'Person und Kleidungsstück erkannt',
+        'progress.queued.text': 'KI-Generierung wird gestartet...',
+        'progress.queued.subtext': 'Anfrage in der Warteschlange',
+        'progress.classified.text': 'Kleidungsstück erkannt...',
+        'progress.classified.subtext': 'Kategorie automatisch erkannt',
+        'progress.hosted.text': 'Bilder bereit...',
+        'progress.hosted.subtext': 'Upload zum Generierungsserver abgeschlossen',
+        'progress.generating.text': 'Wird generiert...',
+        'progress.generating.subtext': 'Die KI zieht dem Model das Kleidungsstück an',
+        'progress.upstream.text': 'Wird generiert...',
+        'progress.upstream.subtext': 'Verarbeitung auf dem KI-Server',
+        'progress.storing.text': 'Letzter Schliff...',
+        'progress.storing.subtext': 'Ergebnis wird gespeichert',
+        'progress.inQueue.text': 'In der Warteschlange des KI-Servers...',
+        'progress.inQueue.subtext': 'Die Generierung beginnt in Kürze',
+        'progress.inProgress.text': 'Wird generiert...',
+        'progress.inProgress.subtext': 'Der KI-Server verarbeitet das Bild',
+        'progress.garmentStep': 'Kleidungsstück {step} von {steps}',
+        'progress.variants': '{variants} Varianten parallel',
+        'progress.done.text': 'Fertig!',
+        'progress.done.subtext': 'Dein neuer Look ist bereit!',
+        'progress.done.Shoes': 'Deine Schuhe sind bereit!',
+        'progress.done.Headwear': 'Dein Hut sitzt perfekt!',
+        'progress.done.Eyewear': 'Deine Brille ist bereit!',
+        'progress.done.Jewelry': 'Dein Schmuck glänzt!',
+        'progress.done.Bags': 'Deine Tasche ist bereit!',
+        'progress.done.Upper-Body': 'Dein Oberteil sitzt perfekt!',
+        'progress.done.Lower-Body': 'Dein Unterteil ist bereit!',
+        'progress.done.Dress': 'Dein Kleid ist elegant!',
+        'progress.done.Bodywear': 'Dein Accessoire sitzt perfekt!',
+
+        'generate.button': 'Generieren',
+        'generate.running': 'Wird generiert...',
+
+        'errors.imageOnly': 'Bitte lade nur Bilddateien hoch (JPG, PNG usw.)',
+        'errors.imageProcessing': 'Fehler bei der Bildverarbeitung. Bitte versuche es erneut.',
+        'errors.bothImages': 'Bitte lade beide Bilder hoch',
+        'errors.generic': 'Ein Fehler ist aufgetreten. Bitte versuche es später erneut.',
+        'errors.timeout': 'Zeitüberschreitung - Die Generierung hat zu lange gedauert.',
+        'errors.generation': 'Fehler bei der Bildgenerierung',
+        'errors.connection': 'Verbindung unterbrochen',
+        'errors.refineEmpty': 'Beschreibe, was du am Ergebnis ändern möchtest',
+        'errors.refine': 'Fehler beim Bearbeiten des Bildes',
+        'errors.refineTimeout': 'Zeitüberschreitung - Die Änderung hat zu lange gedauert.',
+        'errors.refineGeneric': 'Das Ergebnis konnte nicht geändert werden. Bitte versuche es erneut.',
+        'errors.download': 'Das Bild konnte nicht heruntergeladen werden. Bitte versuche es erneut.',
+        'errors.composite': 'Die Collage konnte nicht erstellt werden. Bitte versuche es erneut.',
+        'errors.share': 'Der Link konnte nicht geteilt werden. Bitte versuche es erneut.',
+        'errors.history': 'Der Verlauf ist in diesem Browser nicht verfügbar.',
+
+        'share.title': 'Mein Cameleon-Look',
+
+        'export.title': 'Collage exportieren',
+        'export.layout': 'Layout',
+        'export.sideBySide': 'Nebeneinander',
+        'export.grid': 'Raster',
+        'export.size': 'Format',
+        'export.square': 'Quadratischer Post (1080×1080)',
+        'export.portrait': 'Hochformat-Post (1080×1350)',
+        'export.story': 'Story (1080×1920)',
+        'export.landscape': 'Link-Vorschau (1200×630)',
+        'export.download': 'Collage herunterladen',
+
+        'history.title': 'Verlauf',
+        'history.favoritesOnly': 'Nur Favoriten',
+        'history.empty': 'Noch keine gespeicherten Anproben: Deine Generierungen erscheinen hier.',
+        'history.emptyFavorites': 'Keine Favoriten: Tippe bei einer Anprobe auf ☆, um sie hier zu behalten.',
+        'history.enlarge': 'Vergrößern',
+        'history.result': 'Ergebnis',
+        'history.useModel': 'Dieses Model verwenden',
+        'history.useProduct': 'Dieses Produkt verwenden',
+        'history.addFavorite': 'Zu Favoriten hinzufügen',
+        'history.removeFavorite': 'Aus Favoriten entfernen',
+        'history.delete': 'Löschen',
+        'history.rerun': 'Erneut versuchen',
+        'history.rerunTitle': 'Mit diesen Fotos neu generieren',
+
+        'widget.title': 'Anprobieren',
+        'widget.close': 'Schließen',
+        'widget.product': 'Das Produkt',
+        'widget.productSku': 'Artikel {sku}',
+        'widget.modelHint': 'Lade ein Ganzkörperfoto von dir hoch',
+        'widget.changePhoto': 'Foto ändern',
+        'widget.tryOn': 'Anprobieren',
+        'widget.addToCart': 'In den Warenkorb',
+        'widget.retry': 'Anderes Foto versuchen',
+        'widget.aiNotice': 'KI-generiertes Bild: Größe und Passform können abweichen.',
+        'widget.poweredBy': 'Bereitgestellt von Cameleon',
+        'widget.noProduct': 'Für die Anprobe wurde kein Produkt angegeben.',
+        'widget.unavailable': 'Die Anprobe ist auf dieser Seite nicht verfügbar.',
+
+        'batch.pageTitle': 'Cameleon - Serien-Anprobe',
+        'batch.title': 'Serien-Anprobe',
+        'batch.products': 'Produkte',
+        'batch.addProducts': '+ Produkte hinzufügen',
+        'batch.defaultType': 'Standardtyp:',
+        'batch.productCount': '{count} Produkte',
+        'batch.start': '⭐ Alle generieren',
+        'batch.waiting': 'Warten',
+        'batch.progress': '{done}/{total} fertig ({succeeded} erfolgreich)',
+        'batch.downloadZip': '💾 ZIP herunterladen',
+        'batch.maxItems': 'Höchstens {max} Produkte pro Serie',
+        'batch.status.pending': 'Bereit',
+        'batch.status.uploading': 'Wird hochgeladen...',
+        'batch.status.queued': 'In der Warteschlange...',
+        'batch.status.running': 'Wird generiert...',
+        'batch.status.succeeded': '✓ Generiert',
+        'batch.status.failed': '❌ Fehler',
+        'batch.retry': '🔄 Erneut versuchen',
+        'batch.remove': '× Entfernen',
+        'batch.resultAlt': 'Ergebnis {index}',
+        'batch.errors.start': 'Die Serie konnte nicht gestartet werden',
+        'batch.errors.upload': 'Die Bilder konnten nicht hochgeladen werden',
+        'batch.errors.zip': 'Das ZIP konnte nicht erstellt werden. Bitte versuche es erneut.'
+    }
+};
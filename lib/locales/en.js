@@ -0,0 +1,277 @@
+/**
+ * English messages - the API's own language, so `api` mirrors the server messages
+ */
+
+export default {
+    api: {
+        server_misconfigured: 'The service is not fully configured. Please contact support.',
+        api_key_required: 'Send your API key in the Authorization or X-API-Key header.',
+        session_required: 'Your session has expired. Please reload the page.',
+        widget_session_expired: 'The try-on session has expired. Please close and reopen it.',
+        api_key_invalid: 'The API key is not recognized.',
+        api_key_disabled: 'This API key has been disabled.',
+        origin_not_allowed: 'Requests from {origin} are not allowed for this API key.',
+        quota_exceeded: 'This API key has used its quota of {limit} generations.',
+        rate_limited: 'Too many requests. Please wait a moment and try again.',
+        invalid_idempotency_key: 'Idempotency-Key must be 1 to 255 printable ASCII characters.',
+        idempotency_key_reused: 'This Idempotency-Key was already used for a different request.',
+        idempotency_key_in_progress: 'A request with this Idempotency-Key is still being processed. Try again in a moment.',
+        missing_images: 'Please upload both images.',
+        missing_image: 'Please choose an image to upload.',
+        upload_expired: 'An uploaded image is no longer available. Please upload it again.',
+        too_many_garments: 'You can send at most {max} garments per request.',
+        unsupported_layering: 'The "{layering}" layering mode is not available.',
+        invalid_variants: 'variants must be a whole number, 1 or more.',
+        too_many_variants: 'You can ask for at most {max} variants at a time.',
+        garment_urls_disabled: 'Garments by URL are not enabled on this service. Upload the photo instead.',
+        invalid_garment_url: 'The garment image URL is not valid.',
+        invalid_sku: 'The product code is not valid.',
+        unknown_sku: 'No product found for: {skus}.',
+        swap_type_not_allowed: 'This API key cannot use: {swapTypes}.',
+        unsupported_swap_type: 'Unsupported swap type: {swapTypes}.',
+        instructions_unavailable: 'Styling instructions are not available on this service.',
+        invalid_instruction: 'The styling instructions are not valid: use a short sentence, without links.',
+        invalid_callback_url: 'The callback URL is not valid.',
+        unsafe_url: 'The given link is not valid.',
+        invalid_image: 'Unsupported image format. Use a JPEG, PNG or WebP photo.',
+        file_too_large: 'The images are too large. Use images smaller than 4.5MB.',
+        image_fetch_failed: 'The garment image could not be downloaded. Check the link.',
+        timeout: 'Downloading the image took too long.',
+        invalid_input: 'The images could not be processed. Try different images.',
+        internal: 'An error occurred. Please try again later.',
+        upstream_rate_limited: 'The service is very busy right now. Try again in a minute.',
+        upstream_unavailable: 'The generation service is unavailable. Try again in a few minutes.',
+        upstream_timeout: 'The service took too long. Please try again.',
+        upstream_rejected: 'The service could not process the request. Please try again later.',
+        circuit_open: 'The service is paused for a moment. Try again in a minute.',
+        no_image: 'The service did not return an image. Try again or use different photos.',
+        safety_blocked: 'The images were blocked by the safety filter. Try other photos.',
+        generation_failed: 'The generation failed. Please try again.',
+        generation_timeout: 'Timeout - The generation took too long.',
+        upload_failed: 'The images could not be uploaded to the service. Please try again.',
+        disallowed_content: 'These images cannot be processed. Please use other photos.',
+        screening_unavailable: 'The photos could not be checked right now. Please try again in a moment.',
+        product_in_model_slot: 'The model photo shows a product, not a person. Put the photo of the person in the model slot.',
+        no_person: 'No person was found in the model photo.',
+        multiple_people: 'The model photo shows {count} people. Use a photo of one person.',
+        head_not_visible: 'The head is not fully visible in the model photo, which a headwear try-on needs.',
+        face_not_visible: 'The face is not clearly visible in the model photo, which an eyewear try-on needs.',
+        upper_body_not_visible: 'The upper body is not fully visible in the model photo.',
+        lower_body_not_visible: 'The legs are not fully visible in the model photo.',
+        feet_not_visible: 'The feet are not visible in the model photo, which a shoes try-on needs.',
+        garment_mismatch: 'The product photo does not show the chosen category ({swapType}).',
+        no_garment: 'No clothing item or accessory was found in the product photo.',
+        invalid_job_id: 'The generation ID is not valid.',
+        job_not_found: 'This generation no longer exists.',
+        job_status_failed: 'The generation status could not be checked. Please try again.',
+        refine_input_required: 'Describe what you want to change in the result.',
+        result_not_found: 'This result can no longer be edited. Generate a new try-on.',
+        refine_limit: 'You have reached the maximum number of edits ({max}). Generate a new try-on.',
+        refine_unavailable: 'This result cannot be edited. Generate a new try-on.'
+    },
+
+    ui: {
+        'page.title': 'Cameleon - Your Virtual Fitting Room',
+        'header.title': 'Your Virtual Fitting Room',
+        'header.history': '🕘 History',
+        'header.historyTitle': 'Your previous try-ons',
+        'header.language': 'Language',
+
+        'section.model': 'Model',
+        'section.product': 'Product',
+        'section.result': 'Result',
+
+        'upload.model': 'Click to upload the model',
+        'upload.product': 'Click to upload the product',
+        'upload.hint': 'Up to 4MB - Automatic compression',
+        'upload.processing': 'Optimizing image...',
+        'upload.addGarment': '+ Add garment',
+        'upload.addGarmentTitle': 'Add another garment to the look',
+        'upload.garmentThumb': 'Upload garment',
+        'upload.removeGarment': 'Remove garment',
+
+        'result.placeholder': 'Your virtual outfit will appear here',
+        'result.failed': 'Generation error',
+        'result.generated': '✓ Generated',
+        'result.before': 'Before',
+        'result.after': 'After',
+        'result.compareSlider': 'Before and after comparison',
+
+        'actions.compare': 'Compare before/after',
+        'actions.export': 'Export composite',
+        'actions.download': 'Download image',
+        'actions.enlarge': 'Enlarge',
+        'actions.share': 'Share link',
+        'actions.linkCopied': 'Link copied',
+
+        'refine.placeholder': 'Touch up the result: e.g. shorter sleeves',
+        'refine.button': 'Edit',
+        'refine.original': 'Original',
+        'refine.originalTitle': 'Original result',
+
+        'swap.title': 'Try-on Type',
+        'swap.label.Auto': 'Auto',
+        'swap.label.Full Outfit': 'Full outfit',
+        'swap.label.Upper-Body': 'Top',
+        'swap.label.Lower-Body': 'Bottom',
+        'swap.label.Dress': 'Dress',
+        'swap.label.Shoes': 'Shoes',
+        'swap.label.Headwear': 'Hats',
+        'swap.label.Eyewear': 'Glasses',
+        'swap.label.Bodywear': 'Accessories',
+        'swap.label.Jewelry': 'Jewelry',
+        'swap.label.Bags': 'Bags',
+        'swap.label.Upper-body': 'Upper-body',
+        'swap.label.Lower-body': 'Lower-body',
+        'swap.label.Dresses': 'Dresses',
+        'swap.desc.Auto': 'Detects the garment',
+        'swap.desc.Full Outfit': 'Whole outfit',
+        'swap.desc.Upper-Body': 'Tops, shirts',
+        'swap.desc.Lower-Body': 'Trousers, skirts',
+        'swap.desc.Dress': 'Dresses, gowns',
+        'swap.desc.Shoes': 'Footwear',
+        'swap.desc.Headwear': 'Headwear',
+        'swap.desc.Eyewear': 'Sunglasses, eyeglasses',
+        'swap.desc.Bodywear': 'Scarves, ties',
+        'swap.desc.Jewelry': 'Necklaces, rings',
+        'swap.desc.Bags': 'Backpacks, handbags',
+        'swap.legacyDesc.Auto': 'Automatic detection',
+        'swap.legacyDesc.Upper-body': 'Tops, shirts, jackets',
+        'swap.legacyDesc.Lower-body': 'Trousers, skirts, shorts',
+        'swap.legacyDesc.Dresses': 'Dresses, full outfits',
+
+        'detection.fallback': 'Category not recognized, used: {label}.',
+        'detection.detected': 'Detected: {label} ({confidence}% confidence).',
+        'detection.override': 'Change type',
+        'cached.note': 'Result already generated with these images.',
+        'cached.regenerate': 'Regenerate',
+        'styling.placeholder': 'Styling instructions (optional): e.g. shirt tucked in, sleeves rolled up',
+        'styling.variants': 'Variants to compare:',
+        'steps.title': 'Step {step}: {swapTypes}',
+        'variants.title': 'Variant {variant}',
+
+        'progress.upload.text': 'Uploading images...',
+        'progress.upload.subtext': 'Sending the images to the server',
+        'progress.preparing': 'Getting ready...',
+        'progress.timer': 'Elapsed time: {seconds}s',
+        'progress.parsed.text': 'Uploading images...',
+        'progress.parsed.subtext': 'Images received by the server',
+        'progress.normalized.text': 'Preparing images...',
+        'progress.normalized.subtext': 'Checking format and size',
+        'progress.screened.text': 'Photos checked...',
+        'progress.screened.subtext': 'Person and garment recognized',
+        'progress.queued.text': 'Starting AI generation...',
+        'progress.queued.subtext': 'Request queued',
+        'progress.classified.text': 'Garment recognized...',
+        'progress.classified.subtext': 'Category detected automatically',
+        'progress.hosted.text': 'Images ready...',
+        'progress.hosted.subtext': 'Upload to the generation server complete',
+        'progress.generating.text': 'Generating...',
+        'progress.generating.subtext': 'The AI is fitting the garment on the model',
+        'progress.upstream.text': 'Generating...',
+        'progress.upstream.subtext': 'Processing on the AI server',
+        'progress.storing.text': 'Final touches...',
+        'progress.storing.subtext': 'Saving the result',
+        'progress.inQueue.text': 'Queued on the AI server...',
+        'progress.inQueue.subtext': 'The generation will start shortly',
+        'progress.inProgress.text': 'Generating...',
+        'progress.inProgress.subtext': 'The AI server is processing the image',
+        'progress.garmentStep': 'Garment {step} of {steps}',
+        'progress.variants': '{variants} variants in parallel',
+        'progress.done.text': 'Done!',
+        'progress.done.subtext': 'Your new look is ready!',
+        'progress.done.Shoes': 'Your shoes are ready!',
+        'progress.done.Headwear': 'Your hat looks perfect!',
+        'progress.done.Eyewear': 'Your glasses are ready!',
+        'progress.done.Jewelry': 'Your jewelry shines!',
+        'progress.done.Bags': 'Your bag is ready!',
+        'progress.done.Upper-Body': 'Your top looks perfect!',
+        'progress.done.Lower-Body': 'Your bottoms are ready!',
+        'progress.done.Dress': 'Your dress looks elegant!',
+        'progress.done.Bodywear': 'Your accessory looks perfect!',
+
+        'generate.button': 'Generate',
+        'generate.running': 'Generating...',
+
+        'errors.imageOnly': 'Please upload image files only (JPG, PNG, etc.)',
+        'errors.imageProcessing': 'The image could not be processed. Please try again.',
+        'errors.bothImages': 'Please upload both images',
+        'errors.generic': 'An error occurred. Please try again later.',
+        'errors.timeout': 'Timeout - The generation took too long.',
+        'errors.generation': 'Image generation error',
+        'errors.connection': 'Connection lost',
+        'errors.refineEmpty': 'Describe what you want to change in the result',
+        'errors.refine': 'Image editing error',
+        'errors.refineTimeout': 'Timeout - The edit took too long.',
+        'errors.refineGeneric': 'The result could not be edited. Please try again.',
+        'errors.download': 'The image could not be downloaded. Please try again.',
+        'errors.composite': 'The composite could not be created. Please try again.',
+        'errors.share': 'The link could not be shared. Please try again.',
+        'errors.history': 'History is not available in this browser.',
+
+        'share.title': 'My Cameleon look',
+
+        'export.title': 'Export composite',
+        'export.layout': 'Layout',
+        'export.sideBySide': 'Side by side',
+        'export.grid': 'Grid',
+        'export.size': 'Size',
+        'export.square': 'Square post (1080×1080)',
+        'export.portrait': 'Portrait post (1080×1350)',
+        'export.story': 'Story (1080×1920)',
+        'export.landscape': 'Link preview (1200×630)',
+        'export.download': 'Download composite',
+
+        'history.title': 'History',
+        'history.favoritesOnly': 'Favorites only',
+        'history.empty': 'No saved try-ons yet: your generations will appear here.',
+        'history.emptyFavorites': 'No favorites: tap ☆ on a try-on to keep it here.',
+        'history.enlarge': 'Enlarge',
+        'history.result': 'Result',
+        'history.useModel': 'Use this model',
+        'history.useProduct': 'Use this product',
+        'history.addFavorite': 'Add to favorites',
+        'history.removeFavorite': 'Remove from favorites',
+        'history.delete': 'Delete',
+        'history.rerun': 'Try again',
+        'history.rerunTitle': 'Regenerate with these photos',
+
+        'widget.title': 'Try it on',
+        'widget.close': 'Close',
+        'widget.product': 'The product',
+        'widget.productSku': 'Item {sku}',
+        'widget.modelHint': 'Upload a full-length photo of yourself',
+        'widget.changePhoto': 'Change photo',
+        'widget.tryOn': 'Try it on',
+        'widget.addToCart': 'Add to cart',
+        'widget.retry': 'Try another photo',
+        'widget.aiNotice': 'AI-generated image: size and fit may differ.',
+        'widget.poweredBy': 'Powered by Cameleon',
+        'widget.noProduct': 'No product was given for the try-on.',
+        'widget.unavailable': 'Try-on is not available on this page.',
+
+        'batch.pageTitle': 'Cameleon - Batch Try-On',
+        'batch.title': 'Batch Try-On',
+        'batch.products': 'Products',
+        'batch.addProducts': '+ Add products',
+        'batch.defaultType': 'Default type:',
+        'batch.productCount': '{count} products',
+        'batch.start': '⭐ Generate all',
+        'batch.waiting': 'Waiting',
+        'batch.progress': '{done}/{total} completed ({succeeded} succeeded)',
+        'batch.downloadZip': '💾 Download ZIP',
+        'batch.maxItems': 'At most {max} products per batch',
+        'batch.status.pending': 'Ready',
+        'batch.status.uploading': 'Uploading...',
+        'batch.status.queued': 'Queued...',
+        'batch.status.running': 'Generating...',
+        'batch.status.succeeded': '✓ Generated',
+        'batch.status.failed': '❌ Error',
+        'batch.retry': '🔄 Retry',
+        'batch.remove': '× Remove',
+        'batch.resultAlt': 'Result {index}',
+        'batch.errors.start': 'Could not start the batch',
+        'batch.errors.upload': 'Could not upload the images',
+        'batch.errors.zip': 'Could not create the ZIP. Please try again.'
+    }
+};
@@ -0,0 +1,277 @@
+/**
+ * Spanish messages
+ */
+
+export default {
+    api: {
+        server_misconfigured: 'El servicio no está configurado por completo. Contacta con soporte.',
+        api_key_required: 'Envía tu clave API en la cabecera Authorization o X-API-Key.',
+        session_required: 'Tu sesión ha caducado. Vuelve a cargar la página.',
+        widget_session_expired: 'La sesión de prueba ha caducado. Ciérrala y vuelve a abrirla.',
+        api_key_invalid: 'La clave API no se reconoce.',
+        api_key_disabled: 'Esta clave API ha sido desactivada.',
+        origin_not_allowed: 'Las solicitudes desde {origin} no están permitidas para esta clave API.',
+        quota_exceeded: 'Esta clave API ha agotado su cuota de {limit} generaciones.',
+        rate_limited: 'Demasiadas solicitudes. Espera un momento y vuelve a intentarlo.',
+        invalid_idempotency_key: 'La Idempotency-Key debe tener de 1 a 255 caracteres ASCII imprimibles.',
+        idempotency_key_reused: 'Esta Idempotency-Key ya se usó para otra solicitud.',
+        idempotency_key_in_progress: 'Una solicitud con esta Idempotency-Key todavía se está procesando. Inténtalo de nuevo en un momento.',
+        missing_images: 'Por favor, sube las dos imágenes.',
+        missing_image: 'Elige una imagen para subir.',
+        upload_expired: 'Una imagen subida ya no está disponible. Vuelve a subirla.',
+        too_many_garments: 'Puedes enviar como máximo {max} prendas por solicitud.',
+        unsupported_layering: 'El modo de superposición «{layering}» no está disponible.',
+        invalid_variants: 'El número de variantes debe ser un entero, 1 o más.',
+        too_many_variants: 'Puedes pedir como máximo {max} variantes a la vez.',
+        garment_urls_disabled: 'Las prendas por enlace no están activadas en este servicio. Sube la foto.',
+        invalid_garment_url: 'El enlace de la imagen de la prenda no es válido.',
+        invalid_sku: 'El código de producto no es válido.',
+        unknown_sku: 'No se encontró ningún producto para: {skus}.',
+        swap_type_not_allowed: 'Esta clave API no puede usar: {swapTypes}.',
+        unsupported_swap_type: 'Tipo de prueba no admitido: {swapTypes}.',
+        instructions_unavailable: 'Las indicaciones de estilo no están disponibles en este servicio.',
+        invalid_instruction: 'Las indicaciones de estilo no son válidas: usa una frase breve, sin enlaces.',
+        invalid_callback_url: 'La URL de callback no es válida.',
+        unsafe_url: 'El enlace indicado no es válido.',
+        invalid_image: 'Formato de imagen no admitido. Usa una foto JPEG, PNG o WebP.',
+        file_too_large: 'Las imágenes son demasiado grandes. Usa imágenes de menos de 4,5 MB.',
+        image_fetch_failed: 'No se pudo descargar la imagen de la prenda. Revisa el enlace.',
+        timeout: 'La descarga de la imagen tardó demasiado.',
+        invalid_input: 'No se pudieron procesar las imágenes. Prueba con otras imágenes.',
+        internal: 'Se ha producido un error. Inténtalo de nuevo más tarde.',
+        upstream_rate_limited: 'El servicio está muy solicitado en este momento. Inténtalo de nuevo en un minuto.',
+        upstream_unavailable: 'El servicio de generación no está disponible. Inténtalo de nuevo en unos minutos.',
+        upstream_timeout: 'El servicio tardó demasiado. Inténtalo de nuevo.',
+        upstream_rejected: 'El servicio no pudo procesar la solicitud. Inténtalo de nuevo más tarde.',
+        circuit_open: 'El servicio está en pausa temporalmente. Inténtalo de nuevo en un minuto.',
+        no_image: 'El servicio no devolvió ninguna imagen. Inténtalo de nuevo o usa otras fotos.',
+        safety_blocked: 'El filtro de seguridad bloqueó las imágenes. Prueba con otras fotos.',
+        generation_failed: 'La generación ha fallado. Inténtalo de nuevo.',
+        generation_timeout: 'Tiempo agotado - La generación tardó demasiado.',
+        upload_failed: 'No se pudieron subir las imágenes al servicio. Inténtalo de nuevo.',
+        disallowed_content: 'Estas imágenes no se pueden procesar. Usa otras fotos.',
+        screening_unavailable: 'No se han podido comprobar las fotos en este momento. Inténtalo de nuevo en unos instantes.',
+        product_in_model_slot: 'La foto de la modelo muestra un producto, no una persona. Sube la foto de la persona en el espacio Modelo.',
+        no_person: 'No se encontró ninguna persona en la foto de la modelo.',
+        multiple_people: 'En la foto de la modelo hay {count} personas. Usa una foto de una sola persona.',
+        head_not_visible: 'La cabeza no se ve entera en la foto: hace falta para probar un sombrero.',
+        face_not_visible: 'La cara no se ve bien en la foto: hace falta para probar unas gafas.',
+        upper_body_not_visible: 'La parte superior del cuerpo no se ve entera en la foto.',
+        lower_body_not_visible: 'Las piernas no se ven enteras en la foto.',
+        feet_not_visible: 'Los pies no se ven en la foto: hacen falta para probar unos zapatos.',
+        garment_mismatch: 'La foto del producto no muestra el tipo de prenda elegido. Revisa el tipo de prueba.',
+        no_garment: 'No se encontró ninguna prenda ni accesorio en la foto del producto.',
+        invalid_job_id: 'El identificador de la generación no es válido.',
+        job_not_found: 'Esta generación ya no existe.',
+        job_status_failed: 'No se pudo comprobar el estado de la generación. Inténtalo de nuevo.',
+        refine_input_required: 'Describe qué quieres cambiar en el resultado.',
+        result_not_found: 'Este resultado ya no se puede modificar. Genera una nueva prueba.',
+        refine_limit: 'Has alcanzado el número máximo de cambios ({max}). Genera una nueva prueba.',
+        refine_unavailable: 'Este resultado no se puede modificar. Genera una nueva prueba.'
+    },
+
+    ui: {
+        'page.title': 'Cameleon - Tu probador virtual',
+        'header.title': 'Tu probador virtual',
+        'header.history': '🕘 Historial',
+        'header.historyTitle': 'Tus pruebas anteriores',
+        'header.language': 'Idioma',
+
+        'section.model': 'Modelo',
+        'section.product': 'Producto',
+        'section.result': 'Resultado',
+
+        'upload.model': 'Haz clic para subir la modelo',
+        'upload.product': 'Haz clic para subir el producto',
+        'upload.hint': 'Máximo 4 MB - Compresión automática',
+        'upload.processing': 'Optimizando imagen...',
+        'upload.addGarment': '+ Añadir prenda',
+        'upload.addGarmentTitle': 'Añadir otra prenda al look',
+        'upload.garmentThumb': 'Subir prenda',
+        'upload.removeGarment': 'Quitar prenda',
+
+        'result.placeholder': 'Tu outfit virtual aparecerá aquí',
+        'result.failed': 'Error durante la generación',
+        'result.generated': '✓ Generado',
+        'result.before': 'Antes',
+        'result.after': 'Después',
+        'result.compareSlider': 'Comparación antes y después',
+
+        'actions.compare': 'Comparar antes/después',
+        'actions.export': 'Exportar composición',
+        'actions.download': 'Descargar imagen',
+        'actions.enlarge': 'Ampliar',
+        'actions.share': 'Compartir enlace',
+        'actions.linkCopied': 'Enlace copiado',
+
+        'refine.placeholder': 'Retoca el resultado: p. ej. mangas más cortas',
+        'refine.button': 'Modificar',
+        'refine.original': 'Original',
+        'refine.originalTitle': 'Resultado original',
+
+        'swap.title': 'Tipo de prueba',
+        'swap.label.Auto': 'Auto',
+        'swap.label.Full Outfit': 'Completo',
+        'swap.label.Upper-Body': 'Arriba',
+        'swap.label.Lower-Body': 'Abajo',
+        'swap.label.Dress': 'Vestido',
+        'swap.label.Shoes': 'Zapatos',
+        'swap.label.Headwear': 'Sombreros',
+        'swap.label.Eyewear': 'Gafas',
+        'swap.label.Bodywear': 'Accesorios',
+        'swap.label.Jewelry': 'Joyas',
+        'swap.label.Bags': 'Bolsos',
+        'swap.label.Upper-body': 'Upper-body',
+        'swap.label.Lower-body': 'Lower-body',
+        'swap.label.Dresses': 'Dresses',
+        'swap.desc.Auto': 'Detecta la prenda',
+        'swap.desc.Full Outfit': 'Outfit entero',
+        'swap.desc.Upper-Body': 'Camisetas, camisas',
+        'swap.desc.Lower-Body': 'Pantalones, faldas',
+        'swap.desc.Dress': 'Vestidos',
+        'swap.desc.Shoes': 'Calzado',
+        'swap.desc.Headwear': 'Gorros, sombreros',
+        'swap.desc.Eyewear': 'De sol, graduadas',
+        'swap.desc.Bodywear': 'Bufandas, corbatas',
+        'swap.desc.Jewelry': 'Collares, anillos',
+        'swap.desc.Bags': 'Mochilas, bolsos',
+        'swap.legacyDesc.Auto': 'Detección automática',
+        'swap.legacyDesc.Upper-body': 'Camisetas, camisas, chaquetas',
+        'swap.legacyDesc.Lower-body': 'Pantalones, faldas, shorts',
+        'swap.legacyDesc.Dresses': 'Vestidos, conjuntos completos',
+
+        'detection.fallback': 'Categoría no reconocida, se usó: {label}.',
+        'detection.detected': 'Detectado: {label} ({confidence} % de seguridad).',
+        'detection.override': 'Cambiar tipo',
+        'cached.note': 'Resultado ya generado con estas imágenes.',
+        'cached.regenerate': 'Regenerar',
+        'styling.placeholder': 'Indicaciones de estilo (opcionales): p. ej. camisa por dentro, mangas remangadas',
+        'styling.variants': 'Variantes para comparar:',
+        'steps.title': 'Paso {step}: {swapTypes}',
+        'variants.title': 'Variante {variant}',
+
+        'progress.upload.text': 'Subiendo imágenes...',
+        'progress.upload.subtext': 'Enviando las imágenes al servidor',
+        'progress.preparing': 'Preparando...',
+        'progress.timer': 'Tiempo transcurrido: {seconds} s',
+        'progress.parsed.text': 'Subiendo imágenes...',
+        'progress.parsed.subtext': 'Imágenes recibidas por el servidor',
+        'progress.normalized.text': 'Preparando imágenes...',
+        'progress.normalized.subtext': 'Comprobando formato y tamaño',
+        'progress.screened.text': 'Fotos verificadas...',
+        'progress.screened.subtext': 'Persona y prenda reconocidas',
+        'progress.queued.text': 'Iniciando la generación con IA...',
+        'progress.queued.subtext': 'Solicitud en cola',
+        'progress.classified.text': 'Prenda reconocida...',
+        'progress.classified.subtext': 'Categoría detectada automáticamente',
+        'progress.hosted.text': 'Imágenes listas...',
+        'progress.hosted.subtext': 'Subida al servidor de generación completada',
+        'progress.generating.text': 'Generando...',
+        'progress.generating.subtext': 'La IA está aplicando la prenda a la modelo',
+        'progress.upstream.text': 'Generando...',
+        'progress.upstream.subtext': 'Procesando en el servidor de IA',
+        'progress.storing.text': 'Últimos retoques...',
+        'progress.storing.subtext': 'Guardando el resultado',
+        'progress.inQueue.text': 'En cola en el servidor de IA...',
+        'progress.inQueue.subtext': 'La generación empezará en breve',
+        'progress.inProgress.text': 'Generando...',
+        'progress.inProgress.subtext': 'El servidor de IA está procesando la imagen',
+        'progress.garmentStep': 'Prenda {step} de {steps}',
+        'progress.variants': '{variants} variantes en paralelo',
+        'progress.done.text': '¡Completado!',
+        'progress.done.subtext': '¡Tu nuevo look está listo!',
+        'progress.done.Shoes': '¡Tus zapatos están listos!',
+        'progress.done.Headwear': '¡Tu sombrero queda perfecto!',
+        'progress.done.Eyewear': '¡Tus gafas están listas!',
+        'progress.done.Jewelry': '¡Tus joyas brillan!',
+        'progress.done.Bags': '¡Tu bolso está listo!',
+        'progress.done.Upper-Body': '¡Tu prenda queda perfecta!',
+        'progress.done.Lower-Body': '¡Tu prenda está lista!',
+        'progress.done.Dress': '¡Tu vestido es elegante!',
+        'progress.done.Bodywear': '¡Tu accesorio queda perfecto!',
+
+        'generate.button': 'Generar',
+        'generate.running': 'Generando...',
+
+        'errors.imageOnly': 'Por favor, sube solo archivos de imagen (JPG, PNG, etc.)',
+        'errors.imageProcessing': 'Error al procesar la imagen. Inténtalo de nuevo.',
+        'errors.bothImages': 'Por favor, sube las dos imágenes',
+        'errors.generic': 'Se ha producido un error. Inténtalo de nuevo más tarde.',
+        'errors.timeout': 'Tiempo agotado - La generación tardó demasiado.',
+        'errors.generation': 'Error al generar la imagen',
+        'errors.connection': 'Conexión interrumpida',
+        'errors.refineEmpty': 'Describe qué quieres cambiar en el resultado',
+        'errors.refine': 'Error al modificar la imagen',
+        'errors.refineTimeout': 'Tiempo agotado - La modificación tardó demasiado.',
+        'errors.refineGeneric': 'No se pudo modificar el resultado. Inténtalo de nuevo.',
+        'errors.download': 'No se pudo descargar la imagen. Inténtalo de nuevo.',
+        'errors.composite': 'No se pudo crear la composición. Inténtalo de nuevo.',
+        'errors.share': 'No se pudo compartir el enlace. Inténtalo de nuevo.',
+        'errors.history': 'El historial no está disponible en este navegador.',
+
+        'share.title': 'Mi look Cameleon',
+
+        'export.title': 'Exportar composición',
+        'export.layout': 'Diseño',
+        'export.sideBySide': 'En paralelo',
+        'export.grid': 'Cuadrícula',
+        'export.size': 'Formato',
+        'export.square': 'Post cuadrado (1080×1080)',
+        'export.portrait': 'Post vertical (1080×1350)',
+        'export.story': 'Historia (1080×1920)',
+        'export.landscape': 'Vista previa de enlace (1200×630)',
+        'export.download': 'Descargar composición',
+
+        'history.title': 'Historial',
+        'history.favoritesOnly': 'Solo favoritos',
+        'history.empty': 'No hay pruebas guardadas: tus generaciones aparecerán aquí.',
+        'history.emptyFavorites': 'No hay favoritos: toca ☆ en una prueba para guardarla aquí.',
+        'history.enlarge': 'Ampliar',
+        'history.result': 'Resultado',
+        'history.useModel': 'Usar esta modelo',
+        'history.useProduct': 'Usar este producto',
+        'history.addFavorite': 'Añadir a favoritos',
+        'history.removeFavorite': 'Quitar de favoritos',
+        'history.delete': 'Eliminar',
+        'history.rerun': 'Reintentar',
+        'history.rerunTitle': 'Regenerar con estas fotos',
+
+        'widget.title': 'Pruébatelo',
+        'widget.close': 'Cerrar',
+        'widget.product': 'El producto',
+        'widget.productSku': 'Artículo {sku}',
+        'widget.modelHint': 'Sube una foto tuya de cuerpo entero',
+        'widget.changePhoto': 'Cambiar foto',
+        'widget.tryOn': 'Probar',
+        'widget.addToCart': 'Añadir al carrito',
+        'widget.retry': 'Probar otra foto',
+        'widget.aiNotice': 'Imagen generada por IA: la talla y el ajuste pueden variar.',
+        'widget.poweredBy': 'Con la tecnología de Cameleon',
+        'widget.noProduct': 'No se ha indicado ningún producto para la prueba.',
+        'widget.unavailable': 'La prueba no está disponible en esta página.',
+
+        'batch.pageTitle': 'Cameleon - Prueba en serie',
+        'batch.title': 'Prueba en serie',
+        'batch.products': 'Productos',
+        'batch.addProducts': '+ Añadir productos',
+        'batch.defaultType': 'Tipo predeterminado:',
+        'batch.productCount': '{count} productos',
+        'batch.start': '⭐ Generar todo',
+        'batch.waiting': 'En espera',
+        'batch.progress': '{done}/{total} completados ({succeeded} correctos)',
+        'batch.downloadZip': '💾 Descargar ZIP',
+        'batch.maxItems': 'Máximo {max} productos por serie',
+        'batch.status.pending': 'Listo',
+        'batch.status.uploading': 'Subiendo...',
+        'batch.status.queued': 'En cola...',
+        'batch.status.running': 'Generando...',
+        'batch.status.succeeded': '✓ Generado',
+        'batch.status.failed': '❌ Error',
+        'batch.retry': '🔄 Reintentar',
+        'batch.remove': '× Quitar',
+        'batch.resultAlt': 'Resultado {index}',
+        'batch.errors.start': 'No se pudo iniciar la serie',
+        'batch.errors.upload': 'No se pudieron subir las imágenes',
+        'batch.errors.zip': 'No se pudo crear el ZIP. Inténtalo de nuevo.'
+    }
+};
@@ -0,0 +1,277 @@
+/**
+ * French messages
+ */
+
+export default {
+    api: {
+        server_misconfigured: "Le service n'est pas entièrement configuré. Contactez le support.",
+        api_key_required: "Envoyez votre clé API dans l'en-tête Authorization ou X-API-Key.",
+        session_required: 'Votre session a expiré. Veuillez recharger la page.',
+        widget_session_expired: "La session d'essayage a expiré. Fermez-la et rouvrez-la.",
+        api_key_invalid: "La clé API n'est pas reconnue.",
+        api_key_disabled: 'Cette clé API a été désactivée.',
+        origin_not_allowed: 'Les requêtes depuis {origin} ne sont pas autorisées pour cette clé API.',
+        quota_exceeded: 'Cette clé API a épuisé son quota de {limit} générations.',
+        rate_limited: 'Trop de requêtes. Patientez un instant puis réessayez.',
+        invalid_idempotency_key: "L'Idempotency-Key doit comporter de 1 à 255 caractères ASCII imprimables.",
+        idempotency_key_reused: 'Cette Idempotency-Key a déjà servi pour une autre requête.',
+        idempotency_key_in_progress: 'Une requête avec cette Idempotency-Key est encore en cours de traitement. Réessayez dans un instant.',
+        missing_images: 'Veuillez importer les deux images.',
+        missing_image: 'Choisissez une image à importer.',
+        upload_expired: "Une image importée n'est plus disponible. Veuillez l'importer à nouveau.",
+        too_many_garments: 'Vous pouvez envoyer au maximum {max} vêtements par requête.',
+        unsupported_layering: "Le mode de superposition « {layering} » n'est pas disponible.",
+        invalid_variants: 'Le nombre de variantes doit être un entier, 1 ou plus.',
+        too_many_variants: 'Vous pouvez demander au maximum {max} variantes à la fois.',
+        garment_urls_disabled: "Les vêtements par lien ne sont pas activés sur ce service. Importez la photo.",
+        invalid_garment_url: "Le lien de l'image du vêtement n'est pas valide.",
+        invalid_sku: "La référence produit n'est pas valide.",
+        unknown_sku: 'Aucun produit trouvé pour : {skus}.',
+        swap_type_not_allowed: 'Cette clé API ne peut pas utiliser : {swapTypes}.',
+        unsupported_swap_type: "Type d'essayage non pris en charge : {swapTypes}.",
+        instructions_unavailable: 'Les indications de style ne sont pas disponibles sur ce service.',
+        invalid_instruction: 'Les indications de style ne sont pas valides : utilisez une phrase courte, sans lien.',
+        invalid_callback_url: "L'URL de rappel n'est pas valide.",
+        unsafe_url: "Le lien indiqué n'est pas valide.",
+        invalid_image: "Format d'image non pris en charge. Utilisez une photo JPEG, PNG ou WebP.",
+        file_too_large: 'Les images sont trop lourdes. Utilisez des images de moins de 4,5 Mo.',
+        image_fetch_failed: "L'image du vêtement n'a pas pu être téléchargée. Vérifiez le lien.",
+        timeout: "Le téléchargement de l'image a pris trop de temps.",
+        invalid_input: "Les images n'ont pas pu être traitées. Essayez avec d'autres images.",
+        internal: 'Une erreur est survenue. Réessayez plus tard.',
+        upstream_rate_limited: 'Le service est très sollicité en ce moment. Réessayez dans une minute.',
+        upstream_unavailable: "Le service de génération n'est pas disponible. Réessayez dans quelques minutes.",
+        upstream_timeout: 'Le service a mis trop de temps. Réessayez.',
+        upstream_rejected: "Le service n'a pas pu traiter la requête. Réessayez plus tard.",
+        circuit_open: 'Le service est momentanément en pause. Réessayez dans une minute.',
+        no_image: "Le service n'a pas renvoyé d'image. Réessayez ou utilisez d'autres photos.",
+        safety_blocked: "Les images ont été bloquées par le filtre de sécurité. Essayez avec d'autres photos.",
+        generation_failed: 'La génération a échoué. Réessayez.',
+        generation_timeout: 'Délai dépassé - La génération a pris trop de temps.',
+        upload_failed: "Les images n'ont pas pu être envoyées au service. Réessayez.",
+        disallowed_content: "Ces images ne peuvent pas être traitées. Utilisez d'autres photos.",
+        screening_unavailable: "Les photos n'ont pas pu être vérifiées pour le moment. Réessayez dans un instant.",
+        product_in_model_slot: "La photo du mannequin montre un produit, pas une personne. Placez la photo de la personne dans l'emplacement Mannequin.",
+        no_person: 'Aucune personne trouvée sur la photo du mannequin.',
+        multiple_people: "La photo du mannequin montre {count} personnes. Utilisez la photo d'une seule personne.",
+        head_not_visible: "La tête n'est pas entièrement visible sur la photo, ce qui est nécessaire pour essayer un chapeau.",
+        face_not_visible: "Le visage n'est pas bien visible sur la photo, ce qui est nécessaire pour essayer des lunettes.",
+        upper_body_not_visible: "Le haut du corps n'est pas entièrement visible sur la photo.",
+        lower_body_not_visible: 'Les jambes ne sont pas entièrement visibles sur la photo.',
+        feet_not_visible: 'Les pieds ne sont pas visibles sur la photo, ce qui est nécessaire pour essayer des chaussures.',
+        garment_mismatch: "La photo du produit ne montre pas le type de vêtement choisi. Vérifiez le type d'essayage.",
+        no_garment: 'Aucun vêtement ni accessoire trouvé sur la photo du produit.',
+        invalid_job_id: "L'identifiant de la génération n'est pas valide.",
+        job_not_found: "Cette génération n'existe plus.",
+        job_status_failed: "L'état de la génération n'a pas pu être vérifié. Réessayez.",
+        refine_input_required: 'Décrivez ce que vous voulez modifier dans le résultat.',
+        result_not_found: 'Ce résultat ne peut plus être modifié. Lancez un nouvel essayage.',
+        refine_limit: 'Vous avez atteint le nombre maximal de retouches ({max}). Lancez un nouvel essayage.',
+        refine_unavailable: 'Ce résultat ne peut pas être modifié. Lancez un nouvel essayage.'
+    },
+
+    ui: {
+        'page.title': "Cameleon - Votre cabine d'essayage virtuelle",
+        'header.title': "Votre cabine d'essayage virtuelle",
+        'header.history': '🕘 Historique',
+        'header.historyTitle': 'Vos essayages précédents',
+        'header.language': 'Langue',
+
+        'section.model': 'Mannequin',
+        'section.product': 'Produit',
+        'section.result': 'Résultat',
+
+        'upload.model': 'Cliquez pour importer le mannequin',
+        'upload.product': 'Cliquez pour importer le produit',
+        'upload.hint': '4 Mo maximum - Compression automatique',
+        'upload.processing': "Optimisation de l'image...",
+        'upload.addGarment': '+ Ajouter un vêtement',
+        'upload.addGarmentTitle': 'Ajouter un autre vêtement au look',
+        'upload.garmentThumb': 'Importer un vêtement',
+        'upload.removeGarment': 'Retirer le vêtement',
+
+        'result.placeholder': 'Votre tenue virtuelle apparaîtra ici',
+        'result.failed': 'Erreur lors de la génération',
+        'result.generated': '✓ Généré',
+        'result.before': 'Avant',
+        'result.after': 'Après',
+        'result.compareSlider': 'Comparaison avant et après',
+
+        'actions.compare': 'Comparer avant/après',
+        'actions.export': 'Exporter la composition',
+        'actions.download': "Télécharger l'image",
+        'actions.enlarge': 'Agrandir',
+        'actions.share': 'Partager le lien',
+        'actions.linkCopied': 'Lien copié',
+
+        'refine.placeholder': 'Retouchez le résultat : ex. manches plus courtes',
+        'refine.button': 'Modifier',
+        'refine.original': 'Original',
+        'refine.originalTitle': 'Résultat original',
+
+        'swap.title': "Type d'essayage",
+        'swap.label.Auto': 'Auto',
+        'swap.label.Full Outfit': 'Tenue',
+        'swap.label.Upper-Body': 'Haut',
+        'swap.label.Lower-Body': 'Bas',
+        'swap.label.Dress': 'Robe',
+        'swap.label.Shoes': 'Chaussures',
+        'swap.label.Headwear': 'Chapeaux',
+        'swap.label.Eyewear': 'Lunettes',
+        'swap.label.Bodywear': 'Accessoires',
+        'swap.label.Jewelry': 'Bijoux',
+        'swap.label.Bags': 'Sacs',
+        'swap.label.Upper-body': 'Upper-body',
+        'swap.label.Lower-body': 'Lower-body',
+        'swap.label.Dresses': 'Dresses',
+        'swap.desc.Auto': 'Détecte le vêtement',
+        'swap.desc.Full Outfit': 'Tenue complète',
+        'swap.desc.Upper-Body': 'Hauts, chemises',
+        'swap.desc.Lower-Body': 'Pantalons, jupes',
+        'swap.desc.Dress': 'Robes',
+        'swap.desc.Shoes': 'Chaussures',
+        'swap.desc.Headwear': 'Couvre-chefs',
+        'swap.desc.Eyewear': 'Solaires, de vue',
+        'swap.desc.Bodywear': 'Écharpes, cravates',
+        'swap.desc.Jewelry': 'Colliers, bagues',
+        'swap.desc.Bags': 'Sacs à dos, sacs à main',
+        'swap.legacyDesc.Auto': 'Détection automatique',
+        'swap.legacyDesc.Upper-body': 'Hauts, chemises, vestes',
+        'swap.legacyDesc.Lower-body': 'Pantalons, jupes, shorts',
+        'swap.legacyDesc.Dresses': 'Robes, tenues complètes',
+
+        'detection.fallback': 'Catégorie non reconnue, utilisé : {label}.',
+        'detection.detected': 'Détecté : {label} ({confidence} % de certitude).',
+        'detection.override': 'Changer le type',
+        'cached.note': 'Résultat déjà généré avec ces images.',
+        'cached.regenerate': 'Régénérer',
+        'styling.placeholder': 'Indications de style (facultatives) : ex. chemise rentrée, manches retroussées',
+        'styling.variants': 'Variantes à comparer :',
+        'steps.title': 'Étape {step} : {swapTypes}',
+        'variants.title': 'Variante {variant}',
+
+        'progress.upload.text': 'Envoi des images...',
+        'progress.upload.subtext': 'Envoi des images au serveur',
+        'progress.preparing': 'Préparation en cours...',
+        'progress.timer': 'Temps écoulé : {seconds} s',
+        'progress.parsed.text': 'Envoi des images...',
+        'progress.parsed.subtext': 'Images reçues par le serveur',
+        'progress.normalized.text': 'Préparation des images...',
+        'progress.normalized.subtext': 'Vérification du format et de la taille',
+        'progress.screened.text': 'Photos vérifiées...',
+        'progress.screened.subtext': 'Personne et vêtement reconnus',
+        'progress.queued.text': 'Lancement de la génération IA...',
+        'progress.queued.subtext': "Requête mise en file d'attente",
+        'progress.classified.text': 'Vêtement reconnu...',
+        'progress.classified.subtext': 'Catégorie détectée automatiquement',
+        'progress.hosted.text': 'Images prêtes...',
+        'progress.hosted.subtext': 'Envoi au serveur de génération terminé',
+        'progress.generating.text': 'Génération en cours...',
+        'progress.generating.subtext': "L'IA applique le vêtement sur le mannequin",
+        'progress.upstream.text': 'Génération en cours...',
+        'progress.upstream.subtext': 'Traitement sur le serveur IA',
+        'progress.storing.text': 'Finitions...',
+        'progress.storing.subtext': 'Enregistrement du résultat',
+        'progress.inQueue.text': "En file d'attente sur le serveur IA...",
+        'progress.inQueue.subtext': 'La génération va bientôt commencer',
+        'progress.inProgress.text': 'Génération en cours...',
+        'progress.inProgress.subtext': "Le serveur IA traite l'image",
+        'progress.garmentStep': 'Vêtement {step} sur {steps}',
+        'progress.variants': '{variants} variantes en parallèle',
+        'progress.done.text': 'Terminé !',
+        'progress.done.subtext': 'Votre nouveau look est prêt !',
+        'progress.done.Shoes': 'Vos chaussures sont prêtes !',
+        'progress.done.Headwear': 'Votre chapeau est parfait !',
+        'progress.done.Eyewear': 'Vos lunettes sont prêtes !',
+        'progress.done.Jewelry': 'Vos bijoux brillent !',
+        'progress.done.Bags': 'Votre sac est prêt !',
+        'progress.done.Upper-Body': 'Votre haut est parfait !',
+        'progress.done.Lower-Body': 'Votre bas est prêt !',
+        'progress.done.Dress': 'Votre robe est élégante !',
+        'progress.done.Bodywear': 'Votre accessoire est parfait !',
+
+        'generate.button': 'Générer',
+        'generate.running': 'Génération en cours...',
+
+        'errors.imageOnly': 'Veuillez importer uniquement des images (JPG, PNG, etc.)',
+        'errors.imageProcessing': "Erreur lors du traitement de l'image. Réessayez.",
+        'errors.bothImages': 'Veuillez importer les deux images',
+        'errors.generic': 'Une erreur est survenue. Réessayez plus tard.',
+        'errors.timeout': 'Délai dépassé - La génération a pris trop de temps.',
+        'errors.generation': "Erreur lors de la génération de l'image",
+        'errors.connection': 'Connexion interrompue',
+        'errors.refineEmpty': 'Décrivez ce que vous voulez modifier dans le résultat',
+        'errors.refine': "Erreur lors de la modification de l'image",
+        'errors.refineTimeout': 'Délai dépassé - La retouche a pris trop de temps.',
+        'errors.refineGeneric': "Le résultat n'a pas pu être modifié. Réessayez.",
+        'errors.download': "Impossible de télécharger l'image. Réessayez.",
+        'errors.composite': 'Impossible de créer la composition. Réessayez.',
+        'errors.share': 'Impossible de partager le lien. Réessayez.',
+        'errors.history': "L'historique n'est pas disponible dans ce navigateur.",
+
+        'share.title': 'Mon look Cameleon',
+
+        'export.title': 'Exporter la composition',
+        'export.layout': 'Disposition',
+        'export.sideBySide': 'Côte à côte',
+        'export.grid': 'Grille',
+        'export.size': 'Format',
+        'export.square': 'Post carré (1080×1080)',
+        'export.portrait': 'Post vertical (1080×1350)',
+        'export.story': 'Story (1080×1920)',
+        'export.landscape': 'Aperçu de lien (1200×630)',
+        'export.download': 'Télécharger la composition',
+
+        'history.title': 'Historique',
+        'history.favoritesOnly': 'Favoris uniquement',
+        'history.empty': 'Aucun essayage enregistré : vos générations apparaîtront ici.',
+        'history.emptyFavorites': 'Aucun favori : touchez ☆ sur un essayage pour le garder ici.',
+        'history.enlarge': 'Agrandir',
+        'history.result': 'Résultat',
+        'history.useModel': 'Utiliser ce mannequin',
+        'history.useProduct': 'Utiliser ce produit',
+        'history.addFavorite': 'Ajouter aux favoris',
+        'history.removeFavorite': 'Retirer des favoris',
+        'history.delete': 'Supprimer',
+        'history.rerun': 'Réessayer',
+        'history.rerunTitle': 'Régénérer avec ces photos',
+
+        'widget.title': 'Essayez-le',
+        'widget.close': 'Fermer',
+        'widget.product': 'Le produit',
+        'widget.productSku': 'Article {sku}',
+        'widget.modelHint': 'Importez une photo de vous en pied',
+        'widget.changePhoto': 'Changer de photo',
+        'widget.tryOn': 'Essayer',
+        'widget.addToCart': 'Ajouter au panier',
+        'widget.retry': 'Essayer une autre photo',
+        'widget.aiNotice': "Image générée par l'IA : la taille et la coupe peuvent différer.",
+        'widget.poweredBy': 'Propulsé par Cameleon',
+        'widget.noProduct': "Aucun produit n'a été indiqué pour l'essayage.",
+        'widget.unavailable': "L'essayage n'est pas disponible sur cette page.",
+
+        'batch.pageTitle': 'Cameleon - Essayage en série',
+        'batch.title': 'Essayage en série',
+        'batch.products': 'Produits',
+        'batch.addProducts': '+ Ajouter des produits',
+        'batch.defaultType': 'Type par défaut :',
+        'batch.productCount': '{count} produits',
+        'batch.start': '⭐ Tout générer',
+        'batch.waiting': 'En attente',
+        'batch.progress': '{done}/{total} terminés ({succeeded} réussis)',
+        'batch.downloadZip': '💾 Télécharger le ZIP',
+        'batch.maxItems': '{max} produits au maximum par série',
+        'batch.status.pending': 'Prêt',
+        'batch.status.uploading': 'Importation...',
+        'batch.status.queued': 'En file...',
+        'batch.status.running': 'Génération...',
+        'batch.status.succeeded': '✓ Généré',
+        'batch.status.failed': '❌ Erreur',
+        'batch.retry': '🔄 Réessayer',
+        'batch.remove': '× Retirer',
+        'batch.resultAlt': 'Résultat {index}',
+        'batch.errors.start': 'Impossible de lancer la série',
+        'batch.errors.upload': "Impossible d'importer les images",
+        'batch.errors.zip': 'Impossible de créer le ZIP. Réessayez.'
+    }
+};
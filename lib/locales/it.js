@@ -0,0 +1,277 @@
+/**
+ * Italian messages - the pages' own language (see lib/i18n.js for the catalog format)
+ */
+
+export default {
+    api: {
+        server_misconfigured: 'Configurazione del servizio incompleta. Contatta il supporto.',
+        api_key_required: "Invia la tua chiave API nell'intestazione Authorization o X-API-Key.",
+        session_required: 'La sessione è scaduta. Ricarica la pagina.',
+        widget_session_expired: 'La sessione di prova è scaduta. Chiudi e riapri la finestra.',
+        api_key_invalid: 'La chiave API non è riconosciuta.',
+        api_key_disabled: 'Questa chiave API è stata disattivata.',
+        origin_not_allowed: 'Le richieste da {origin} non sono consentite per questa chiave API.',
+        quota_exceeded: 'La quota di {limit} generazioni di questa chiave API è esaurita.',
+        rate_limited: 'Troppe richieste. Attendi qualche istante e riprova.',
+        invalid_idempotency_key: "L'Idempotency-Key deve avere da 1 a 255 caratteri ASCII stampabili.",
+        idempotency_key_reused: "Questa Idempotency-Key è già stata usata per un'altra richiesta.",
+        idempotency_key_in_progress: 'Una richiesta con questa Idempotency-Key è ancora in elaborazione. Riprova tra poco.',
+        missing_images: 'Per favore carica entrambe le immagini.',
+        missing_image: "Scegli un'immagine da caricare.",
+        upload_expired: "Un'immagine caricata non è più disponibile. Caricala di nuovo.",
+        too_many_garments: 'Puoi inviare al massimo {max} capi per richiesta.',
+        unsupported_layering: 'La modalità di composizione "{layering}" non è disponibile.',
+        invalid_variants: 'Il numero di varianti deve essere un intero, 1 o più.',
+        too_many_variants: 'Puoi chiedere al massimo {max} varianti alla volta.',
+        garment_urls_disabled: 'I capi da link non sono attivi su questo servizio. Carica la foto.',
+        invalid_garment_url: "Il link dell'immagine del capo non è valido.",
+        invalid_sku: 'Codice prodotto non valido.',
+        unknown_sku: 'Nessun prodotto trovato per: {skus}.',
+        swap_type_not_allowed: 'Questa chiave API non può usare: {swapTypes}.',
+        unsupported_swap_type: 'Tipo di prova non supportato: {swapTypes}.',
+        instructions_unavailable: 'Le indicazioni di stile non sono disponibili per questo servizio.',
+        invalid_instruction: 'Le indicazioni di stile non sono valide: usa una breve frase, senza link.',
+        invalid_callback_url: "L'URL di callback non è valido.",
+        unsafe_url: 'Il link indicato non è valido.',
+        invalid_image: 'Formato immagine non supportato. Usa una foto JPEG, PNG o WebP.',
+        file_too_large: 'Le immagini sono troppo grandi. Usa immagini più piccole di 4.5MB.',
+        image_fetch_failed: "Non è stato possibile scaricare l'immagine del capo. Controlla il link.",
+        timeout: "Il download dell'immagine ha richiesto troppo tempo.",
+        invalid_input: "Errore nell'elaborazione delle immagini. Prova con immagini diverse.",
+        internal: 'Si è verificato un errore. Riprova più tardi.',
+        upstream_rate_limited: 'Il servizio è molto richiesto in questo momento. Riprova tra un minuto.',
+        upstream_unavailable: 'Il servizio di generazione non è disponibile. Riprova tra qualche minuto.',
+        upstream_timeout: 'Il servizio ha impiegato troppo tempo. Riprova.',
+        upstream_rejected: 'Il servizio non ha potuto elaborare la richiesta. Riprova più tardi.',
+        circuit_open: 'Il servizio è temporaneamente in pausa. Riprova tra un minuto.',
+        no_image: "Il servizio non ha restituito un'immagine. Riprova o usa foto diverse.",
+        safety_blocked: 'Le immagini sono state bloccate dal filtro di sicurezza. Prova con altre foto.',
+        generation_failed: 'La generazione non è riuscita. Riprova.',
+        generation_timeout: 'Timeout - La generazione ha richiesto troppo tempo.',
+        upload_failed: 'Errore nel caricamento delle immagini sul servizio. Riprova.',
+        disallowed_content: 'Queste immagini non possono essere elaborate. Usa altre foto.',
+        screening_unavailable: 'Non è stato possibile verificare le foto in questo momento. Riprova tra poco.',
+        product_in_model_slot: 'La foto della modella mostra un prodotto, non una persona. Carica la foto della persona nello spazio Modella.',
+        no_person: 'Nessuna persona trovata nella foto della modella.',
+        multiple_people: 'Nella foto della modella ci sono {count} persone. Usa una foto con una sola persona.',
+        head_not_visible: 'La testa non è interamente visibile nella foto: serve per provare un cappello.',
+        face_not_visible: 'Il viso non è ben visibile nella foto: serve per provare degli occhiali.',
+        upper_body_not_visible: 'La parte superiore del corpo non è interamente visibile nella foto.',
+        lower_body_not_visible: 'Le gambe non sono interamente visibili nella foto.',
+        feet_not_visible: 'I piedi non sono visibili nella foto: servono per provare le scarpe.',
+        garment_mismatch: 'La foto del prodotto non mostra il tipo di capo scelto. Controlla il tipo di prova.',
+        no_garment: 'Nessun capo o accessorio trovato nella foto del prodotto.',
+        invalid_job_id: 'Identificativo della generazione non valido.',
+        job_not_found: 'La generazione non esiste più.',
+        job_status_failed: 'Errore nel controllo della generazione. Riprova.',
+        refine_input_required: 'Scrivi cosa vuoi modificare nel risultato.',
+        result_not_found: 'Questo risultato non può più essere modificato. Genera una nuova prova.',
+        refine_limit: 'Hai raggiunto il numero massimo di modifiche ({max}). Genera una nuova prova.',
+        refine_unavailable: 'Questo risultato non può essere modificato. Genera una nuova prova.'
+    },
+
+    ui: {
+        'page.title': 'Cameleon - Il tuo Camerino Virtuale',
+        'header.title': 'Il tuo Camerino Virtuale',
+        'header.history': '🕘 Cronologia',
+        'header.historyTitle': 'Le tue prove precedenti',
+        'header.language': 'Lingua',
+
+        'section.model': 'Modella',
+        'section.product': 'Prodotto',
+        'section.result': 'Risultato',
+
+        'upload.model': 'Clicca per caricare la modella',
+        'upload.product': 'Clicca per caricare il prodotto',
+        'upload.hint': 'Massimo 4MB - Compressione automatica',
+        'upload.processing': 'Ottimizzazione immagine...',
+        'upload.addGarment': '+ Aggiungi capo',
+        'upload.addGarmentTitle': 'Aggiungi un altro capo al look',
+        'upload.garmentThumb': 'Carica capo',
+        'upload.removeGarment': 'Rimuovi capo',
+
+        'result.placeholder': 'Il tuo outfit virtuale apparirà qui',
+        'result.failed': 'Errore durante la generazione',
+        'result.generated': '✓ Generato',
+        'result.before': 'Prima',
+        'result.after': 'Dopo',
+        'result.compareSlider': 'Confronto prima e dopo',
+
+        'actions.compare': 'Confronta prima/dopo',
+        'actions.export': 'Esporta composizione',
+        'actions.download': 'Scarica immagine',
+        'actions.enlarge': 'Ingrandisci',
+        'actions.share': 'Condividi link',
+        'actions.linkCopied': 'Link copiato',
+
+        'refine.placeholder': 'Ritocca il risultato: es. maniche più corte',
+        'refine.button': 'Modifica',
+        'refine.original': 'Originale',
+        'refine.originalTitle': 'Risultato originale',
+
+        'swap.title': 'Tipo di Prova',
+        'swap.label.Auto': 'Auto',
+        'swap.label.Full Outfit': 'Completo',
+        'swap.label.Upper-Body': 'Sopra',
+        'swap.label.Lower-Body': 'Sotto',
+        'swap.label.Dress': 'Vestito',
+        'swap.label.Shoes': 'Scarpe',
+        'swap.label.Headwear': 'Cappelli',
+        'swap.label.Eyewear': 'Occhiali',
+        'swap.label.Bodywear': 'Accessori',
+        'swap.label.Jewelry': 'Gioielli',
+        'swap.label.Bags': 'Borse',
+        'swap.label.Upper-body': 'Upper-body',
+        'swap.label.Lower-body': 'Lower-body',
+        'swap.label.Dresses': 'Dresses',
+        'swap.desc.Auto': 'Rileva il capo',
+        'swap.desc.Full Outfit': 'Outfit intero',
+        'swap.desc.Upper-Body': 'Maglie, camicie',
+        'swap.desc.Lower-Body': 'Pantaloni, gonne',
+        'swap.desc.Dress': 'Abiti, vestiti',
+        'swap.desc.Shoes': 'Calzature',
+        'swap.desc.Headwear': 'Copricapo',
+        'swap.desc.Eyewear': 'Da sole, vista',
+        'swap.desc.Bodywear': 'Sciarpe, cravatte',
+        'swap.desc.Jewelry': 'Collane, anelli',
+        'swap.desc.Bags': 'Zaini, borsette',
+        'swap.legacyDesc.Auto': 'Rilevamento automatico',
+        'swap.legacyDesc.Upper-body': 'Maglie, camicie, giacche',
+        'swap.legacyDesc.Lower-body': 'Pantaloni, gonne, shorts',
+        'swap.legacyDesc.Dresses': 'Vestiti, abiti completi',
+
+        'detection.fallback': 'Categoria non riconosciuta, usato: {label}.',
+        'detection.detected': 'Rilevato: {label} ({confidence}% di sicurezza).',
+        'detection.override': 'Modifica tipo',
+        'cached.note': 'Risultato già generato con queste immagini.',
+        'cached.regenerate': 'Rigenera',
+        'styling.placeholder': 'Indicazioni di stile (facoltative): es. camicia dentro i pantaloni, maniche arrotolate',
+        'styling.variants': 'Varianti da confrontare:',
+        'steps.title': 'Passo {step}: {swapTypes}',
+        'variants.title': 'Variante {variant}',
+
+        'progress.upload.text': 'Caricamento immagini...',
+        'progress.upload.subtext': 'Upload delle immagini al server',
+        'progress.preparing': 'Preparazione in corso...',
+        'progress.timer': 'Tempo trascorso: {seconds}s',
+        'progress.parsed.text': 'Caricamento immagini...',
+        'progress.parsed.subtext': 'Immagini ricevute dal server',
+        'progress.normalized.text': 'Preparazione immagini...',
+        'progress.normalized.subtext': 'Controllo formato e dimensioni',
+        'progress.screened.text': 'Foto verificate...',
+        'progress.screened.subtext': 'Persona e capo riconosciuti',
+        'progress.queued.text': 'Avvio generazione AI...',
+        'progress.queued.subtext': 'Richiesta messa in coda',
+        'progress.classified.text': 'Capo riconosciuto...',
+        'progress.classified.subtext': 'Categoria rilevata automaticamente',
+        'progress.hosted.text': 'Immagini pronte...',
+        'progress.hosted.subtext': 'Upload al server di generazione completato',
+        'progress.generating.text': 'Generazione in corso...',
+        'progress.generating.subtext': "L'AI sta applicando il capo sulla modella",
+        'progress.upstream.text': 'Generazione in corso...',
+        'progress.upstream.subtext': 'Elaborazione sul server AI',
+        'progress.storing.text': 'Ottimizzazione finale...',
+        'progress.storing.subtext': 'Salvataggio del risultato',
+        'progress.inQueue.text': 'In coda sul server AI...',
+        'progress.inQueue.subtext': 'La generazione partirà a breve',
+        'progress.inProgress.text': 'Generazione in corso...',
+        'progress.inProgress.subtext': "Il server AI sta elaborando l'immagine",
+        'progress.garmentStep': 'Capo {step} di {steps}',
+        'progress.variants': '{variants} varianti in parallelo',
+        'progress.done.text': 'Completato!',
+        'progress.done.subtext': 'Il tuo nuovo look è pronto!',
+        'progress.done.Shoes': 'Le tue scarpe sono pronte!',
+        'progress.done.Headwear': 'Il tuo cappello è perfetto!',
+        'progress.done.Eyewear': 'I tuoi occhiali sono pronti!',
+        'progress.done.Jewelry': 'I tuoi gioielli brillano!',
+        'progress.done.Bags': 'La tua borsa è pronta!',
+        'progress.done.Upper-Body': 'Il tuo capo è perfetto!',
+        'progress.done.Lower-Body': 'Il tuo capo è pronto!',
+        'progress.done.Dress': 'Il tuo vestito è elegante!',
+        'progress.done.Bodywear': 'Il tuo accessorio è perfetto!',
+
+        'generate.button': 'Genera',
+        'generate.running': 'Generazione in corso...',
+
+        'errors.imageOnly': 'Per favore carica solo file immagine (JPG, PNG, etc.)',
+        'errors.imageProcessing': "Errore nell'elaborazione dell'immagine. Riprova.",
+        'errors.bothImages': 'Per favore carica entrambe le immagini',
+        'errors.generic': 'Si è verificato un errore. Riprova più tardi.',
+        'errors.timeout': 'Timeout - La generazione ha richiesto troppo tempo.',
+        'errors.generation': "Errore nella generazione dell'immagine",
+        'errors.connection': 'Connessione interrotta',
+        'errors.refineEmpty': 'Scrivi cosa vuoi modificare nel risultato',
+        'errors.refine': "Errore nella modifica dell'immagine",
+        'errors.refineTimeout': 'Timeout - La modifica ha richiesto troppo tempo.',
+        'errors.refineGeneric': 'Non è stato possibile modificare il risultato. Riprova.',
+        'errors.download': "Impossibile scaricare l'immagine. Riprova.",
+        'errors.composite': 'Impossibile creare la composizione. Riprova.',
+        'errors.share': 'Impossibile condividere il link. Riprova.',
+        'errors.history': 'La cronologia non è disponibile in questo browser.',
+
+        'share.title': 'Il mio look Cameleon',
+
+        'export.title': 'Esporta composizione',
+        'export.layout': 'Layout',
+        'export.sideBySide': 'Affiancato',
+        'export.grid': 'Griglia',
+        'export.size': 'Formato',
+        'export.square': 'Post quadrato (1080×1080)',
+        'export.portrait': 'Post verticale (1080×1350)',
+        'export.story': 'Storia (1080×1920)',
+        'export.landscape': 'Anteprima link (1200×630)',
+        'export.download': 'Scarica composizione',
+
+        'history.title': 'Cronologia',
+        'history.favoritesOnly': 'Solo preferiti',
+        'history.empty': 'Nessuna prova salvata: le tue generazioni appariranno qui.',
+        'history.emptyFavorites': 'Nessun preferito: tocca ☆ su una prova per tenerla qui.',
+        'history.enlarge': 'Ingrandisci',
+        'history.result': 'Risultato',
+        'history.useModel': 'Usa questa modella',
+        'history.useProduct': 'Usa questo prodotto',
+        'history.addFavorite': 'Aggiungi ai preferiti',
+        'history.removeFavorite': 'Rimuovi dai preferiti',
+        'history.delete': 'Elimina',
+        'history.rerun': 'Riprova',
+        'history.rerunTitle': 'Rigenera con queste foto',
+
+        'widget.title': 'Provalo addosso',
+        'widget.close': 'Chiudi',
+        'widget.product': 'Il prodotto',
+        'widget.productSku': 'Articolo {sku}',
+        'widget.modelHint': 'Carica una tua foto a figura intera',
+        'widget.changePhoto': 'Cambia foto',
+        'widget.tryOn': 'Provalo',
+        'widget.addToCart': 'Aggiungi al carrello',
+        'widget.retry': "Prova con un'altra foto",
+        'widget.aiNotice': "Immagine generata con l'IA: taglia e vestibilità possono differire.",
+        'widget.poweredBy': 'Con tecnologia Cameleon',
+        'widget.noProduct': 'Nessun prodotto indicato per la prova.',
+        'widget.unavailable': 'La prova non è disponibile su questa pagina.',
+
+        'batch.pageTitle': 'Cameleon - Prova in Serie',
+        'batch.title': 'Prova in Serie',
+        'batch.products': 'Prodotti',
+        'batch.addProducts': '+ Aggiungi prodotti',
+        'batch.defaultType': 'Tipo predefinito:',
+        'batch.productCount': '{count} prodotti',
+        'batch.start': '⭐ Genera tutti',
+        'batch.waiting': 'In attesa',
+        'batch.progress': '{done}/{total} completati ({succeeded} riusciti)',
+        'batch.downloadZip': '💾 Scarica ZIP',
+        'batch.maxItems': 'Massimo {max} prodotti per serie',
+        'batch.status.pending': 'Pronto',
+        'batch.status.uploading': 'Caricamento...',
+        'batch.status.queued': 'In coda...',
+        'batch.status.running': 'Generazione...',
+        'batch.status.succeeded': '✓ Generato',
+        'batch.status.failed': '❌ Errore',
+        'batch.retry': '🔄 Riprova',
+        'batch.remove': '× Rimuovi',
+        'batch.resultAlt': 'Risultato {index}',
+        'batch.errors.start': "Errore nell'avvio della serie",
+        'batch.errors.upload': 'Errore nel caricamento delle immagini',
+        'batch.errors.zip': 'Impossibile creare lo ZIP. Riprova.'
+    }
+};
@@ -0,0 +1,99 @@
+/**
+ * Structured JSON logger
+ * One JSON object per line with level, message, request id, route, stage and
+ * duration. Everything passes through redaction first: image/data URLs, base64
+ * blobs and anything that looks like a key, token or signature never reach the logs.
+ */
+
+import { observeStage } from './metrics.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const SECRET_FIELD = /^(key|sig)$|api_?key|token|secret|password|authorization|signature/i;
+const DATA_URL = /data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g;
+const BASE64_BLOB = /[A-Za-z0-9+/]{200,}={0,2}/g;
+const URL_PATTERN = /\bhttps?:\/\/[^\s"'<>]+/g;
+const SIGNED_PATH = /(\/api\/results\/[\w-]+)\?[^\s"'<>]*/g;
+
+// Keep the host (useful when debugging) but drop paths and query strings, which carry image ids and keys
+function redactString(value) {
+    return value
+        .replace(DATA_URL, match => `[data-url ${match.length} chars]`)
+        .replace(URL_PATTERN, match => {
+            try {
+                return `${new URL(match).origin}/[redacted]`;
+            } catch {
+                return '[url]';
+            }
+        })
+        .replace(SIGNED_PATH, '$1?[redacted]')
+        .replace(BASE64_BLOB, match => `[base64 ${match.length} chars]`);
+}
+
+export function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) return redact({ name: value.name, message: value.message }, depth);
+    if (Buffer.isBuffer(value)) return `[buffer ${value.length} bytes]`;
+    if (!value || typeof value !== 'object') return value;
+    if (depth > 5) return '[truncated]';
+
+    if (Array.isArray(value)) {
+        return value.map(entry => redact(entry, depth + 1));
+    }
+
+    const clean = {};
+    for (const [field, entry] of Object.entries(value)) {
+        clean[field] = SECRET_FIELD.test(field) && typeof entry === 'string' ? '[redacted]' : redact(entry, depth + 1);
+    }
+    return clean;
+}
+
+function write(level, context, message, fields = {}) {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    const entry = redact({
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...context,
+        ...fields
+    });
+
+    const line = JSON.stringify(entry);
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+}
+
+/**
+ * Logger bound to a context (requestId, route, provider...)
+ */
+export function createLogger(context = {}) {
+    return {
+        debug: (message, fields) => write('debug', context, message, fields),
+        info: (message, fields) => write('info', context, message, fields),
+        warn: (message, fields) => write('warn', context, message, fields),
+        error: (message, fields) => write('error', context, message, fields),
+
+        child(extra) {
+            return createLogger({ ...context, ...extra });
+        },
+
+        /**
+         * Start timing a stage - call the returned function when it ends
+         * Logs the stage with its duration and feeds the stage-duration histogram.
+         */
+        time(stage) {
+            const startedAt = Date.now();
+            return (fields = {}, message = `${stage} finished`) => {
+                const durationMs = Date.now() - startedAt;
+                observeStage(context.route || 'unknown', stage, durationMs / 1000);
+                write(fields.error ? 'warn' : 'info', context, message, { stage, durationMs, ...fields });
+                return durationMs;
+            };
+        }
+    };
+}
+
+export const logger = createLogger();
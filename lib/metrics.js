@@ -0,0 +1,243 @@
+/**
+ * Prometheus metrics
+ * Counters and histograms rendered in the text exposition format by GET /api/metrics.
+ * That is its own function, with its own instances, so nothing is read from memory:
+ * each instance adds up what it counts and, within a second, merges it into one
+ * totals record in the shared storage (lib/storage.js) - the record the endpoint reads.
+ * A merge that loses to other writers too often is kept and tried again with the next.
+ */
+
+import { waitUntil } from '@vercel/functions';
+import { StorageRecordStore } from './record-store.js';
+
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+// Counts gathered before a flush, so a burst of requests makes one write
+const FLUSH_DELAY = 1000;
+
+const TOTALS_ID = 'totals';
+
+const registry = new Map();
+
+let store = null;
+let flushScheduled = false;
+
+function getMetricsStore() {
+    if (!store) {
+        store = new StorageRecordStore({ prefix: 'metrics' });
+    }
+    return store;
+}
+
+/**
+ * Swap the backing store (any record store - see lib/record-store.js)
+ */
+export function setMetricsStore(customStore) {
+    store = customStore;
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels, extra = {}) {
+    const entries = Object.entries({ ...labels, ...extra });
+    if (entries.length === 0) return '';
+    const escaped = entries.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return `{${escaped.join(',')}}`;
+}
+
+// `series` holds what this instance counted since its last flush, by label set
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.series = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(labels);
+        const current = this.series.get(key) || { labels, value: 0 };
+        current.value += value;
+        this.series.set(key, current);
+        scheduleFlush();
+    }
+
+    static merge(total, delta) {
+        return { labels: delta.labels, value: (total?.value || 0) + delta.value };
+    }
+
+    render(series) {
+        return series.map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = buckets;
+        this.series = new Map();
+    }
+
+    observe(labels = {}, value) {
+        const key = labelKey(labels);
+        let current = this.series.get(key);
+        if (!current) {
+            current = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, current);
+        }
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) current.counts[index]++;
+        });
+        current.sum += value;
+        current.count++;
+        scheduleFlush();
+    }
+
+    static merge(total, delta) {
+        return {
+            labels: delta.labels,
+            counts: delta.counts.map((count, index) => (total?.counts[index] || 0) + count),
+            sum: (total?.sum || 0) + delta.sum,
+            count: (total?.count || 0) + delta.count
+        };
+    }
+
+    render(series) {
+        const lines = [];
+        for (const { labels, counts, sum, count } of series) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels(labels, { le: bound })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(labels, { le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+function register(metric) {
+    registry.set(metric.name, metric);
+    return metric;
+}
+
+export const tryOnRequests = register(new Counter(
+    'cameleon_tryon_requests_total',
+    'Accepted try-on requests, one per garment, by route and swap type'
+));
+
+export const upstreamLatency = register(new Histogram(
+    'cameleon_upstream_latency_seconds',
+    'Time spent waiting on the generation provider, by provider and outcome'
+));
+
+export const errorsByCategory = register(new Counter(
+    'cameleon_errors_total',
+    'Failed requests and jobs by route and error category'
+));
+
+export const upstreamRetries = register(new Counter(
+    'cameleon_upstream_retries_total',
+    'Retried upstream calls, by service and error code'
+));
+
+export const circuitTrips = register(new Counter(
+    'cameleon_upstream_circuit_trips_total',
+    'Times a circuit breaker opened, by service'
+));
+
+export const resultCacheLookups = register(new Counter(
+    'cameleon_result_cache_lookups_total',
+    'Result cache lookups by route and outcome (hit, miss)'
+));
+
+export const inputScreenings = register(new Counter(
+    'cameleon_input_screenings_total',
+    'Input pre-checks by route and outcome (passed, skipped, error, or the rejection code)'
+));
+
+export const rateLimitRejections = register(new Counter(
+    'cameleon_rate_limit_rejections_total',
+    'Requests rejected by the rate limiter, by route'
+));
+
+export const stageDuration = register(new Histogram(
+    'cameleon_stage_duration_seconds',
+    'Duration of request stages (parse, normalize, generate, store...), by route and stage'
+));
+
+export function observeStage(route, stage, seconds) {
+    stageDuration.observe({ route, stage }, seconds);
+}
+
+// Take every metric's unflushed series, leaving them empty
+function takePending() {
+    const pending = [];
+    for (const metric of registry.values()) {
+        for (const [key, delta] of metric.series) {
+            pending.push({ metric, key, delta });
+        }
+        metric.series = new Map();
+    }
+    return pending;
+}
+
+// Fold a merge that failed back into what is counted since
+function restorePending(pending) {
+    for (const { metric, key, delta } of pending) {
+        metric.series.set(key, metric.constructor.merge(metric.series.get(key), delta));
+    }
+}
+
+/**
+ * Add this instance's counts to the shared totals
+ */
+export async function flushMetrics() {
+    const pending = takePending();
+    if (pending.length === 0) return;
+
+    try {
+        // The update may run more than once, so it builds a fresh record every time
+        await getMetricsStore().update(TOTALS_ID, current => {
+            const totals = structuredClone(current || {});
+            for (const { metric, key, delta } of pending) {
+                const series = totals[metric.name] || (totals[metric.name] = {});
+                series[key] = metric.constructor.merge(series[key], delta);
+            }
+            return totals;
+        });
+    } catch {
+        restorePending(pending);
+    }
+}
+
+function scheduleFlush() {
+    if (flushScheduled) return;
+    flushScheduled = true;
+    // Kept alive past the response, like the other background work
+    waitUntil(new Promise(resolve => setTimeout(resolve, FLUSH_DELAY)).then(() => {
+        flushScheduled = false;
+        return flushMetrics();
+    }));
+}
+
+/**
+ * All metrics, as totalled across instances, in the Prometheus text exposition format
+ */
+export async function renderMetrics() {
+    await flushMetrics();
+    const totals = await getMetricsStore().get(TOTALS_ID) || {};
+
+    const lines = [];
+    for (const metric of registry.values()) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        lines.push(...metric.render(Object.values(totals[metric.name] || {})));
+    }
+    return `${lines.join('\n')}\n`;
+}
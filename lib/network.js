@@ -0,0 +1,170 @@
+/**
+ * Outbound URL safety
+ * Any URL a caller hands us (webhooks, ...) is resolved first and refused when it
+ * points at loopback, private, link-local or otherwise internal addresses. The
+ * request itself goes through fetchPublic(), which checks the address it connects
+ * to - a host re-pointed between the check and the call (DNS rebinding) is refused.
+ */
+
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { Readable } from 'stream';
+
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    blockedAddresses.addSubnet(address, prefix, 'ipv4');
+}
+// Site-local (fec0::/10) is deprecated but still routed internally; NAT64 local use
+// (64:ff9b:1::/48) and Teredo (2001::/32) hide their IPv4 target where it cannot be checked
+for (const [address, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['2001::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+    blockedAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+// The eight 16-bit groups of a valid IPv6 address, a trailing dotted IPv4 part included
+function ipv6Groups(address) {
+    let text = address.split('%')[0];
+    const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const [head, tail] = text.split('::');
+    const first = parse(head);
+    const last = parse(tail);
+    return [...first, ...new Array(8 - first.length - last.length).fill(0), ...last];
+}
+
+function toIpv4(high, low) {
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * The IPv4 address an IPv6 address stands for, or null
+ * IPv4-mapped (::ffff:0:0/96) and NAT64 (64:ff9b::/96) carry it in the last 32 bits,
+ * 6to4 (2002::/16) in bits 16-48 - all reach that IPv4 host, so they are judged as it.
+ */
+function embeddedIpv4(address) {
+    const groups = ipv6Groups(address);
+    const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+    if (zeros(0, 5) && groups[5] === 0xffff) return toIpv4(groups[6], groups[7]);
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return toIpv4(groups[6], groups[7]);
+    if (groups[0] === 0x2002) return toIpv4(groups[1], groups[2]);
+    return null;
+}
+
+/**
+ * Raised for URLs we refuse to call; safe to show to the client
+ */
+export class UnsafeUrlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsafeUrlError';
+        this.code = 'unsafe_url';
+        this.statusCode = 400;
+        this.expose = true;
+    }
+}
+
+export function isPublicAddress(address) {
+    if (net.isIPv4(address)) return !blockedAddresses.check(address, 'ipv4');
+    if (!net.isIPv6(address)) return false;
+
+    const ipv4 = embeddedIpv4(address);
+    return ipv4 ? !blockedAddresses.check(ipv4, 'ipv4') : !blockedAddresses.check(address, 'ipv6');
+}
+
+/**
+ * Parse `value` and make sure it resolves only to public addresses
+ * ALLOW_PRIVATE_NETWORK_URLS=true lifts the address check for local development.
+ */
+export async function assertPublicUrl(value, { label = 'URL', allowHttp = false } = {}) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        throw new UnsafeUrlError(`The ${label} is not a valid URL.`);
+    }
+
+    if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+        throw new UnsafeUrlError(`The ${label} must use ${allowHttp ? 'http or https' : 'https'}.`);
+    }
+    if (url.username || url.password) {
+        throw new UnsafeUrlError(`The ${label} must not contain credentials.`);
+    }
+
+    if (process.env.ALLOW_PRIVATE_NETWORK_URLS === 'true') {
+        return url;
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname)
+            ? [hostname]
+            : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch {
+        throw new UnsafeUrlError(`The ${label} host could not be resolved.`);
+    }
+
+    if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+        throw new UnsafeUrlError(`The ${label} must point to a public address.`);
+    }
+
+    return url;
+}
+
+// dns.lookup() for outbound requests that refuses hosts resolving to a non-public address
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+            return callback(new UnsafeUrlError('The URL must point to a public address.'));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * fetch() for URLs checked with assertPublicUrl - connects only to the public addresses
+ * the host resolves to at connection time. Redirects are returned, never followed.
+ * Resolves to a Response; init takes method, headers, body (a string or Buffer) and signal.
+ */
+export function fetchPublic(url, { method = 'GET', headers = {}, body = null, signal } = {}) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const lookup = process.env.ALLOW_PRIVATE_NETWORK_URLS === 'true' ? undefined : publicLookup;
+    if (body !== null) {
+        headers = { ...headers, 'Content-Length': Buffer.byteLength(body) };
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(target, { method, headers, lookup, signal }, incoming => {
+            const responseHeaders = new Headers();
+            for (const [name, value] of Object.entries(incoming.headers)) {
+                for (const item of [].concat(value)) responseHeaders.append(name, item);
+            }
+            // Statuses that carry no body cannot be given one
+            const empty = [204, 205, 304].includes(incoming.statusCode) || method === 'HEAD';
+            if (empty) incoming.resume();
+            resolve(new Response(empty ? null : Readable.toWeb(incoming), {
+                status: incoming.statusCode,
+                statusText: incoming.statusMessage,
+                headers: responseHeaders
+            }));
+        });
+        request.on('error', reject);
+        request.end(body ?? undefined);
+    });
+}
@@ -0,0 +1,100 @@
+/**
+ * Progress reporting for try-on jobs
+ * Each stage a request really goes through is recorded on its job, and clients
+ * that ask for text/event-stream get those stages pushed as server-sent events:
+ *
+ *   event: progress   data: { stage, percent, ... }   (repeated)
+ *   event: result     data: the finished job, as GET /api/jobs/:id returns it
+ *   event: error      data: { error, message, code }
+ *
+ * The stream always ends after one result or error event.
+ */
+
+import { updateJob } from './jobs.js';
+
+// Stage -> how far along the bar is; the order is the order a request runs in
+export const PROGRESS_STAGES = {
+    parsed: 10,         // upload parsed
+    normalized: 20,     // images validated and normalized
+    screened: 22,       // images passed the pre-check (lib/screening.js)
+    queued: 25,         // job created
+    classified: 30,     // Auto garments classified
+    hosted: 40,         // images on the temporary image host (legacy)
+    generating: 45,     // request sent to the provider
+    upstream: 55,       // running on the provider - see upstreamStatus
+    storing: 90         // writing the result to storage
+};
+
+// RunPod's own job states, placed inside the "upstream" stage
+const UPSTREAM_PERCENT = {
+    IN_QUEUE: 50,
+    IN_PROGRESS: 70
+};
+
+const HEARTBEAT_INTERVAL = 15 * 1000; // keeps proxies from closing an idle stream
+const RECONNECT_DELAY = 2000; // EventSource waits this long before reconnecting
+
+/**
+ * Progress entry for a stage - extra fields (upstreamStatus, step, ...) are kept
+ */
+export function describeProgress(stage, fields = {}) {
+    const percent = stage === 'upstream'
+        ? UPSTREAM_PERCENT[fields.upstreamStatus] ?? PROGRESS_STAGES.upstream
+        : PROGRESS_STAGES[stage] ?? 0;
+    return { stage, percent, ...fields };
+}
+
+/**
+ * Record the stage a job has reached
+ */
+export function setJobProgress(jobId, stage, fields = {}) {
+    return updateJob(jobId, { progress: { ...describeProgress(stage, fields), at: Date.now() } });
+}
+
+/**
+ * Whether the client asked for a server-sent event stream
+ */
+export function wantsEventStream(req) {
+    return String(req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Switch the response to a text/event-stream
+ * Returns { send(event, data), end(), closed } - closed turns true when the client goes away.
+ */
+export function openEventStream(res) {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders?.();
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+    const stream = {
+        closed: false,
+
+        send(event, data) {
+            if (stream.closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+
+        end() {
+            if (stream.closed) return;
+            stream.closed = true;
+            clearInterval(heartbeat);
+            res.end();
+        }
+    };
+
+    const heartbeat = setInterval(() => {
+        if (!stream.closed) res.write(': keep-alive\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    res.on('close', () => {
+        stream.closed = true;
+        clearInterval(heartbeat);
+    });
+
+    return stream;
+}
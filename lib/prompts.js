@@ -0,0 +1,187 @@
+/**
+ * Versioned prompt templates - SERVER-SIDE ONLY, never sent to the client
+ * Each template is a JSON file in config/prompts/<version>.json with:
+ * - single: prompt for one garment - {ITEM}, {DETAILS} and {STYLING} are filled in
+ * - layered: prompt for several garments - {ITEMS} is the layeredItem list
+ * - layeredItem: how one garment is named in the list - {ITEM}, {IMAGE}
+ * - styling: sentence carrying the user's instruction - {INSTRUCTION}
+ * - refine (optional): follow-up turn asking for a change to the last image - {INSTRUCTION};
+ *   results generated with a template that has it can be refined (see lib/refine.js)
+ * - categories: swap type -> { item, details, single? } (single overrides the shared wording)
+ *
+ * config/prompts/active.json lists the versions in use with their weights, so two
+ * versions can be A/B tested; PROMPT_VERSION pins one version instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Templates ship with the functions (includeFiles in vercel.json), never with the static
+// pages - `npm run build` copies those, and the few modules they import, to dist/
+const DEFAULT_PROMPTS_DIR = path.join(process.cwd(), 'config', 'prompts');
+
+const VERSION_PATTERN = /^[\w.-]+$/;
+const PLACEHOLDER_PATTERN = /\{([A-Z]+)\}/g;
+
+const INSTRUCTION_MAX_LENGTH = Number(process.env.PROMPT_INSTRUCTION_MAX_LENGTH || 200);
+
+/**
+ * A styling instruction that cannot be used - the message is safe to show
+ */
+export class PromptInstructionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptInstructionError';
+        this.code = 'invalid_instruction';
+        this.statusCode = 400;
+        this.expose = true;
+    }
+}
+
+const templates = new Map();
+let variants = null;
+
+function promptsDir() {
+    return process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+}
+
+function readJson(name) {
+    return JSON.parse(fs.readFileSync(path.join(promptsDir(), `${name}.json`), 'utf8'));
+}
+
+/**
+ * Load a template by version - files are read once per instance
+ */
+export function getPromptTemplate(version) {
+    if (templates.has(version)) {
+        return templates.get(version);
+    }
+    if (!VERSION_PATTERN.test(version || '')) {
+        throw new Error(`Invalid prompt template version: ${version}`);
+    }
+
+    const template = readJson(version);
+    if (template.version !== version || !template.single || !template.layered || !template.categories) {
+        throw new Error(`Prompt template ${version} is incomplete`);
+    }
+    templates.set(version, template);
+    return template;
+}
+
+function getVariants() {
+    if (!variants) {
+        variants = readJson('active').variants.filter(variant => variant.weight > 0);
+        if (variants.length === 0) {
+            throw new Error('No active prompt template in config/prompts/active.json');
+        }
+    }
+    return variants;
+}
+
+/**
+ * Pick the template for a request
+ * The split is weighted and keyed on `seed` (the request id), so every garment and
+ * chain step of a request - and every item of a batch - uses the same version.
+ */
+export function selectPromptTemplate(seed) {
+    if (process.env.PROMPT_VERSION) {
+        return getPromptTemplate(process.env.PROMPT_VERSION);
+    }
+
+    const active = getVariants();
+    const total = active.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0) % total;
+
+    for (const variant of active) {
+        if (point < variant.weight) {
+            return getPromptTemplate(variant.version);
+        }
+        point -= variant.weight;
+    }
+    return getPromptTemplate(active[0].version);
+}
+
+export function isSupportedSwapType(template, swapType) {
+    return Object.hasOwn(template.categories, swapType);
+}
+
+/**
+ * Clean up an optional styling instruction ("tuck the shirt in")
+ * Returns null when empty. Control and formatting characters, markup and the
+ * template's own delimiters are dropped so the text can only ever be a quoted note.
+ */
+export function sanitizeInstruction(value) {
+    if (value === undefined || value === null) return null;
+
+    const text = String(value)
+        .normalize('NFKC')
+        .replace(/[\p{Cc}\p{Cf}]/gu, ' ')
+        .replace(/[<>{}[\]`\\"]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (!text) return null;
+
+    if (text.length > INSTRUCTION_MAX_LENGTH) {
+        throw new PromptInstructionError(`Styling instructions are limited to ${INSTRUCTION_MAX_LENGTH} characters.`);
+    }
+    if (/https?:|www\./i.test(text)) {
+        throw new PromptInstructionError('Styling instructions cannot contain links.');
+    }
+    if (!/\p{L}/u.test(text)) {
+        throw new PromptInstructionError('Styling instructions must describe how to wear the items, e.g. "tuck the shirt in".');
+    }
+
+    return text;
+}
+
+// Placeholders are filled in one pass, so text that is substituted in is never expanded again
+function fill(text, values) {
+    return text.replace(PLACEHOLDER_PATTERN, (match, name) => values[name] ?? '');
+}
+
+/**
+ * Build the prompt for an ordered list of swap types (one per garment image)
+ */
+export function buildPrompt(template, swapTypes, instruction = null) {
+    for (const swapType of swapTypes) {
+        if (!isSupportedSwapType(template, swapType)) {
+            throw new Error(`Prompt template ${template.version} has no wording for ${swapType}`);
+        }
+    }
+
+    const styling = instruction ? fill(template.styling, { INSTRUCTION: instruction }) : '';
+
+    if (swapTypes.length === 1) {
+        const category = template.categories[swapTypes[0]];
+        return fill(category.single || template.single, {
+            ITEM: category.item,
+            DETAILS: category.details || '',
+            STYLING: styling
+        });
+    }
+
+    const items = swapTypes
+        .map((swapType, index) => fill(template.layeredItem, {
+            ITEM: template.categories[swapType].item,
+            IMAGE: String(index + 2)
+        }))
+        .join(', then ');
+
+    return fill(template.layered, { ITEMS: items, STYLING: styling });
+}
+
+export function supportsRefine(template) {
+    return typeof template.refine === 'string' && template.refine.includes('{INSTRUCTION}');
+}
+
+/**
+ * Build the follow-up prompt for one refinement of the last generated image
+ */
+export function buildRefinePrompt(template, instruction) {
+    if (!supportsRefine(template)) {
+        throw new Error(`Prompt template ${template.version} has no refine wording`);
+    }
+    return fill(template.refine, { INSTRUCTION: instruction });
+}
@@ -0,0 +1,147 @@
+/**
+ * Provenance labeling of generated results
+ * Every stored result carries XMP and EXIF metadata that discloses it as AI-generated
+ * (IPTC digital source type "trainedAlgorithmicMedia") with the request id, backend,
+ * model and prompt version behind it. The file itself is labeled, so downloads, shared
+ * links and the composite keep the disclosure.
+ *
+ * A visible watermark - Logo.png in the bottom-right corner - is added when the
+ * API key asks for it, or for every result with RESULT_WATERMARK=on.
+ */
+
+import sharp from 'sharp';
+import { loadLogo } from './composite.js';
+
+const DIGITAL_SOURCE_TYPE = 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia';
+const DESCRIPTION = 'AI-generated virtual try-on image';
+const CREATOR_TOOL = 'Cameleon';
+
+// Our own XMP fields, next to the standard ones
+const PROVENANCE_NAMESPACE = 'urn:cameleon:provenance:1.0#';
+
+// Formats stored as they come; anything else (the stub's SVG) is stored as PNG
+const KEPT_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+// Lossy formats are re-encoded once, close to the provider's quality
+const ENCODE_QUALITY = 95;
+
+// Logo width as a share of the image width, and its distance from the edges
+const WATERMARK_SCALE = 0.2;
+const WATERMARK_MARGIN = 0.03;
+const WATERMARK_OPACITY = 0.85;
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    })[char]);
+}
+
+/**
+ * Whether results for this API key (or anonymous requests) get the visible watermark
+ * A key's own `watermark` setting wins over the deployment default.
+ */
+export function resolveWatermark(apiKey) {
+    if (typeof apiKey?.watermark === 'boolean') return apiKey.watermark;
+    return process.env.RESULT_WATERMARK === 'on';
+}
+
+/**
+ * Provenance of a result that `provider` generated for a request
+ */
+export function describeProvenance(provider, { requestId, promptVersion = null, watermark = false }) {
+    return { requestId, backend: provider.name, model: provider.model || null, promptVersion, watermark };
+}
+
+/**
+ * The XMP packet for a result
+ * provenance is { requestId, resultId, backend, model, promptVersion }; empty fields are left out.
+ */
+export function buildProvenanceXmp({ requestId, resultId = null, backend, model = null, promptVersion = null }) {
+    const fields = [
+        ['AIGenerated', 'True'],
+        ['RequestId', requestId],
+        ['ResultId', resultId],
+        ['Backend', backend],
+        ['Model', model],
+        ['PromptVersion', promptVersion]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '  <rdf:Description rdf:about=""',
+        '    xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/"',
+        '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        '    xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+        `    xmlns:cameleon="${PROVENANCE_NAMESPACE}">`,
+        `   <Iptc4xmpExt:DigitalSourceType>${DIGITAL_SOURCE_TYPE}</Iptc4xmpExt:DigitalSourceType>`,
+        `   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${DESCRIPTION}</rdf:li></rdf:Alt></dc:description>`,
+        `   <xmp:CreatorTool>${CREATOR_TOOL}</xmp:CreatorTool>`,
+        ...fields.map(([name, value]) => `   <cameleon:${name}>${escapeXml(value)}</cameleon:${name}>`),
+        '  </rdf:Description>',
+        ' </rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].join('\n');
+}
+
+/**
+ * EXIF fields for readers that do not look at XMP
+ * libvips reads " (" in an EXIF string as the start of its type suffix, so no parentheses.
+ */
+function provenanceExif({ requestId, backend, model = null }) {
+    return {
+        IFD0: {
+            ImageDescription: `${DESCRIPTION} - request ${requestId}`,
+            Software: `${CREATOR_TOOL} - ${[backend, model].filter(Boolean).join(' ')}`
+        }
+    };
+}
+
+async function watermarkLayer(width, height) {
+    const logo = await loadLogo();
+    const logoWidth = Math.max(1, Math.round(width * WATERMARK_SCALE));
+    const input = await sharp(logo.buffer)
+        .resize({ width: logoWidth })
+        .ensureAlpha()
+        .linear([1, 1, 1, WATERMARK_OPACITY], [0, 0, 0, 0])
+        .png()
+        .toBuffer({ resolveWithObject: true });
+
+    const margin = Math.round(Math.min(width, height) * WATERMARK_MARGIN);
+    return {
+        input: input.data,
+        left: Math.max(0, width - input.info.width - margin),
+        top: Math.max(0, height - input.info.height - margin)
+    };
+}
+
+/**
+ * Label a generated image - { buffer, mimeType } in, { buffer, mimeType } out
+ * provenance is { requestId, resultId, backend, model, promptVersion, watermark }.
+ */
+export async function labelResult(image, provenance) {
+    let pipeline = sharp(image.buffer);
+    const metadata = await pipeline.metadata();
+
+    if (provenance.watermark) {
+        pipeline = pipeline.composite([await watermarkLayer(metadata.width, metadata.height)]);
+    }
+    pipeline = pipeline
+        .withExif(provenanceExif(provenance))
+        .withXmp(buildProvenanceXmp(provenance));
+
+    const format = KEPT_FORMATS[metadata.format] ? metadata.format : 'png';
+    const encoded = format === 'jpeg'
+        ? pipeline.jpeg({ quality: ENCODE_QUALITY })
+        : format === 'webp' ? pipeline.webp({ quality: ENCODE_QUALITY }) : pipeline.png();
+    return { buffer: await encoded.toBuffer(), mimeType: KEPT_FORMATS[format] };
+}
+
+/**
+ * The provenance XMP of a stored result, to carry over to images made from it
+ */
+export async function readProvenanceXmp(buffer) {
+    const { xmp } = await sharp(buffer).metadata();
+    return xmp ? xmp.toString('utf8') : null;
+}
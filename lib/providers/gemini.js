@@ -0,0 +1,276 @@
+/**
+ * Gemini image generation provider
+ * generateContent answers with the finished image, so submit() completes synchronously.
+ * refine() sends the earlier request and results back as a multi-turn conversation.
+ */
+
+import { createLogger } from '../logger.js';
+import { getPromptTemplate, buildPrompt, buildRefinePrompt } from '../prompts.js';
+import { upstreamFetch, UpstreamError } from '../upstream.js';
+
+// CRITICAL: Use environment variables for API key
+const AI_API_KEY = process.env.GEMINI_API_KEY;
+const AI_MODEL = 'gemini-2.5-flash-image-preview';
+const AI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${AI_MODEL}:generateContent`;
+
+// A fast text model is enough to tell a dress from a shirt
+const CLASSIFIER_MODEL = process.env.GEMINI_CLASSIFIER_MODEL || 'gemini-2.5-flash';
+const CLASSIFIER_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${CLASSIFIER_MODEL}:generateContent`;
+const CLASSIFIER_TIMEOUT = 20 * 1000; // 20 seconds
+
+// Per attempt; the request's deadline cuts attempts and retries short within the function's maxDuration
+const AI_TIMEOUT = 120 * 1000; // 2 minutes
+
+// Finish/block reasons that mean the safety filters stopped the generation
+const SAFETY_REASONS = new Set(['SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'OTHER_SAFETY']);
+
+/**
+ * Pull the first generated image out of a generateContent response
+ */
+function extractImage(aiData) {
+    const parts = aiData.candidates?.[0]?.content?.parts;
+    if (!parts) return null;
+
+    const imagePart = parts.find(part => part.inlineData && part.inlineData.data);
+    if (!imagePart) return null;
+
+    const mimeType = imagePart.inlineData.mimeType || 'image/png';
+    return { imageUrl: `data:${mimeType};base64,${imagePart.inlineData.data}`, mimeType };
+}
+
+/**
+ * Typed error for a 200 response that carries no image
+ */
+function missingImageError(aiData) {
+    const blockReason = aiData.promptFeedback?.blockReason;
+    const finishReason = aiData.candidates?.[0]?.finishReason;
+
+    if (SAFETY_REASONS.has(blockReason) || SAFETY_REASONS.has(finishReason)) {
+        return new UpstreamError('safety_blocked', `Blocked by safety filter (${blockReason || finishReason})`, { service: 'gemini' });
+    }
+    if (aiData.error) {
+        return new UpstreamError('upstream_unavailable', `AI API error: ${aiData.error.message}`, { service: 'gemini' });
+    }
+    return new UpstreamError('no_image', `No image generated in response (finishReason ${finishReason || 'none'})`, { service: 'gemini' });
+}
+
+function toInlineData(image) {
+    return {
+        inlineData: {
+            mimeType: image.mimeType,
+            data: image.buffer.toString('base64')
+        }
+    };
+}
+
+/**
+ * The try-on request as the first user turn - the prompt, the model photo, then each garment in order
+ */
+function firstTurnParts({ userImage, garments, prompt }, log) {
+    // Generate dynamic prompt (SERVER-SIDE ONLY)
+    const swapTypes = garments.map(garment => garment.swapType);
+    const dynamicPrompt = buildPrompt(getPromptTemplate(prompt.version), swapTypes, prompt.instruction);
+    log.debug('Generated dynamic prompt', { stage: 'prompt', swapTypes, promptVersion: prompt.version, instruction: Boolean(prompt.instruction) });
+
+    return [
+        { text: dynamicPrompt },
+        ...[userImage, ...garments.map(garment => garment.image)].map(toInlineData)
+    ];
+}
+
+/**
+ * Send a generateContent payload and return the generated image
+ */
+async function generateImage(requestId, aiPayload, deadline, log) {
+    const called = log.time('ai-call');
+    let aiResponse;
+    try {
+        aiResponse = await upstreamFetch('gemini', `${AI_API_URL}?key=${AI_API_KEY}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(aiPayload)
+        }, { timeout: AI_TIMEOUT, deadline, requestId });
+    } catch (error) {
+        called({ error: error.message, code: error.code }, 'AI API error');
+        throw error;
+    }
+
+    const aiData = await aiResponse.json();
+    called({ status: aiResponse.status }, 'AI response received');
+
+    const image = extractImage(aiData);
+    if (image) {
+        return { status: 'completed', ...image };
+    }
+
+    // No image data found - blocked by the safety filters or just empty
+    const error = missingImageError(aiData);
+    log.warn('No image data in response', { stage: 'ai-call', code: error.code, finishReason: aiData.candidates?.[0]?.finishReason });
+    throw error;
+}
+
+/**
+ * Ask the classifier model which category the garment image shows
+ * The answer is constrained to the category names by a JSON response schema.
+ */
+async function classifyGarment({ requestId, image, categories }) {
+    const list = categories.map(({ swapType, item }) => `- ${swapType}: ${item}`).join('\n');
+    const payload = {
+        contents: [{
+            parts: [
+                { text: `Classify the main clothing item or accessory in this product image into exactly one of these categories:\n${list}\nA complete set of matching top and bottom is a Full Outfit. Also give your confidence between 0 and 1.` },
+                { inlineData: { mimeType: image.mimeType, data: image.buffer.toString('base64') } }
+            ]
+        }],
+        generationConfig: {
+            responseMimeType: 'application/json',
+            responseSchema: {
+                type: 'OBJECT',
+                properties: {
+                    category: { type: 'STRING', enum: categories.map(({ swapType }) => swapType) },
+                    confidence: { type: 'NUMBER' }
+                },
+                required: ['category', 'confidence']
+            }
+        }
+    };
+
+    // One attempt only - a failed classification falls back to the default swap type
+    const response = await upstreamFetch('gemini', `${CLASSIFIER_API_URL}?key=${AI_API_KEY}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    }, { attempts: 1, timeout: CLASSIFIER_TIMEOUT, requestId });
+
+    const data = await response.json();
+    const text = data.candidates?.[0]?.content?.parts?.find(part => part.text)?.text;
+    if (!text) {
+        throw new UpstreamError('no_image', 'AI classifier returned no answer', { service: 'gemini' });
+    }
+
+    const answer = JSON.parse(text);
+    createLogger({ requestId, provider: 'gemini' }).debug('Classifier answer', { stage: 'classify', category: answer.category, confidence: answer.confidence });
+    return { swapType: answer.category, confidence: answer.confidence };
+}
+
+/**
+ * Ask the classifier model what the photos of a request show, for lib/screening.js
+ * A prompt blocked by the safety filters is itself the answer: disallowed content.
+ */
+async function screenInputs({ requestId, userImage, garments, regions }) {
+    const garmentList = garments.map(({ item }, index) =>
+        `- image ${index + 2}: ${item ? `does it show an item of this category: ${item}?` : 'does it show any clothing item or accessory?'}`
+    ).join('\n');
+    const payload = {
+        contents: [{
+            parts: [
+                { text: 'Image 1 is the photo of the person who will virtually try on clothes; the other images are product photos.\n' +
+                    'For image 1 report how many people are in it, whether it is a product photo with nobody in it, and which of these body regions are fully visible: ' +
+                    `${regions.join(', ')}.\nFor each product photo answer:\n${garmentList}\n` +
+                    'Mark any image disallowed if it contains nudity, sexual content, a minor, violence or gore.' },
+                toInlineData(userImage),
+                ...garments.map(garment => toInlineData(garment.image))
+            ]
+        }],
+        generationConfig: {
+            responseMimeType: 'application/json',
+            responseSchema: {
+                type: 'OBJECT',
+                properties: {
+                    people: { type: 'INTEGER' },
+                    productPhoto: { type: 'BOOLEAN' },
+                    visibleRegions: { type: 'ARRAY', items: { type: 'STRING', enum: regions } },
+                    disallowed: { type: 'BOOLEAN' },
+                    garments: {
+                        type: 'ARRAY',
+                        items: {
+                            type: 'OBJECT',
+                            properties: { matches: { type: 'BOOLEAN' }, disallowed: { type: 'BOOLEAN' } },
+                            required: ['matches', 'disallowed']
+                        }
+                    }
+                },
+                required: ['people', 'productPhoto', 'visibleRegions', 'disallowed', 'garments']
+            }
+        }
+    };
+
+    // One attempt only - a failed check lets the request through
+    const response = await upstreamFetch('gemini', `${CLASSIFIER_API_URL}?key=${AI_API_KEY}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    }, { attempts: 1, timeout: CLASSIFIER_TIMEOUT, requestId });
+
+    const data = await response.json();
+    if (SAFETY_REASONS.has(data.promptFeedback?.blockReason) || SAFETY_REASONS.has(data.candidates?.[0]?.finishReason)) {
+        return { people: 0, productPhoto: false, visibleRegions: [], disallowed: true, garments: [] };
+    }
+    const text = data.candidates?.[0]?.content?.parts?.find(part => part.text)?.text;
+    if (!text) {
+        throw new UpstreamError('no_image', 'AI screening returned no answer', { service: 'gemini' });
+    }
+
+    const answer = JSON.parse(text);
+    createLogger({ requestId, provider: 'gemini' }).debug('Screening answer', { stage: 'screen', ...answer });
+    return answer;
+}
+
+export default {
+    name: 'gemini',
+    model: AI_MODEL,
+    defaultSwapType: 'Full Outfit',
+
+    isConfigured() {
+        return Boolean(AI_API_KEY);
+    },
+
+    // Several garments are layered with one combined prompt
+    maxGarments: 4,
+    layering: ['combined', 'chain'],
+
+    // Each variant is its own generateContent call, run side by side
+    maxVariants: 4,
+
+    // Driven by the versioned templates in config/prompts
+    prompts: true,
+
+    async submit({ requestId, userImage, garments, prompt, deadline }) {
+        const log = createLogger({ requestId, provider: 'gemini' });
+        const aiPayload = {
+            contents: [{ parts: firstTurnParts({ userImage, garments, prompt }, log) }]
+        };
+        return generateImage(requestId, aiPayload, deadline, log);
+    },
+
+    // Continue the conversation that produced a result: the original request, the model's
+    // image and every earlier refinement are replayed as turns before the new instruction
+    async refine({ requestId, userImage, garments, prompt, turns, instruction, deadline }) {
+        const log = createLogger({ requestId, provider: 'gemini' });
+        const template = getPromptTemplate(prompt.version);
+
+        const contents = [{ role: 'user', parts: firstTurnParts({ userImage, garments, prompt }, log) }];
+        for (const [index, turn] of turns.entries()) {
+            if (index > 0) {
+                contents.push({ role: 'user', parts: [{ text: buildRefinePrompt(template, turn.instruction) }] });
+            }
+            contents.push({ role: 'model', parts: [toInlineData(turn.image)] });
+        }
+        contents.push({ role: 'user', parts: [{ text: buildRefinePrompt(template, instruction) }] });
+        log.debug('Refining result', { stage: 'prompt', turns: turns.length, promptVersion: prompt.version });
+
+        return generateImage(requestId, { contents }, deadline, log);
+    },
+
+    async poll() {
+        throw new Error('Gemini generations complete on submit');
+    },
+
+    classifyGarment,
+
+    screenInputs,
+
+    extractImage
+};
@@ -0,0 +1,79 @@
+/**
+ * Generation provider registry
+ *
+ * A provider is an object with:
+ * - name: registry key, stored on jobs so status polling finds the adapter again
+ * - model (optional): the model behind the results, recorded in their provenance label
+ * - defaultSwapType: swap type used when the client sends none
+ * - maxWait (optional): ms after which a pending upstream job is given up
+ * - maxGarments: how many garments one submit() accepts
+ * - layering: multi-garment modes supported - 'combined' (one call with every garment)
+ *   and/or 'chain' (one call per garment, feeding each result into the next)
+ * - maxVariants (optional): how many candidate images one request may ask for; each is a
+ *   separate submit(), so only providers that complete on submit should set it
+ * - prompts (optional): true when the provider is driven by the prompt templates in
+ *   lib/prompts.js - its swap types are the template's categories and it accepts a
+ *   styling instruction
+ * - isConfigured(): whether the required credentials are present
+ * - submit({ requestId, userImage, garments, prompt }): starts a generation; garments is an
+ *   ordered list of { image, swapType } and images are { buffer, mimeType }.
+ *   prompt is { version, instruction } for providers with `prompts`. onProgress(stage, fields)
+ *   (optional, returns a promise) reports stages the provider passes through, e.g. 'hosted'
+ *   once the images are on the image host - see lib/progress.js. baseUrl is the deployment's
+ *   public origin, for images the provider downloads from lib/image-host.js. notifyUrl (may be
+ *   null) is a signed link the provider can POST to when a pending generation ends; the job
+ *   is then polled, so what the call carries does not matter. deadline (a timestamp, may be
+ *   absent) is when the caller gives up - pass it on to upstreamFetch so retries stop there.
+ *   Resolves to { status: 'completed', imageUrl, mimeType }
+ *   or { status: 'pending', upstreamId, upstreamStatus }; either may list the ids of those
+ *   images as hostedImages, released once the generation finishes
+ * - poll(upstreamId): checks a pending generation once; resolves to the same shape,
+ *   or { status: 'failed', error }
+ * - extractImage(response): pulls { imageUrl, mimeType } out of an upstream response
+ * - classifyGarment({ requestId, image, categories }) (optional): detects the category of a
+ *   garment sent with the "Auto" swap type; categories is a list of { swapType, item }.
+ *   Resolves to { swapType, confidence } with confidence between 0 and 1
+ * - screenInputs({ requestId, userImage, garments, regions }) (optional): describes the photos
+ *   of a request before it is queued; garments is a list of { image, item }, item being the
+ *   expected category (null for any clothing item or accessory), and regions the body region
+ *   names to report. Resolves to { people, productPhoto, visibleRegions, disallowed,
+ *   garments: [{ matches, disallowed }] } - see lib/screening.js for the rules applied to it
+ * - refine({ requestId, userImage, garments, prompt, turns, instruction }) (optional): edits
+ *   a finished result. userImage, garments and prompt are the original request's; turns is
+ *   every image generated so far, oldest first, as { instruction, image } (instruction is null
+ *   for the first). deadline is as for submit(). Resolves like submit() but always completed -
+ *   see lib/refine.js
+ *
+ * Adding a backend means writing one adapter and registering it here.
+ */
+
+import gemini from './gemini.js';
+import runpod from './runpod.js';
+import stub from './stub.js';
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+export function getProvider(name) {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown generation provider: ${name}`);
+    }
+    return provider;
+}
+
+/**
+ * Provider for a route - overridable per route (GENERATE_PROVIDER, LEGACY_PROVIDER)
+ * or globally (TRYON_PROVIDER), e.g. TRYON_PROVIDER=stub for offline runs
+ */
+export function resolveProvider(route, fallback) {
+    const name = process.env[`${route.toUpperCase()}_PROVIDER`] || process.env.TRYON_PROVIDER || fallback;
+    return getProvider(name);
+}
+
+registerProvider(gemini);
+registerProvider(runpod);
+registerProvider(stub);
@@ -0,0 +1,234 @@
+/**
+ * RunPod serverless provider for the legacy try-on pipeline
+ * Jobs are submitted with /run and checked with /status/:id, so no
+ * serverless function has to sleep while RunPod works. The worker downloads
+ * its inputs from short-lived signed links on this deployment (lib/image-host.js),
+ * and RunPod calls the job's notify link (its `webhook`) when the generation ends.
+ */
+
+import crypto from 'crypto';
+import { hostImage, releaseHostedImages } from '../image-host.js';
+import { createLogger } from '../logger.js';
+import { upstreamFetch, UpstreamError } from '../upstream.js';
+
+// CRITICAL: Store these in environment variables, NEVER in code
+const RUNPOD_API_KEY = process.env.RUNPOD_API_KEY;
+const RUNPOD_API_URL = process.env.RUNPOD_API_URL;
+
+const RUNPOD_BASE_URL = RUNPOD_API_URL ? RUNPOD_API_URL.replace('/runsync', '').replace('/run', '') : '';
+
+// /run and /status answer right away; the generation itself runs in the background
+const RUNPOD_TIMEOUT = 30 * 1000; // 30 seconds
+
+// Request ID generation with strong uniqueness guarantee
+let requestCounter = 0;
+const requestIdCache = new Set();
+const MAX_CACHE_SIZE = 10000;
+
+/**
+ * Generate cryptographically strong unique request ID
+ * Combines multiple sources of uniqueness to guarantee no collisions:
+ * - High-resolution timestamp (nanoseconds)
+ * - Incrementing counter
+ * - Cryptographically secure random bytes
+ * - Deduplication cache check
+ */
+function generateRequestId() {
+    // Increment counter (wraps at 999999)
+    requestCounter = (requestCounter + 1) % 1000000;
+    
+    // Get high-resolution time for better precision
+    const hrTime = process.hrtime.bigint();
+    const timestamp = Date.now();
+    
+    // Generate cryptographically secure random hex string (16 bytes = 32 hex chars)
+    const randomHex = crypto.randomBytes(16).toString('hex');
+    
+    // Combine all sources of uniqueness
+    let requestId = `req-${timestamp}-${hrTime.toString().slice(-6)}-${requestCounter.toString().padStart(6, '0')}-${randomHex.slice(0, 12)}`;
+    
+    // Ensure absolute uniqueness with cache check
+    // If by some astronomical chance we generate a duplicate, regenerate
+    let attempts = 0;
+    while (requestIdCache.has(requestId) && attempts < 10) {
+        attempts++;
+        const extraRandom = crypto.randomBytes(8).toString('hex');
+        requestId = `req-${timestamp}-${hrTime.toString().slice(-6)}-${requestCounter}-${extraRandom}`;
+    }
+    
+    // Add to cache and manage cache size
+    requestIdCache.add(requestId);
+    
+    // Prevent memory leak by limiting cache size
+    if (requestIdCache.size > MAX_CACHE_SIZE) {
+        // Remove oldest entries (first 1000)
+        const iterator = requestIdCache.values();
+        for (let i = 0; i < 1000; i++) {
+            requestIdCache.delete(iterator.next().value);
+        }
+    }
+    
+    return requestId;
+}
+
+function authHeaders() {
+    return {
+        'Authorization': `Bearer ${RUNPOD_API_KEY}`
+    };
+}
+
+/**
+ * Pull the generated image URL out of a run or status response
+ */
+function extractImage(data) {
+    if (data.output && data.output[0] && data.output[0].image) {
+        return { imageUrl: data.output[0].image, mimeType: 'image/jpeg' };
+    }
+    return null;
+}
+
+/**
+ * Translate a RunPod job status into the provider status shape
+ */
+function toProviderStatus(data) {
+    const upstreamStatus = data.status;
+
+    if (upstreamStatus === 'COMPLETED') {
+        const image = extractImage(data);
+        if (image) {
+            return { status: 'completed', upstreamStatus, ...image };
+        }
+        return { status: 'failed', upstreamStatus, error: new UpstreamError('no_image', 'RunPod completed but no image URL in response', { service: 'runpod' }) };
+    }
+
+    if (upstreamStatus === 'FAILED') {
+        return { status: 'failed', upstreamStatus, error: new UpstreamError('generation_failed', `Generation failed on RunPod server: ${String(data.error || 'no detail').slice(0, 500)}`, { service: 'runpod' }) };
+    }
+
+    if (upstreamStatus === 'CANCELLED') {
+        return { status: 'failed', upstreamStatus, error: new UpstreamError('generation_failed', 'Generation was cancelled', { service: 'runpod' }) };
+    }
+
+    if (upstreamStatus === 'TIMED_OUT') {
+        return { status: 'failed', upstreamStatus, error: new UpstreamError('generation_timeout', 'Generation timed out on RunPod', { service: 'runpod' }) };
+    }
+
+    // IN_QUEUE, IN_PROGRESS, etc.
+    return { status: 'pending', upstreamStatus };
+}
+
+/**
+ * Start a generation with /run - retries stop at `deadline`, like every upstream call of the request
+ */
+async function startJob(requestId, userImageUrl, clothingImageUrl, swapType, notifyUrl, deadline, log) {
+    const runpodPayload = {
+        input: {
+            request_id: generateRequestId(),
+            model_img: userImageUrl,
+            cloth_img: clothingImageUrl,
+            swap_type: swapType,
+            premium_user: true,
+            output_format: "jpg",
+            output_quality: 90
+        }
+    };
+    if (notifyUrl) {
+        runpodPayload.webhook = notifyUrl;
+    }
+
+    // Start generation asynchronously
+    const response = await upstreamFetch('runpod', `${RUNPOD_BASE_URL}/run`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...authHeaders()
+        },
+        body: JSON.stringify(runpodPayload)
+    }, { timeout: RUNPOD_TIMEOUT, deadline, requestId });
+
+    const data = await response.json();
+    if (!data.id) {
+        throw new UpstreamError('upstream_unavailable', 'No job ID received from RunPod', { service: 'runpod' });
+    }
+
+    log.info('RunPod job submitted', { stage: 'submit', upstreamId: data.id, upstreamStatus: data.status });
+
+    const result = toProviderStatus(data);
+    if (result.status === 'failed') {
+        throw result.error;
+    }
+    return { ...result, upstreamId: data.id };
+}
+
+export default {
+    name: 'runpod',
+    defaultSwapType: 'Auto',
+
+    // Matches the old in-request polling limit
+    maxWait: 500000, // 500 seconds (~8.3 minutes)
+
+    isConfigured() {
+        return Boolean(RUNPOD_API_KEY && RUNPOD_API_URL);
+    },
+
+    // The RunPod worker takes one garment per job
+    maxGarments: 1,
+    layering: [],
+
+    async submit({ requestId, userImage, garments, baseUrl, notifyUrl, deadline, onProgress }) {
+        const [{ image: clothingImage, swapType }] = garments;
+        const log = createLogger({ requestId, provider: 'runpod' });
+
+        // Signed links to our own copies - the job releases them once it finishes
+        const hosted = log.time('host');
+        let userImageLink, clothingImageLink;
+
+        try {
+            [userImageLink, clothingImageLink] = await Promise.all([
+                hostImage(userImage, { baseUrl, requestId }),
+                hostImage(clothingImage, { baseUrl, requestId })
+            ]);
+
+            hosted({ expiresAt: userImageLink.expiresAt }, 'Images hosted');
+            await onProgress?.('hosted');
+
+        } catch (hostError) {
+            hosted({ error: hostError.message }, 'Image hosting failed');
+            throw hostError;
+        }
+
+        const hostedImages = [userImageLink.id, clothingImageLink.id];
+        try {
+            return { ...await startJob(requestId, userImageLink.url, clothingImageLink.url, swapType, notifyUrl, deadline, log), hostedImages };
+        } catch (error) {
+            await releaseHostedImages(hostedImages);
+            throw error;
+        }
+    },
+
+    /**
+     * Check a RunPod job once
+     * Falls back to the alternative /:id status URL some endpoints expose.
+     */
+    async poll(upstreamId) {
+        const urls = [
+            `${RUNPOD_BASE_URL}/status/${upstreamId}`,
+            `${RUNPOD_BASE_URL}/${upstreamId}`
+        ];
+
+        // One attempt per URL - the next poll is the retry
+        let lastError = null;
+        for (const url of urls) {
+            try {
+                const response = await upstreamFetch('runpod', url, { headers: authHeaders() }, { attempts: 1, timeout: RUNPOD_TIMEOUT });
+                return toProviderStatus(await response.json());
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    },
+
+    extractImage
+};
@@ -0,0 +1,141 @@
+/**
+ * Offline stub provider for local development and tests
+ * Needs no API keys and no network: it returns a deterministic SVG that
+ * composites the garment over the model photo, so the whole try-on flow
+ * can be exercised end to end.
+ */
+
+import crypto from 'crypto';
+import { createLogger } from '../logger.js';
+
+const STUB_WIDTH = 768;
+const STUB_HEIGHT = 1024;
+
+// Optional artificial latency so progress UI can be checked
+const STUB_DELAY_MS = Number(process.env.STUB_DELAY_MS || 0);
+
+// What screenInputs() reports instead of a clean pair, as JSON - e.g. {"people":2}
+// or {"visibleRegions":["head","face","upper_body"]} to try out each rejection
+const STUB_SCREENING = process.env.STUB_SCREENING;
+
+function toDataUrl(image) {
+    return `data:${image.mimeType};base64,${image.buffer.toString('base64')}`;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    })[char]);
+}
+
+/**
+ * Build the composite - same inputs always give byte-identical output
+ * Garments are stacked down the middle of the model photo in order.
+ */
+export function renderStubImage({ userImage, garments }) {
+    const hash = crypto.createHash('sha256').update(userImage.buffer);
+    for (const garment of garments) {
+        hash.update(garment.image.buffer).update(String(garment.swapType));
+    }
+    const fingerprint = hash.digest('hex').slice(0, 12);
+
+    const slotHeight = (STUB_HEIGHT - 56) / garments.length;
+    const garmentLayers = garments.map((garment, index) =>
+        `<image href="${toDataUrl(garment.image)}" x="${STUB_WIDTH * 0.25}" y="${index * slotHeight + slotHeight * 0.1}" width="${STUB_WIDTH * 0.5}" height="${slotHeight * 0.8}" preserveAspectRatio="xMidYMid meet" opacity="0.85"/>`
+    ).join('');
+    const label = garments.map(garment => escapeXml(garment.swapType)).join(' + ');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${STUB_WIDTH}" height="${STUB_HEIGHT}" viewBox="0 0 ${STUB_WIDTH} ${STUB_HEIGHT}">` +
+        `<rect width="100%" height="100%" fill="#f4f4f4"/>` +
+        `<image href="${toDataUrl(userImage)}" x="0" y="0" width="${STUB_WIDTH}" height="${STUB_HEIGHT}" preserveAspectRatio="xMidYMid meet"/>` +
+        garmentLayers +
+        `<rect x="0" y="${STUB_HEIGHT - 56}" width="${STUB_WIDTH}" height="56" fill="rgba(0,0,0,0.6)"/>` +
+        `<text x="16" y="${STUB_HEIGHT - 20}" font-family="sans-serif" font-size="24" fill="#fff">STUB ${label} · ${fingerprint}</text>` +
+        `</svg>`;
+
+    return Buffer.from(svg);
+}
+
+/**
+ * Build a refinement - the last image with the instruction written under it
+ */
+export function renderStubRefinement({ image, instruction }) {
+    const fingerprint = crypto.createHash('sha256').update(image.buffer).update(instruction).digest('hex').slice(0, 12);
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${STUB_WIDTH}" height="${STUB_HEIGHT}" viewBox="0 0 ${STUB_WIDTH} ${STUB_HEIGHT}">` +
+        `<rect width="100%" height="100%" fill="#f4f4f4"/>` +
+        `<image href="${toDataUrl(image)}" x="0" y="0" width="${STUB_WIDTH}" height="${STUB_HEIGHT}" preserveAspectRatio="xMidYMid meet"/>` +
+        `<rect x="0" y="0" width="${STUB_WIDTH}" height="56" fill="rgba(88,28,135,0.7)"/>` +
+        `<text x="16" y="36" font-family="sans-serif" font-size="24" fill="#fff">REFINED ${escapeXml(instruction)} · ${fingerprint}</text>` +
+        `</svg>`;
+
+    return Buffer.from(svg);
+}
+
+function stubResult(svg) {
+    return {
+        status: 'completed',
+        imageUrl: `data:image/svg+xml;base64,${svg.toString('base64')}`,
+        mimeType: 'image/svg+xml'
+    };
+}
+
+function stubDelay() {
+    return STUB_DELAY_MS > 0 ? new Promise(resolve => setTimeout(resolve, STUB_DELAY_MS)) : Promise.resolve();
+}
+
+export default {
+    name: 'stub',
+    model: 'stub-svg',
+    defaultSwapType: 'Full Outfit',
+
+    isConfigured() {
+        return true;
+    },
+
+    maxGarments: 4,
+    layering: ['combined', 'chain'],
+    maxVariants: 4,
+
+    // Accepts the same swap types and instructions as the template-driven providers
+    prompts: true,
+
+    async submit({ requestId, userImage, garments }) {
+        createLogger({ requestId, provider: 'stub' }).debug('Rendering stub image', { swapTypes: garments.map(garment => garment.swapType) });
+        await stubDelay();
+        return stubResult(renderStubImage({ userImage, garments }));
+    },
+
+    // Only the last image matters offline - the refinement is drawn on top of it
+    async refine({ requestId, turns, instruction }) {
+        createLogger({ requestId, provider: 'stub' }).debug('Rendering stub refinement', { turns: turns.length });
+        await stubDelay();
+        return stubResult(renderStubRefinement({ image: turns[turns.length - 1].image, instruction }));
+    },
+
+    async poll() {
+        throw new Error('Stub generations complete on submit');
+    },
+
+    // Deterministic "classification" - the same garment always lands in the same category
+    async classifyGarment({ image, categories }) {
+        const digest = crypto.createHash('sha256').update(image.buffer).digest();
+        return { swapType: categories[digest[0] % categories.length].swapType, confidence: 0.5 };
+    },
+
+    // Everything passes unless STUB_SCREENING says otherwise
+    async screenInputs({ garments, regions }) {
+        return {
+            people: 1,
+            productPhoto: false,
+            visibleRegions: regions,
+            disallowed: false,
+            garments: garments.map(() => ({ matches: true, disallowed: false })),
+            ...(STUB_SCREENING ? JSON.parse(STUB_SCREENING) : {})
+        };
+    },
+
+    extractImage(data) {
+        return data && data.imageUrl ? { imageUrl: data.imageUrl, mimeType: data.mimeType } : null;
+    }
+};
@@ -0,0 +1,228 @@
+/**
+ * Shared token-bucket rate limiting
+ * Buckets live in a record store (lib/record-store.js) and are taken from with an
+ * atomic update, so a burst of concurrent requests cannot all see the same tokens.
+ * They are kept in the shared storage (lib/storage.js) so every function instance
+ * counts against the same bucket - RATE_LIMIT_DIR pins them to a local directory,
+ * and setRateLimitStore swaps in another store (e.g. a Redis adapter).
+ * Responses carry the IETF RateLimit-* headers and Retry-After when rejected.
+ */
+
+import net from 'net';
+import { LocalStorage, isProduction } from './storage.js';
+import { MemoryRecordStore, StorageRecordStore } from './record-store.js';
+import { createLogger } from './logger.js';
+import { rateLimitRejections } from './metrics.js';
+import { localizeError, requestLocale } from './errors.js';
+
+// Requests per window for each route; override with RATE_LIMIT_<ROUTE>="limit/seconds"
+const ROUTE_LIMITS = {
+    generate: { limit: 10, windowMs: 60 * 1000 },
+    legacy: { limit: 5, windowMs: 60 * 1000 },
+    batch: { limit: 3, windowMs: 60 * 1000 },
+    // A full batch uploads every garment and the model photo one by one
+    upload: { limit: 40, windowMs: 60 * 1000 },
+    refine: { limit: 10, windowMs: 60 * 1000 },
+    session: { limit: 10, windowMs: 60 * 1000 },
+    widget: { limit: 10, windowMs: 60 * 1000 }
+};
+
+const DEFAULT_LIMIT = { limit: 30, windowMs: 60 * 1000 };
+
+function createDefaultStore() {
+    if (process.env.RATE_LIMIT_STORE === 'memory') {
+        if (isProduction()) {
+            throw new Error('RATE_LIMIT_STORE=memory is per instance and cannot be used in production');
+        }
+        return new MemoryRecordStore();
+    }
+    if (process.env.RATE_LIMIT_DIR) {
+        return new StorageRecordStore({ prefix: 'ratelimit', storage: new LocalStorage(process.env.RATE_LIMIT_DIR) });
+    }
+    return new StorageRecordStore({ prefix: 'ratelimit' });
+}
+
+let store = null;
+
+export function getRateLimitStore() {
+    if (!store) {
+        store = createDefaultStore();
+    }
+    return store;
+}
+
+export function setRateLimitStore(customStore) {
+    store = customStore;
+}
+
+/**
+ * Limit for a route, honouring RATE_LIMIT_<ROUTE> overrides
+ */
+export function getRouteLimit(route) {
+    const override = process.env[`RATE_LIMIT_${route.toUpperCase()}`];
+    if (override) {
+        const [limit, seconds] = override.split('/').map(Number);
+        if (limit > 0 && seconds > 0) {
+            return { limit, windowMs: seconds * 1000 };
+        }
+    }
+    return ROUTE_LIMITS[route] || DEFAULT_LIMIT;
+}
+
+/**
+ * Take one token from a bucket that refills `limit` tokens per `windowMs`
+ */
+export async function consumeToken(key, { limit, windowMs }, now = Date.now()) {
+    const refillPerMs = limit / windowMs;
+    let allowed = false;
+
+    const bucket = await getRateLimitStore().update(key, saved => {
+        let tokens = limit;
+        if (saved) {
+            tokens = Math.min(limit, saved.tokens + (now - saved.updatedAt) * refillPerMs);
+        }
+
+        allowed = tokens >= 1;
+        return { tokens: allowed ? tokens - 1 : tokens, updatedAt: now };
+    }, {
+        // Keep the bucket only as long as it takes to refill completely
+        ttlMs: next => Math.max(Math.ceil((limit - next.tokens) / refillPerMs), 1000)
+    });
+
+    const { tokens } = bucket;
+    return {
+        allowed,
+        limit,
+        remaining: Math.floor(tokens),
+        resetMs: Math.ceil((limit - tokens) / refillPerMs),
+        retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs)
+    };
+}
+
+// Addresses whose X-Forwarded-For we believe; TRUSTED_PROXIES takes IPs and CIDRs
+function buildTrustedProxies() {
+    const list = new net.BlockList();
+    const entries = (process.env.TRUSTED_PROXIES || 'loopback').split(',').map(entry => entry.trim()).filter(Boolean);
+
+    for (const entry of entries) {
+        if (entry === 'loopback') {
+            list.addSubnet('127.0.0.0', 8, 'ipv4');
+            list.addAddress('::1', 'ipv6');
+            continue;
+        }
+
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (!net.isIP(address)) continue;
+
+        if (prefix) {
+            list.addSubnet(address, Number(prefix), type);
+        } else {
+            list.addAddress(address, type);
+        }
+    }
+
+    return list;
+}
+
+const trustedProxies = buildTrustedProxies();
+
+function normalizeIp(address) {
+    // IPv4 clients on a dual-stack socket show up as ::ffff:1.2.3.4
+    return address && address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+}
+
+function isTrustedProxy(address) {
+    if (!net.isIP(address)) return false;
+    return trustedProxies.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Client IP as seen through trusted proxies only
+ * On Vercel the edge overwrites x-real-ip, so it is the only header trusted there.
+ * Elsewhere X-Forwarded-For is walked from the right, skipping trusted proxies,
+ * so a spoofed left-most entry is never used.
+ */
+export function getClientIp(req) {
+    if (process.env.VERCEL && req.headers['x-real-ip']) {
+        return normalizeIp(String(req.headers['x-real-ip']).trim());
+    }
+
+    const remoteAddress = normalizeIp(req.socket?.remoteAddress) || 'unknown';
+    const forwarded = String(req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(entry => normalizeIp(entry.trim()))
+        .filter(Boolean);
+
+    let client = remoteAddress;
+    while (isTrustedProxy(client) && forwarded.length > 0) {
+        const next = forwarded.pop();
+        if (!net.isIP(next)) break;
+        client = next;
+    }
+
+    return client;
+}
+
+function setRateLimitHeaders(res, result, windowMs) {
+    res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.round(windowMs / 1000)}`);
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+
+    if (!result.allowed) {
+        res.setHeader('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+    }
+}
+
+// The buckets a request takes from, in order - see enforceRateLimit
+function rateLimitBuckets(req, { route, keyId, limit, widget }) {
+    if (widget) {
+        const buckets = [{ identity: `ip:${getClientIp(req)}`, policy: getRouteLimit(route) }];
+        return limit ? [...buckets, { identity: `key:${keyId}`, policy: limit }] : buckets;
+    }
+    return [{ identity: keyId ? `key:${keyId}` : `ip:${getClientIp(req)}`, policy: limit || getRouteLimit(route) }];
+}
+
+/**
+ * Apply the route's limit to this request
+ * Buckets are keyed by API key id when the caller has one, otherwise by client IP;
+ * `limit` overrides the route default (e.g. a per-key quota). Widget sessions (`widget`)
+ * act for their partner's key, so every shopper would share its bucket: they are
+ * limited by client IP instead, the key's own limit - when it has one - capping them all.
+ * Returns true when the request was rejected and a 429 has been sent.
+ */
+export async function enforceRateLimit(req, res, { route, keyId = null, limit = null, widget = false }) {
+    let result;
+    for (const { identity, policy } of rateLimitBuckets(req, { route, keyId, limit, widget })) {
+        try {
+            result = await consumeToken(`${route}:${identity}`, policy);
+        } catch (error) {
+            // A bucket too contended to update is a burst in itself - refuse rather than wave it through
+            if (error.code === 'storage_conflict') {
+                result = { allowed: false, limit: policy.limit, remaining: 0, resetMs: 1000, retryAfterMs: 1000 };
+            } else {
+                // A broken store must not take the API down - let the request through
+                createLogger({ route, stage: 'rate-limit' }).error('Rate limit store error', { error: error.message });
+                return false;
+            }
+        }
+
+        setRateLimitHeaders(res, result, policy.windowMs);
+        if (!result.allowed) break;
+    }
+
+    if (!result.allowed) {
+        rateLimitRejections.inc({ route });
+        createLogger({ route, stage: 'rate-limit' }).warn('Rate limited', { keyId });
+        res.status(429).json(localizeError({
+            error: 'Too many requests',
+            message: 'Please wait before trying again',
+            code: 'rate_limited',
+            retryAfter: Math.ceil(result.retryAfterMs / 1000)
+        }, requestLocale(req)));
+        return true;
+    }
+
+    return false;
+}
@@ -0,0 +1,184 @@
+/**
+ * Keyed JSON record stores
+ * Jobs, rate-limit buckets, webhook deliveries and hosted images all keep small
+ * records by id and need the same operations:
+ *
+ *   get(id)                      the value, or null when absent or expired
+ *   set(id, value, { ttlMs })    write unconditionally
+ *   create(id, value, { ttlMs }) write only if no live record has the id - resolves to true/false
+ *   update(id, fn, { ttlMs })    atomic read-modify-write: fn(current or null) returns the next
+ *                                value (undefined leaves it as it is); ttlMs may be fn(next)
+ *   delete(id), list(), prune()  list() returns live values; prune() drops expired records
+ *
+ * StorageRecordStore keeps them in any lib/storage.js adapter (local disk or S3,
+ * one object per record) and gets its atomicity from conditional puts;
+ * MemoryRecordStore keeps them in one instance.
+ */
+
+import crypto from 'crypto';
+import { getStorage, StorageConflictError } from './storage.js';
+
+// Ids that are not valid storage keys (IPs, hashes with colons...) are stored under their hash
+const SAFE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+
+// An update that keeps losing to other writers gives up eventually
+const UPDATE_ATTEMPTS = 10;
+
+function expiryFrom(ttlMs, value) {
+    const ttl = typeof ttlMs === 'function' ? ttlMs(value) : ttlMs;
+    return ttl ? Date.now() + ttl : null;
+}
+
+function isLive(entry, now = Date.now()) {
+    return entry && (!entry.expiresAt || entry.expiresAt > now);
+}
+
+/**
+ * In-memory store - per instance, lost on cold start
+ */
+export class MemoryRecordStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(id) {
+        const entry = this.records.get(id);
+        return isLive(entry) ? entry.value : null;
+    }
+
+    async set(id, value, { ttlMs = null } = {}) {
+        this.records.set(id, { value, expiresAt: expiryFrom(ttlMs, value) });
+    }
+
+    async create(id, value, options = {}) {
+        if (isLive(this.records.get(id))) return false;
+        await this.set(id, value, options);
+        return true;
+    }
+
+    async update(id, fn, options = {}) {
+        const current = await this.get(id);
+        const next = fn(current);
+        if (next === undefined) return current;
+        await this.set(id, next, options);
+        return next;
+    }
+
+    async delete(id) {
+        this.records.delete(id);
+    }
+
+    async list() {
+        return [...this.records.values()].filter(entry => isLive(entry)).map(entry => entry.value);
+    }
+
+    async prune() {
+        for (const [id, entry] of this.records) {
+            if (!isLive(entry)) this.records.delete(id);
+        }
+    }
+}
+
+/**
+ * Storage-backed store - one JSON object per record under `prefix`
+ * `storage` defaults to the shared adapter from getStorage().
+ */
+export class StorageRecordStore {
+    constructor({ prefix, storage = null }) {
+        this.prefix = prefix;
+        this.storage = storage;
+    }
+
+    backend() {
+        return this.storage || getStorage();
+    }
+
+    key(id) {
+        const name = SAFE_ID_PATTERN.test(id) && !id.includes('..')
+            ? id
+            : crypto.createHash('sha256').update(String(id)).digest('hex');
+        return `${this.prefix}/${name}`;
+    }
+
+    async read(id) {
+        const stored = await this.backend().get(this.key(id));
+        if (!stored) return null;
+        try {
+            return { entry: JSON.parse(stored.buffer.toString('utf8')), etag: stored.etag };
+        } catch {
+            // A torn or foreign object counts as absent, and may be overwritten
+            return { entry: null, etag: stored.etag };
+        }
+    }
+
+    write(id, value, ttlMs, condition = {}) {
+        const entry = { id, value, expiresAt: expiryFrom(ttlMs, value) };
+        return this.backend().put(this.key(id), Buffer.from(JSON.stringify(entry)), { contentType: 'application/json', ...condition });
+    }
+
+    async get(id) {
+        const stored = await this.read(id);
+        return isLive(stored?.entry) ? stored.entry.value : null;
+    }
+
+    async set(id, value, { ttlMs = null } = {}) {
+        await this.write(id, value, ttlMs);
+    }
+
+    async create(id, value, { ttlMs = null } = {}) {
+        let created = false;
+        await this.update(id, current => {
+            created = current === null;
+            return created ? value : undefined;
+        }, { ttlMs });
+        return created;
+    }
+
+    async update(id, fn, { ttlMs = null } = {}) {
+        for (let attempt = 1; attempt <= UPDATE_ATTEMPTS; attempt++) {
+            const stored = await this.read(id);
+            const current = isLive(stored?.entry) ? stored.entry.value : null;
+            const next = fn(current);
+            if (next === undefined) return current;
+
+            try {
+                // An expired or unreadable record is replaced like any other version
+                await this.write(id, next, ttlMs, stored ? { ifMatch: stored.etag } : { ifNoneMatch: '*' });
+                return next;
+            } catch (error) {
+                if (!(error instanceof StorageConflictError)) throw error;
+            }
+        }
+        throw new StorageConflictError(this.key(id));
+    }
+
+    async delete(id) {
+        await this.backend().delete(this.key(id));
+    }
+
+    async entries() {
+        const objects = await this.backend().list(this.prefix);
+        const entries = await Promise.all(objects.map(async ({ key }) => {
+            const stored = await this.backend().get(key).catch(() => null);
+            try {
+                return stored ? { key, entry: JSON.parse(stored.buffer.toString('utf8')) } : null;
+            } catch {
+                return null;
+            }
+        }));
+        return entries.filter(Boolean);
+    }
+
+    async list() {
+        return (await this.entries()).filter(({ entry }) => isLive(entry)).map(({ entry }) => entry.value);
+    }
+
+    async prune() {
+        const now = Date.now();
+        for (const { key, entry } of await this.entries()) {
+            if (!isLive(entry, now)) {
+                await this.backend().delete(key).catch(() => {});
+            }
+        }
+    }
+}
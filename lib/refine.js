@@ -0,0 +1,244 @@
+/**
+ * Conversational refinement of finished try-ons
+ * Every stored result keeps a context in storage: the original input images, the
+ * prompt and the instructions that led to it. For providers with refine(), POST /api/refine
+ * replays that conversation with one more instruction ("make the sleeves shorter") and
+ * stores the answer as a new result linked to its parent. Composites read the input
+ * images from the same context (see api/results/[id]/composite.js).
+ *
+ * Input images are stored once under their content hash, so the variants of a request
+ * and all of its refinements share them. Contexts expire with the result links
+ * (REFINE_CONTEXT_TTL, in seconds, else RESULT_LINK_TTL); pruneRefineContexts then
+ * deletes them and every input photo no live context uses.
+ *
+ * A context belongs to the callers that were served its result (see callerId), so
+ * one anonymous visitor cannot refine another's try-on.
+ */
+
+import crypto from 'crypto';
+import { getStorage } from './storage.js';
+import { saveResult, loadUnmarkedResult, isValidResultId } from './results.js';
+import { describeProvenance } from './provenance.js';
+import { describeError } from './errors.js';
+import { GENERATION_DEADLINE, withDeadline } from './upstream.js';
+import { createLogger } from './logger.js';
+import { upstreamLatency, errorsByCategory } from './metrics.js';
+import { markRunning, markSucceeded, markFailed, pruneJobs } from './jobs.js';
+import { setJobProgress } from './progress.js';
+
+// Refinements on top of one try-on; every one replays the whole conversation
+export const REFINE_MAX_DEPTH = Number(process.env.REFINE_MAX_DEPTH || 5);
+
+const CONTEXT_TTL = Number(process.env.REFINE_CONTEXT_TTL || process.env.RESULT_LINK_TTL || 7 * 24 * 60 * 60) * 1000;
+
+// An input photo this recent may belong to a context that is still being written
+const INPUT_GRACE_PERIOD = 60 * 60 * 1000;
+
+// The sweep reads every context, so an instance runs it at most this often
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+let lastPrunedAt = 0;
+
+function contextKey(resultId) {
+    return `contexts/${resultId}`;
+}
+
+async function saveInputImage(image) {
+    const key = `inputs/${crypto.createHash('sha256').update(image.buffer).digest('hex')}`;
+    await getStorage().put(key, image.buffer, { contentType: image.mimeType });
+    return key;
+}
+
+function toImage(stored, label) {
+    if (!stored) {
+        throw new Error(`The ${label} of this result is no longer stored`);
+    }
+    return { buffer: stored.buffer, mimeType: stored.contentType };
+}
+
+async function saveRefineContext(context) {
+    await getStorage().put(contextKey(context.resultId), Buffer.from(JSON.stringify(context)), { contentType: 'application/json' });
+}
+
+function isExpired(context, now = Date.now()) {
+    return (context.expiresAt || context.createdAt + CONTEXT_TTL) <= now;
+}
+
+/**
+ * Context of a stored result, or null when it cannot be refined
+ */
+export async function loadRefineContext(resultId) {
+    if (!isValidResultId(resultId)) return null;
+    const stored = await getStorage().get(contextKey(resultId));
+    const context = stored ? JSON.parse(stored.buffer.toString('utf8')) : null;
+    return context && !isExpired(context) ? context : null;
+}
+
+/**
+ * Keep what a finished try-on needs to be refined later - one context per result,
+ * variants included (chain steps are intermediate images and get none)
+ */
+export async function rememberTryOnContext(output, { provider, owner, prompt, userImage, garments }) {
+    const inputs = {
+        userImage: await saveInputImage(userImage),
+        garments: await Promise.all(garments.map(async garment => ({ image: await saveInputImage(garment.image), swapType: garment.swapType })))
+    };
+
+    const resultIds = output.variants ? output.variants.map(variant => variant.resultId) : [output.resultId];
+    await Promise.all(resultIds.map(resultId => saveRefineContext({
+        resultId,
+        parentId: null,
+        depth: 0,
+        provider,
+        prompt,
+        ...inputs,
+        turns: [{ instruction: null, resultId }],
+        owners: [owner],
+        createdAt: Date.now(),
+        expiresAt: Date.now() + CONTEXT_TTL
+    })));
+}
+
+/**
+ * Let another caller refine results it was served from the result cache
+ * The context then lasts as long as the fresh link that caller got.
+ */
+export async function shareTryOnContext(output, owner) {
+    const resultIds = output.variants ? output.variants.map(variant => variant.resultId) : [output.resultId];
+    await Promise.all(resultIds.map(async resultId => {
+        const context = await loadRefineContext(resultId);
+        if (context) {
+            const owners = context.owners.includes(owner) ? context.owners : [...context.owners, owner];
+            await saveRefineContext({ ...context, owners, expiresAt: Date.now() + CONTEXT_TTL });
+        }
+    }));
+}
+
+/**
+ * Whether a caller (see callerId) may refine a result
+ */
+export function canRefine(context, owner) {
+    return Boolean(owner) && context.owners.includes(owner);
+}
+
+/**
+ * Delete expired contexts, then the input photos no remaining context refers to
+ * Throttled per instance; failures are left for the next sweep.
+ */
+export async function pruneRefineContexts(now = Date.now()) {
+    if (now - lastPrunedAt < PRUNE_INTERVAL) return;
+    lastPrunedAt = now;
+
+    const storage = getStorage();
+    const referenced = new Set();
+    for (const { key } of await storage.list('contexts')) {
+        const stored = await storage.get(key).catch(() => null);
+        let context = null;
+        try {
+            context = stored && JSON.parse(stored.buffer.toString('utf8'));
+        } catch {
+            // Unreadable - dropped below like an expired one
+        }
+
+        if (!context || isExpired(context, now)) {
+            await storage.delete(key).catch(() => {});
+            continue;
+        }
+        referenced.add(context.userImage);
+        for (const garment of context.garments) {
+            referenced.add(garment.image);
+        }
+    }
+
+    for (const { key, updatedAt } of await storage.list('inputs')) {
+        if (!referenced.has(key) && now - updatedAt > INPUT_GRACE_PERIOD) {
+            await storage.delete(key).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Load the original model photo and garments of a result - { userImage, garments }
+ */
+export async function loadContextInputs(context) {
+    const storage = getStorage();
+    const userImage = toImage(await storage.get(context.userImage), 'model photo');
+    const garments = await Promise.all(context.garments.map(async (garment, index) => ({
+        image: toImage(await storage.get(garment.image), `garment #${index + 1}`),
+        swapType: garment.swapType
+    })));
+    return { userImage, garments };
+}
+
+/**
+ * Load the original inputs and every image of the conversation so far
+ * Watermarked results are sent without their watermark.
+ */
+async function loadConversation(context) {
+    const { userImage, garments } = await loadContextInputs(context);
+    const turns = await Promise.all(context.turns.map(async turn => ({
+        instruction: turn.instruction,
+        image: toImage(await loadUnmarkedResult(turn.resultId), `image ${turn.resultId}`)
+    })));
+    return { userImage, garments, turns };
+}
+
+/**
+ * Send a queued refinement to the provider and record the outcome
+ * The new result gets its own context, one turn longer than its parent's. A generation still
+ * going at `deadline` fails the job before the function's maxDuration stops it.
+ */
+export async function runRefine(jobId, requestId, provider, { context, instruction, watermark = false, deadline = Date.now() + GENERATION_DEADLINE }) {
+    const log = createLogger({ requestId, jobId, provider: provider.name, route: 'refine', parentId: context.resultId });
+
+    try {
+        await markRunning(jobId, { startedAt: Date.now() });
+        const { userImage, garments, turns } = await loadConversation(context);
+
+        await setJobProgress(jobId, 'generating');
+        const done = log.time('generate');
+        let result;
+        try {
+            result = await withDeadline(provider.refine({ requestId, userImage, garments, prompt: context.prompt, turns, instruction, deadline }), deadline);
+            upstreamLatency.observe({ provider: provider.name, outcome: result.status }, done({ outcome: result.status }) / 1000);
+        } catch (error) {
+            upstreamLatency.observe({ provider: provider.name, outcome: 'error' }, done({ outcome: 'error', error: error.message }) / 1000);
+            throw error;
+        }
+
+        await setJobProgress(jobId, 'storing');
+        const provenance = describeProvenance(provider, { requestId, promptVersion: context.prompt.version, watermark });
+        const stored = await saveResult(requestId, result.imageUrl, provenance);
+        const depth = context.depth + 1;
+        await saveRefineContext({
+            ...context,
+            resultId: stored.resultId,
+            parentId: context.resultId,
+            depth,
+            turns: [...context.turns, { instruction, resultId: stored.resultId }],
+            createdAt: Date.now(),
+            expiresAt: Date.now() + CONTEXT_TTL
+        });
+
+        const job = await markSucceeded(jobId, {
+            resultId: stored.resultId,
+            imageUrl: stored.url,
+            expiresAt: stored.expiresAt,
+            promptVersion: context.prompt.version,
+            parentId: context.resultId,
+            depth,
+            instruction
+        });
+        log.info('Job succeeded', { stage: 'done', resultId: stored.resultId, depth, durationMs: job.updatedAt - job.createdAt });
+
+    } catch (error) {
+        const described = describeError(error);
+        errorsByCategory.inc({ route: 'refine', category: described.category });
+        log.error('Job failed', { stage: 'done', category: described.category, code: described.code, error: error.message });
+        await markFailed(jobId, described).catch(storeError => {
+            log.error('Could not record job failure', { error: storeError.message });
+        });
+    } finally {
+        pruneJobs().catch(() => {});
+        pruneRefineContexts().catch(() => {});
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Garment images fetched by URL instead of uploaded
+ * A caller-supplied URL must be https, on a host listed in GARMENT_URL_HOSTS
+ * (comma-separated; "*.example.com" also matches subdomains) and resolve to a
+ * public address - the one connected to, see fetchPublic(). Redirects are followed
+ * by hand so every hop is checked again, and the body must be an image no larger
+ * than an upload may be.
+ * Product images from the catalog feed skip the host list - the feed is ours.
+ */
+
+import { assertPublicUrl, fetchPublic } from './network.js';
+import { MAX_FILE_SIZE } from './http.js';
+import { normalizeImage } from './images.js';
+
+const FETCH_TIMEOUT = 15 * 1000; // 15 seconds for the whole download
+const MAX_REDIRECTS = 3;
+
+/**
+ * A garment image URL that could not be used - the message is safe to show
+ */
+export class RemoteImageError extends Error {
+    constructor(message, { statusCode = 400, code = 'image_fetch_failed' } = {}) {
+        super(message);
+        this.name = 'RemoteImageError';
+        this.code = code;
+        this.statusCode = statusCode;
+        this.expose = true;
+    }
+}
+
+function allowedHosts() {
+    return (process.env.GARMENT_URL_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function isAllowedHost(hostname) {
+    const host = hostname.toLowerCase();
+    return allowedHosts().some(allowed => allowed.startsWith('*.')
+        ? host.endsWith(allowed.slice(1))
+        : host === allowed);
+}
+
+/**
+ * Check a caller-supplied garment URL before anything is downloaded
+ * Resolves to { ok } or { ok: false, statusCode, error, message, code }.
+ */
+export function checkGarmentUrl(value) {
+    if (allowedHosts().length === 0) {
+        return { ok: false, statusCode: 400, error: 'Garment URLs not enabled', message: 'Garment images by URL are not enabled on this service. Please upload the photo instead.', code: 'garment_urls_disabled' };
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return { ok: false, statusCode: 400, error: 'Invalid garment URL', message: 'The garment image URL is not a valid URL.', code: 'invalid_garment_url' };
+    }
+    if (url.protocol !== 'https:' || !isAllowedHost(url.hostname)) {
+        return { ok: false, statusCode: 400, error: 'Invalid garment URL', message: `Garment images can only be loaded over https from: ${allowedHosts().join(', ')}.`, code: 'invalid_garment_url' };
+    }
+    return { ok: true };
+}
+
+function tooLarge(label) {
+    return new RemoteImageError(`The ${label} is too large. Please use images smaller than 4.5MB.`, { statusCode: 413, code: 'file_too_large' });
+}
+
+async function readLimitedBody(response, label) {
+    if (Number(response.headers.get('content-length')) > MAX_FILE_SIZE) {
+        throw tooLarge(label);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > MAX_FILE_SIZE) {
+            throw tooLarge(label);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Download a garment image and normalize it like an upload
+ * `trusted` marks URLs from the catalog feed, which are not held to GARMENT_URL_HOSTS.
+ */
+export async function fetchGarmentImage(value, { label = 'clothing image', trusted = false } = {}) {
+    const signal = AbortSignal.timeout(FETCH_TIMEOUT);
+    let current = value;
+
+    try {
+        for (let redirects = 0; ; redirects++) {
+            if (!trusted) {
+                const allowed = checkGarmentUrl(current);
+                if (!allowed.ok) throw new RemoteImageError(allowed.message);
+            }
+            const url = await assertPublicUrl(current, { label: `${label} URL` });
+
+            const response = await fetchPublic(url, { signal, headers: { 'Accept': 'image/*' } });
+
+            if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+                response.body?.cancel().catch(() => {});
+                if (redirects === MAX_REDIRECTS) {
+                    throw new RemoteImageError(`The ${label} URL redirects too many times.`);
+                }
+                current = new URL(response.headers.get('location'), url).href;
+                continue;
+            }
+
+            if (!response.ok) {
+                throw new RemoteImageError(`The ${label} URL answered ${response.status}. Please check the link.`);
+            }
+
+            const contentType = String(response.headers.get('content-type') || '').toLowerCase();
+            if (!contentType.startsWith('image/')) {
+                throw new RemoteImageError(`The ${label} URL does not point to an image.`, { statusCode: 415, code: 'invalid_image' });
+            }
+
+            // The bytes still decide the format (see lib/images.js)
+            return normalizeImage(await readLimitedBody(response, label), { label });
+        }
+    } catch (error) {
+        // Our own checks (and lib/images.js validation) already carry a safe message
+        if (error.expose) throw error;
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+            throw new RemoteImageError(`The ${label} took too long to download.`, { statusCode: 408, code: 'timeout' });
+        }
+        throw new RemoteImageError(`The ${label} could not be downloaded. Please check the link.`);
+    }
+}
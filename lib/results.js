@@ -0,0 +1,96 @@
+/**
+ * Generated result storage
+ * Finished images are written to storage under their request id and handed out
+ * as signed, expiring /api/results/:id links instead of inline base64.
+ * Each image is labeled with its provenance before it is stored (lib/provenance.js);
+ * a watermarked result also keeps an unmarked copy for refinements and composites.
+ */
+
+import crypto from 'crypto';
+import { getStorage } from './storage.js';
+import { createSignedUrl } from './signed-urls.js';
+import { upstreamFetch } from './upstream.js';
+import { labelResult } from './provenance.js';
+
+// How long a result link stays valid; RESULT_LINK_TTL is in seconds
+const RESULT_LINK_TTL = Number(process.env.RESULT_LINK_TTL || 7 * 24 * 60 * 60) * 1000;
+
+const RESULT_DOWNLOAD_TIMEOUT = 60 * 1000; // 60 seconds per attempt
+
+// Request ids, optionally with a suffix for batch items and chain steps
+const RESULT_ID_PATTERN = /^req_[a-f0-9]{24}(-[a-z0-9]{1,16}){0,2}$/;
+
+/**
+ * A new request id - results and refine contexts are stored under it, so it is as
+ * unguessable as a job id
+ */
+export function createRequestId() {
+    return `req_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+export function isValidResultId(id) {
+    return typeof id === 'string' && RESULT_ID_PATTERN.test(id);
+}
+
+function resultKey(id) {
+    return `results/${id}`;
+}
+
+function unmarkedKey(id) {
+    return `originals/${id}`;
+}
+
+/**
+ * Turn a provider image URL (data: or remote) into { buffer, mimeType }
+ */
+export async function loadResultImage(imageUrl) {
+    const match = /^data:([^;]+);base64,(.*)$/.exec(imageUrl);
+    if (match) {
+        return { buffer: Buffer.from(match[2], 'base64'), mimeType: match[1] };
+    }
+
+    const response = await upstreamFetch(new URL(imageUrl).host, imageUrl, {}, { timeout: RESULT_DOWNLOAD_TIMEOUT });
+    return {
+        buffer: Buffer.from(await response.arrayBuffer()),
+        mimeType: response.headers.get('content-type') || 'image/jpeg'
+    };
+}
+
+/**
+ * Signed link to a stored result - { url, expiresAt }
+ */
+export function createResultLink(id, ttlMs = RESULT_LINK_TTL) {
+    return createSignedUrl(`/api/results/${id}`, ttlMs);
+}
+
+/**
+ * Label a provider result, store it under `id` and return its signed link
+ * provenance is { requestId, backend, model, promptVersion, watermark } - see labelResult().
+ */
+export async function saveResult(id, imageUrl, provenance) {
+    const image = await loadResultImage(imageUrl);
+    const storage = getStorage();
+
+    const labeled = await labelResult(image, { ...provenance, resultId: id });
+    await storage.put(resultKey(id), labeled.buffer, { contentType: labeled.mimeType });
+
+    // The model must not see its own watermark again when the result is refined
+    if (provenance.watermark) {
+        const unmarked = await labelResult(image, { ...provenance, resultId: id, watermark: false });
+        await storage.put(unmarkedKey(id), unmarked.buffer, { contentType: unmarked.mimeType });
+    }
+    return { resultId: id, ...createResultLink(id) };
+}
+
+export async function loadResult(id) {
+    if (!isValidResultId(id)) return null;
+    return getStorage().get(resultKey(id));
+}
+
+/**
+ * The result without its visible watermark, when it has one
+ */
+export async function loadUnmarkedResult(id) {
+    if (!isValidResultId(id)) return null;
+    return await getStorage().get(unmarkedKey(id)) || loadResult(id);
+}
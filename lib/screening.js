@@ -0,0 +1,174 @@
+/**
+ * Input pre-check ("screening") in front of every try-on route
+ * Before a job is queued, the screening provider looks at the photos: the model photo
+ * must show exactly one person with the body region the swap type needs, each garment
+ * photo must show the chosen category, and nothing may be content we do not process.
+ * A failed check answers 422 with a code per reason, so the UI can say what to fix.
+ *
+ * The provider only reports what it sees (see screenInputs in providers/index.js);
+ * the rules live here. SCREENING_PROVIDER picks the provider (TRYON_PROVIDER and
+ * then Gemini otherwise), INPUT_SCREENING=off turns the check off. When the check
+ * itself cannot run (no provider, provider error or timeout) the request is refused
+ * with a 503, since nothing was checked for disallowed content; INPUT_SCREENING=fail-open
+ * lets it through instead, leaving it to the generator's own filters. Either way it is
+ * logged and counted (input_screenings, outcome "skipped" or "error").
+ */
+
+import { AUTO_SWAP_TYPE } from './classify.js';
+import { resolveProvider } from './providers/index.js';
+import { inputScreenings } from './metrics.js';
+
+// Body regions the provider reports as visible in the model photo
+export const BODY_REGIONS = ['head', 'face', 'upper_body', 'lower_body', 'feet'];
+
+// What each swap type's garment photo must show and which regions it is worn on.
+// Keyed in lower case, so the legacy names (Upper-body, Dresses...) share the entries.
+const SWAP_TYPE_CHECKS = {
+    'full outfit': { item: 'full outfit', regions: ['upper_body', 'lower_body'] },
+    'upper-body': { item: 'upper-body garment', regions: ['upper_body'] },
+    'lower-body': { item: 'lower-body garment', regions: ['lower_body'] },
+    'dress': { item: 'dress', regions: ['upper_body', 'lower_body'] },
+    'dresses': { item: 'dress', regions: ['upper_body', 'lower_body'] },
+    'shoes': { item: 'footwear', regions: ['feet'] },
+    'headwear': { item: 'headwear item (hat)', regions: ['head'] },
+    'eyewear': { item: 'eyewear (glasses)', regions: ['face'] },
+    'bodywear': { item: 'bodywear accessory (scarf/tie/belt)', regions: ['upper_body'] },
+    'jewelry': { item: 'jewelry item', regions: [] },
+    'bags': { item: 'bag', regions: ['upper_body'] }
+};
+
+// Auto garments are not classified yet - any clothing item or accessory will do
+const ANY_ITEM = { item: null, regions: [] };
+
+function checksFor(swapType) {
+    if (swapType === AUTO_SWAP_TYPE) return ANY_ITEM;
+    return SWAP_TYPE_CHECKS[String(swapType).toLowerCase()] || ANY_ITEM;
+}
+
+// The check could not run and screening does not fail open
+const UNAVAILABLE = {
+    ok: false,
+    statusCode: 503,
+    error: 'Screening unavailable',
+    message: 'The photos could not be checked right now. Please try again in a moment.',
+    code: 'screening_unavailable'
+};
+
+function rejected(message, code, params) {
+    return { ok: false, statusCode: 422, error: 'Unsuitable images', message, code, params };
+}
+
+const REGION_MESSAGES = {
+    head: 'The head is not fully visible in the model photo, which a headwear try-on needs.',
+    face: 'The face is not clearly visible in the model photo, which an eyewear try-on needs.',
+    upper_body: 'The upper body is not fully visible in the model photo.',
+    lower_body: 'The legs are not fully visible in the model photo.',
+    feet: 'The feet are not visible in the model photo, which a shoes try-on needs.'
+};
+
+/**
+ * Apply the rules to what the provider saw
+ * observation is { people, productPhoto, visibleRegions, disallowed, garments: [{ matches, disallowed }] }
+ * in the order of `garments`. Resolves to { ok: true } or a 422 rejection.
+ */
+export function judgeScreening(observation, garments) {
+    const garmentObservations = observation.garments || [];
+    const garmentNumber = index => (garments.length > 1 ? { garment: index + 1 } : undefined);
+
+    if (observation.disallowed || garmentObservations.some(garment => garment?.disallowed)) {
+        return rejected('These images cannot be processed. Please use other photos.', 'disallowed_content');
+    }
+
+    const people = Number(observation.people) || 0;
+    if (people === 0) {
+        return observation.productPhoto
+            ? rejected('The model photo shows a product, not a person. Put the photo of the person in the model slot.', 'product_in_model_slot')
+            : rejected('No person was found in the model photo.', 'no_person');
+    }
+    if (people > 1) {
+        return rejected(`The model photo shows ${people} people. Use a photo of one person.`, 'multiple_people', { count: people });
+    }
+
+    const visible = new Set(observation.visibleRegions || []);
+    for (const garment of garments) {
+        const missing = checksFor(garment.swapType).regions.find(region => !visible.has(region));
+        if (missing) {
+            return rejected(REGION_MESSAGES[missing], `${missing}_not_visible`, { swapType: garment.swapType });
+        }
+    }
+
+    for (const [index, garment] of garments.entries()) {
+        if (garmentObservations[index]?.matches !== false) continue;
+        if (garment.swapType === AUTO_SWAP_TYPE) {
+            return rejected('No clothing item or accessory was found in the product photo.', 'no_garment', garmentNumber(index));
+        }
+        return rejected(
+            `The product photo does not show the chosen category (${garment.swapType}).`,
+            'garment_mismatch',
+            { swapType: garment.swapType, ...garmentNumber(index) }
+        );
+    }
+
+    return { ok: true };
+}
+
+/**
+ * Whether requests are screened at all
+ */
+export function isScreeningEnabled() {
+    return process.env.INPUT_SCREENING !== 'off';
+}
+
+/**
+ * Whether a request that could not be screened goes through - INPUT_SCREENING=fail-open
+ */
+function failsOpen() {
+    return process.env.INPUT_SCREENING === 'fail-open';
+}
+
+/**
+ * Screen a request's normalized images before its job is queued
+ * garments is the ordered list of { image, swapType }. Resolves to { ok: true },
+ * { ok: true, skipped: reason } (disabled, or fail-open), a 422 rejection - see
+ * judgeScreening() - or a 503 when the check could not run.
+ */
+export async function screenTryOnInputs({ route, requestId, userImage, garments }, log) {
+    if (!isScreeningEnabled()) {
+        return { ok: true, skipped: 'disabled' };
+    }
+
+    const provider = resolveProvider('screening', 'gemini');
+    if (typeof provider.screenInputs !== 'function' || !provider.isConfigured()) {
+        inputScreenings.inc({ route, outcome: 'skipped' });
+        if (failsOpen()) {
+            log.warn('Input screening unavailable, request not screened', { stage: 'screen', provider: provider.name });
+            return { ok: true, skipped: 'unavailable' };
+        }
+        log.error('Input screening unavailable, request refused', { stage: 'screen', provider: provider.name });
+        return UNAVAILABLE;
+    }
+
+    const screened = log.time('screen');
+    let observation;
+    try {
+        observation = await provider.screenInputs({
+            requestId,
+            userImage,
+            garments: garments.map(garment => ({ image: garment.image, item: checksFor(garment.swapType).item })),
+            regions: BODY_REGIONS
+        });
+    } catch (error) {
+        inputScreenings.inc({ route, outcome: 'error' });
+        if (failsOpen()) {
+            screened({ provider: provider.name, error: error.message }, 'Input screening failed, request not screened');
+            return { ok: true, skipped: 'error' };
+        }
+        screened({ provider: provider.name, error: error.message }, 'Input screening failed, request refused');
+        return UNAVAILABLE;
+    }
+
+    const verdict = judgeScreening(observation, garments);
+    screened({ provider: provider.name, outcome: verdict.ok ? 'passed' : verdict.code }, verdict.ok ? 'Inputs screened' : 'Inputs rejected by screening');
+    inputScreenings.inc({ route, outcome: verdict.ok ? 'passed' : verdict.code });
+    return verdict;
+}
@@ -0,0 +1,90 @@
+/**
+ * Anonymous sessions for our own pages
+ * Under ALLOW_ANONYMOUS=same-origin (the default), a request without an API key must
+ * carry the session cookie POST /api/session gives a first-party page: a signed, expiring
+ * token (lib/signed-urls.js), HttpOnly and SameSite=Strict, so other sites can
+ * neither read it nor have a visitor's browser send it. An Origin header alone
+ * proves nothing - any client can set it.
+ *
+ * The session id also tells anonymous callers apart, e.g. for refine ownership.
+ *
+ * The widget (widget.js) runs in an iframe on partner sites, where that cookie is
+ * never sent. It gets a widget session instead: a token naming the partner's key and
+ * the page origin it was issued to, carried in the X-Widget-Token header.
+ */
+
+import crypto from 'crypto';
+import { createSignedToken, readSignedToken } from './signed-urls.js';
+
+const SESSION_COOKIE = 'cameleon_session';
+
+// SESSION_TTL is in seconds; the pages ask for a new session when theirs runs out
+const SESSION_TTL = Number(process.env.SESSION_TTL || 12 * 60 * 60) * 1000;
+
+// WIDGET_SESSION_TTL is in seconds; widget.js asks for a new session when it runs out
+const WIDGET_SESSION_TTL = Number(process.env.WIDGET_SESSION_TTL || 60 * 60) * 1000;
+
+const SESSION_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+function readCookie(req, name) {
+    for (const part of String(req.headers.cookie || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator > 0 && part.slice(0, separator).trim() === name) {
+            return part.slice(separator + 1).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Start a session and set its cookie - returns { id, expiresAt }
+ */
+export function issueSession(req, res) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const token = createSignedToken(id, SESSION_TTL);
+    const secure = String(req.headers['x-forwarded-proto'] || '').startsWith('https') ? '; Secure' : '';
+
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; Path=/api; Max-Age=${Math.floor(SESSION_TTL / 1000)}; HttpOnly; SameSite=Strict${secure}`);
+    return { id, expiresAt: Date.now() + SESSION_TTL };
+}
+
+/**
+ * The caller's session as { id }, or null without a valid, unexpired cookie
+ */
+export function readSession(req) {
+    const id = readSignedToken(readCookie(req, SESSION_COOKIE));
+    return id && SESSION_ID_PATTERN.test(id) ? { id } : null;
+}
+
+/**
+ * Start a widget session for key `keyId` on a page of `origin` - returns { token, expiresAt }
+ * Only call it once the origin is known to be allowed for the key (see api/widget/session.js).
+ */
+export function issueWidgetSession(keyId, origin) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const value = Buffer.from(JSON.stringify({ keyId, origin, id })).toString('base64url');
+    return { token: createSignedToken(value, WIDGET_SESSION_TTL), expiresAt: Date.now() + WIDGET_SESSION_TTL };
+}
+
+/**
+ * Whether the request presents a widget session at all, valid or not
+ */
+export function hasWidgetToken(req) {
+    return Boolean(req.headers['x-widget-token']);
+}
+
+/**
+ * The widget session in X-Widget-Token as { id, keyId, origin }, or null when it is invalid or expired
+ */
+export function readWidgetSession(req) {
+    const value = readSignedToken(req.headers['x-widget-token']);
+    if (!value) return null;
+    try {
+        const { keyId, origin, id } = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        return SESSION_ID_PATTERN.test(id) && typeof keyId === 'string' && typeof origin === 'string'
+            ? { id, keyId, origin }
+            : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * HMAC-signed, expiring URLs
+ * A link carries ?expires=<unix seconds>&sig=<hmac> over "<path>:<expires>", so it
+ * can be handed out without any session and stops working on its own. Tokens
+ * (anonymous sessions) use the same secret over "token:<value>:<expires>".
+ */
+
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+let fallbackSecret = null;
+
+function getSigningSecret() {
+    if (process.env.URL_SIGNING_SECRET) {
+        return process.env.URL_SIGNING_SECRET;
+    }
+
+    // Links signed with a per-instance secret break on the next cold start - fine locally, not in production
+    if (!fallbackSecret) {
+        logger.warn('URL_SIGNING_SECRET is not set - signed links only work on this instance');
+        fallbackSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return fallbackSecret;
+}
+
+function sign(pathname, expires) {
+    return crypto.createHmac('sha256', getSigningSecret()).update(`${pathname}:${expires}`).digest('base64url');
+}
+
+/**
+ * Sign `pathname` for `ttlMs` - returns { url, expiresAt }
+ */
+export function createSignedUrl(pathname, ttlMs) {
+    const expires = Math.floor((Date.now() + ttlMs) / 1000);
+    return {
+        url: `${pathname}?expires=${expires}&sig=${sign(pathname, expires)}`,
+        expiresAt: expires * 1000
+    };
+}
+
+/**
+ * Check a signature from the query string - returns 'valid', 'expired' or 'invalid'
+ */
+export function verifySignedUrl(pathname, { expires, sig }) {
+    if (!/^\d+$/.test(expires || '') || typeof sig !== 'string') {
+        return 'invalid';
+    }
+
+    const expected = Buffer.from(sign(pathname, expires));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return 'invalid';
+    }
+
+    return Number(expires) * 1000 < Date.now() ? 'expired' : 'valid';
+}
+
+/**
+ * Sign an opaque value (base64url or hex - no dots) for `ttlMs` - returns "<value>.<expires>.<sig>"
+ */
+export function createSignedToken(value, ttlMs) {
+    const expires = Math.floor((Date.now() + ttlMs) / 1000);
+    return `${value}.${expires}.${sign(`token:${value}`, expires)}`;
+}
+
+/**
+ * The value inside a token from createSignedToken, or null when it is invalid or expired
+ */
+export function readSignedToken(token) {
+    const [value, expires, sig, extra] = String(token || '').split('.');
+    if (!value || extra !== undefined) return null;
+    return verifySignedUrl(`token:${value}`, { expires, sig }) === 'valid' ? value : null;
+}
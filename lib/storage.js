@@ -0,0 +1,364 @@
+/**
+ * Blob storage adapters
+ * put/get/delete/list by key, with the content type kept alongside the bytes.
+ * get() also returns an etag; put() with ifMatch (that etag) or ifNoneMatch: '*'
+ * only writes when the object is unchanged or absent, and throws a
+ * StorageConflictError otherwise - lib/record-store.js builds atomic updates on it.
+ *
+ * STORAGE_DRIVER=s3 targets any S3-compatible service (AWS, R2, MinIO...) through
+ * S3_ENDPOINT, S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.
+ * Local disk is the default in development only: every serverless instance has
+ * its own /tmp, so a job created by one function would be missing in the next.
+ * In production the driver must be set - STORAGE_DRIVER=local keeps local disk
+ * for a single long-running server.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+// Keys are built by our own code, but never let one climb out of the storage root
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/;
+
+// A lock older than this belongs to a writer that died
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_RETRY_DELAY = 20;
+
+function assertValidKey(key) {
+    if (!KEY_PATTERN.test(key) || key.includes('..')) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+}
+
+/**
+ * A conditional put lost against another writer - read again and retry
+ */
+export class StorageConflictError extends Error {
+    constructor(key) {
+        super(`Storage object changed concurrently: ${key}`);
+        this.name = 'StorageConflictError';
+        this.code = 'storage_conflict';
+    }
+}
+
+function md5(buffer) {
+    return crypto.createHash('md5').update(buffer).digest('hex');
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Every writer gets its own temp file, so concurrent puts of one key never rename each other's
+function tempPath(target) {
+    return `${target}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+}
+
+async function writeAtomically(target, data) {
+    const temp = tempPath(target);
+    try {
+        await fs.promises.writeFile(temp, data);
+        await fs.promises.rename(temp, target);
+    } catch (error) {
+        await fs.promises.rm(temp, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Local filesystem storage - the content type is written to a .meta.json sidecar
+ * The etag is the MD5 of the bytes, as S3 has it for simple uploads. Conditional
+ * puts hold a lock file next to the object, so they are atomic across processes.
+ */
+export class LocalStorage {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    filePath(key) {
+        assertValidKey(key);
+        return path.join(this.directory, key);
+    }
+
+    async put(key, buffer, { contentType = 'application/octet-stream', ifMatch = null, ifNoneMatch = null } = {}) {
+        const target = this.filePath(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+        if (!ifMatch && !ifNoneMatch) {
+            return this.write(target, buffer, contentType);
+        }
+
+        const unlock = await this.lock(target);
+        try {
+            const current = await fs.promises.readFile(target).catch(error => {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            });
+            if (ifNoneMatch && current) throw new StorageConflictError(key);
+            if (ifMatch && (!current || md5(current) !== ifMatch)) throw new StorageConflictError(key);
+            return await this.write(target, buffer, contentType);
+        } finally {
+            await unlock();
+        }
+    }
+
+    async write(target, buffer, contentType) {
+        await writeAtomically(target, buffer);
+        await writeAtomically(`${target}.meta.json`, JSON.stringify({ contentType, createdAt: Date.now() }));
+        return { etag: md5(buffer) };
+    }
+
+    async lock(target) {
+        const lockPath = `${target}.lock`;
+        for (;;) {
+            try {
+                await (await fs.promises.open(lockPath, 'wx')).close();
+                return () => fs.promises.rm(lockPath, { force: true });
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+            const stat = await fs.promises.stat(lockPath).catch(() => null);
+            if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+                await fs.promises.rm(lockPath, { force: true });
+                continue;
+            }
+            await wait(LOCK_RETRY_DELAY + Math.random() * LOCK_RETRY_DELAY);
+        }
+    }
+
+    async get(key) {
+        const target = this.filePath(key);
+        try {
+            const [buffer, meta] = await Promise.all([
+                fs.promises.readFile(target),
+                fs.promises.readFile(`${target}.meta.json`, 'utf8').then(JSON.parse)
+            ]);
+            return { buffer, contentType: meta.contentType, etag: md5(buffer) };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        const target = this.filePath(key);
+        await fs.promises.rm(target, { force: true });
+        await fs.promises.rm(`${target}.meta.json`, { force: true });
+    }
+
+    /**
+     * Every key under `prefix` as { key, updatedAt }
+     */
+    async list(prefix = '') {
+        const root = prefix ? this.filePath(prefix) : this.directory;
+        let names;
+        try {
+            names = await fs.promises.readdir(root, { recursive: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = await Promise.all(names
+            .filter(name => !/\.(meta\.json|tmp|lock)$/.test(name))
+            .map(async name => {
+                const stat = await fs.promises.stat(path.join(root, name)).catch(() => null);
+                if (!stat?.isFile()) return null;
+                const key = [prefix, ...name.split(path.sep)].filter(Boolean).join('/');
+                return { key, updatedAt: stat.mtimeMs };
+            }));
+        return entries.filter(Boolean);
+    }
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// SigV4 wants the query string encoded the RFC 3986 way
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function unquote(etag) {
+    return etag ? etag.replace(/^(W\/)?"|"$/g, '') : null;
+}
+
+function decodeXml(text) {
+    return text.replace(/&(lt|gt|amp|quot|apos);/g, (entity, name) => ({ lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" })[name]);
+}
+
+/**
+ * S3-compatible storage using path-style URLs and AWS Signature V4
+ */
+export class S3Storage {
+    constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey }) {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.bucket = bucket;
+        this.region = region;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+    }
+
+    async request(method, key, { body = Buffer.alloc(0), headers = {}, query = {} } = {}) {
+        // A null key addresses the bucket itself (listing)
+        if (key !== null) assertValidKey(key);
+        const url = new URL(key === null
+            ? `${this.endpoint}/${this.bucket}`
+            : `${this.endpoint}/${this.bucket}/${key.split('/').map(encodeURIComponent).join('/')}`);
+        const canonicalQuery = Object.keys(query).sort()
+            .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+            .join('&');
+        url.search = canonicalQuery;
+
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const day = amzDate.slice(0, 8);
+        const payloadHash = sha256(body);
+
+        const signed = {
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const signedHeaders = Object.keys(signed).sort().join(';');
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            canonicalQuery,
+            Object.keys(signed).sort().map(name => `${name}:${signed[name]}\n`).join(''),
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        const scope = `${day}/${this.region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+        const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${this.secretAccessKey}`, day), this.region));
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return fetch(url, {
+            method,
+            headers: {
+                ...headers,
+                'x-amz-content-sha256': payloadHash,
+                'x-amz-date': amzDate,
+                Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+            },
+            body: method === 'PUT' ? body : undefined
+        });
+    }
+
+    async put(key, buffer, { contentType = 'application/octet-stream', ifMatch = null, ifNoneMatch = null } = {}) {
+        const headers = { 'Content-Type': contentType };
+        if (ifMatch) headers['If-Match'] = `"${ifMatch}"`;
+        if (ifNoneMatch) headers['If-None-Match'] = ifNoneMatch;
+
+        const response = await this.request('PUT', key, { body: buffer, headers });
+        // 412 when the condition failed, 409 when another conditional write was in flight
+        if (response.status === 412 || response.status === 409) {
+            throw new StorageConflictError(key);
+        }
+        if (!response.ok) {
+            throw new Error(`Storage upload failed: ${response.status}`);
+        }
+        return { etag: unquote(response.headers.get('etag')) || md5(buffer) };
+    }
+
+    async get(key) {
+        const response = await this.request('GET', key);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Storage read failed: ${response.status}`);
+        }
+        const buffer = Buffer.from(await response.arrayBuffer());
+        return {
+            buffer,
+            contentType: response.headers.get('content-type') || 'application/octet-stream',
+            etag: unquote(response.headers.get('etag')) || md5(buffer)
+        };
+    }
+
+    async delete(key) {
+        const response = await this.request('DELETE', key);
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Storage delete failed: ${response.status}`);
+        }
+    }
+
+    /**
+     * Every key under `prefix` as { key, updatedAt } (ListObjectsV2, page by page)
+     */
+    async list(prefix = '') {
+        const entries = [];
+        let token = null;
+        do {
+            const query = { 'list-type': '2', prefix: prefix ? `${prefix}/` : '' };
+            if (token) query['continuation-token'] = token;
+
+            const response = await this.request('GET', null, { query });
+            if (!response.ok) {
+                throw new Error(`Storage list failed: ${response.status}`);
+            }
+            const xml = await response.text();
+            for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const key = decodeXml(/<Key>([\s\S]*?)<\/Key>/.exec(contents)?.[1] || '');
+                const modified = Date.parse(/<LastModified>([^<]*)<\/LastModified>/.exec(contents)?.[1] || '');
+                if (key) entries.push({ key, updatedAt: Number.isNaN(modified) ? 0 : modified });
+            }
+            token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+                ? decodeXml(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(xml)?.[1] || '') || null
+                : null;
+        } while (token);
+        return entries;
+    }
+}
+
+/**
+ * Deployed (Vercel production or preview, or NODE_ENV=production elsewhere)
+ */
+export function isProduction() {
+    if (process.env.VERCEL_ENV) {
+        return process.env.VERCEL_ENV !== 'development';
+    }
+    return process.env.NODE_ENV === 'production';
+}
+
+function createDefaultStorage() {
+    const driver = process.env.STORAGE_DRIVER;
+    if (driver === 's3') {
+        return new S3Storage({
+            endpoint: process.env.S3_ENDPOINT,
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        });
+    }
+    if (driver && driver !== 'local') {
+        throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+    if (!driver && isProduction()) {
+        throw new Error('No shared storage configured: set STORAGE_DRIVER=s3 and the S3_* variables (or STORAGE_DRIVER=local on a single server)');
+    }
+    return new LocalStorage(process.env.STORAGE_DIR || path.join(os.tmpdir(), 'cameleon-storage'));
+}
+
+let storage = null;
+
+export function getStorage() {
+    if (!storage) {
+        storage = createDefaultStorage();
+    }
+    return storage;
+}
+
+/**
+ * Swap the backing storage (anything exposing put/get/delete/list, see LocalStorage)
+ */
+export function setStorage(customStorage) {
+    storage = customStorage;
+}
@@ -0,0 +1,291 @@
+/**
+ * Try-on history in the browser - shared by index.html and legacy.html
+ * Browser only (IndexedDB, canvas): both pages import this file as is.
+ *
+ * Every finished generation is kept on the device with its model photo, main product,
+ * swap type, backend and result. Photos are stored once under their content hash, so
+ * a model photo used for many try-ons is kept a single time and can be reused from any
+ * of them. Favorites stay until deleted; of the others only the latest HISTORY_LIMIT are kept.
+ * The result image itself is stored, since its signed link expires.
+ */
+
+const DB_NAME = 'cameleon-history';
+const DB_VERSION = 1;
+
+export const HISTORY_LIMIT = 50;
+
+const THUMBNAIL_SIZE = 192;
+
+const BACKEND_LABELS = {
+    gemini: 'Gemini',
+    legacy: 'Legacy'
+};
+
+let database = null;
+
+function openDatabase() {
+    database = database || new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const generations = db.createObjectStore('generations', { keyPath: 'id' });
+            generations.createIndex('createdAt', 'createdAt');
+            db.createObjectStore('photos', { keyPath: 'hash' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return database;
+}
+
+function settle(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Only IndexedDB requests may be awaited inside `work`, or the transaction closes under it
+async function transaction(mode, work) {
+    const db = await openDatabase();
+    const tx = db.transaction(['generations', 'photos'], mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const result = await work(tx.objectStore('generations'), tx.objectStore('photos'));
+    await done;
+    return result;
+}
+
+async function hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// A small JPEG of the image, or null when the browser cannot decode it
+async function makeThumbnail(blob) {
+    try {
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function preparePhoto(file, kind) {
+    return {
+        hash: await hashBlob(file),
+        kind,
+        name: file.name || `${kind}.${(file.type.split('/')[1] || 'jpg')}`,
+        type: file.type,
+        file,
+        thumbnail: await makeThumbnail(file),
+        createdAt: Date.now()
+    };
+}
+
+// Drop photos no generation points to any more
+async function collectPhotos(generations, photos) {
+    const used = new Set();
+    for (const entry of await settle(generations.getAll())) {
+        used.add(entry.userPhoto);
+        used.add(entry.garmentPhoto);
+    }
+    for (const hash of await settle(photos.getAllKeys())) {
+        if (!used.has(hash)) photos.delete(hash);
+    }
+}
+
+/**
+ * Record a finished generation
+ * backend is 'gemini' or 'legacy'; userImage and garment are the files that were sent.
+ * The result is downloaded from resultUrl - when that fails only the link is kept.
+ */
+export async function saveGeneration({ backend, swapType, userImage, garment, resultUrl, resultId = null }) {
+    let result = null;
+    try {
+        const response = await fetch(resultUrl);
+        if (response.ok) result = await response.blob();
+    } catch (error) {
+        console.warn('History: result not downloaded, keeping the link only', error);
+    }
+
+    const [userPhoto, garmentPhoto, resultThumbnail] = await Promise.all([
+        preparePhoto(userImage, 'model'),
+        preparePhoto(garment, 'garment'),
+        result ? makeThumbnail(result) : null
+    ]);
+    const entry = {
+        id: crypto.randomUUID(),
+        createdAt: Date.now(),
+        backend,
+        swapType,
+        userPhoto: userPhoto.hash,
+        garmentPhoto: garmentPhoto.hash,
+        result,
+        resultThumbnail,
+        resultUrl,
+        resultId,
+        favorite: false
+    };
+
+    await transaction('readwrite', async (generations, photos) => {
+        for (const photo of [userPhoto, garmentPhoto]) {
+            if (!await settle(photos.getKey(photo.hash))) photos.put(photo);
+        }
+        generations.put(entry);
+
+        // Oldest first; favorites never count against the limit
+        const others = (await settle(generations.index('createdAt').getAll())).filter(other => !other.favorite);
+        others.slice(0, Math.max(0, others.length - HISTORY_LIMIT)).forEach(other => generations.delete(other.id));
+        await collectPhotos(generations, photos);
+    });
+    return entry;
+}
+
+/**
+ * Every saved generation, newest first, with its photos as { user, garment }
+ */
+export async function listGenerations() {
+    return transaction('readonly', async (generations, photos) => {
+        const entries = await settle(generations.index('createdAt').getAll());
+        const stored = new Map((await settle(photos.getAll())).map(photo => [photo.hash, photo]));
+        return entries.reverse().map(entry => ({
+            ...entry,
+            photos: { user: stored.get(entry.userPhoto), garment: stored.get(entry.garmentPhoto) }
+        }));
+    });
+}
+
+export async function setFavorite(id, favorite) {
+    await transaction('readwrite', async generations => {
+        const entry = await settle(generations.get(id));
+        if (entry) generations.put({ ...entry, favorite });
+    });
+}
+
+export async function deleteGeneration(id) {
+    await transaction('readwrite', async (generations, photos) => {
+        generations.delete(id);
+        await collectPhotos(generations, photos);
+    });
+}
+
+/**
+ * A stored photo as a File, ready to go back into an upload slot
+ */
+export function photoFile(photo) {
+    return new File([photo.file], photo.name, { type: photo.type || photo.file.type });
+}
+
+// Object URLs of the list on screen, released on every redraw
+let shownUrls = [];
+
+function blobUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    shownUrls.push(url);
+    return url;
+}
+
+function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text) node.textContent = text;
+    return node;
+}
+
+function photoThumb(photo, title, onUse) {
+    const thumb = element('button', 'history-photo');
+    thumb.title = title;
+    if (photo) {
+        const img = element('img');
+        img.src = blobUrl(photo.thumbnail || photo.file);
+        img.alt = title;
+        thumb.appendChild(img);
+        thumb.onclick = () => onUse(photoFile(photo));
+    } else {
+        thumb.disabled = true;
+    }
+    return thumb;
+}
+
+/**
+ * Draw the history into `list`
+ * swapTypes are the page's own { value, label } choices; t(key) and locale are the page's
+ * strings (the history.* keys of lib/locales/) and language. Callbacks:
+ * onUsePhoto('model' | 'garment', file), onRerun(entry, swapType) - entry.photos as files -
+ * and onOpenResult(url). Favorites and deletions are handled here and redraw the list.
+ */
+export async function renderHistory(list, options) {
+    const { swapTypes, locale, t, favoritesOnly = false, onUsePhoto, onRerun, onOpenResult } = options;
+    const entries = (await listGenerations()).filter(entry => !favoritesOnly || entry.favorite);
+
+    shownUrls.forEach(url => URL.revokeObjectURL(url));
+    shownUrls = [];
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+        list.appendChild(element('div', 'history-empty', t(favoritesOnly ? 'history.emptyFavorites' : 'history.empty')));
+        return;
+    }
+
+    const labelOf = value => swapTypes.find(type => type.value === value)?.label || value;
+    const redraw = () => renderHistory(list, options);
+
+    for (const entry of entries) {
+        const card = element('div', entry.favorite ? 'history-card favorite' : 'history-card');
+
+        const result = element('button', 'history-result');
+        result.title = t('history.enlarge');
+        const resultImage = element('img');
+        resultImage.alt = t('history.result');
+        resultImage.src = entry.result ? blobUrl(entry.resultThumbnail || entry.result) : entry.resultUrl;
+        result.appendChild(resultImage);
+        result.onclick = () => onOpenResult(entry.result ? blobUrl(entry.result) : entry.resultUrl);
+
+        const inputs = element('div', 'history-inputs');
+        inputs.appendChild(photoThumb(entry.photos.user, t('history.useModel'), file => onUsePhoto('model', file)));
+        inputs.appendChild(photoThumb(entry.photos.garment, t('history.useProduct'), file => onUsePhoto('garment', file)));
+
+        const date = new Date(entry.createdAt).toLocaleString(locale, { dateStyle: 'short', timeStyle: 'short' });
+        const meta = element('div', 'history-meta');
+        meta.appendChild(element('span', 'history-backend', BACKEND_LABELS[entry.backend] || entry.backend));
+        meta.appendChild(element('span', null, `${labelOf(entry.swapType)} · ${date}`));
+
+        const favorite = element('button', 'history-favorite', entry.favorite ? '★' : '☆');
+        favorite.title = t(entry.favorite ? 'history.removeFavorite' : 'history.addFavorite');
+        favorite.onclick = () => setFavorite(entry.id, !entry.favorite).then(redraw);
+
+        const remove = element('button', 'history-delete', '🗑');
+        remove.title = t('history.delete');
+        remove.onclick = () => deleteGeneration(entry.id).then(redraw);
+
+        // Same photos, another swap type - the page's own choices, so legacy types map to Auto elsewhere
+        const rerun = element('div', 'history-rerun');
+        const select = element('select');
+        select.innerHTML = swapTypes.map(type => `<option value="${type.value}">${type.label}</option>`).join('');
+        select.value = swapTypes.some(type => type.value === entry.swapType) ? entry.swapType : swapTypes[0].value;
+        const rerunButton = element('button', null, t('history.rerun'));
+        rerunButton.title = t('history.rerunTitle');
+        rerunButton.disabled = !entry.photos.user || !entry.photos.garment;
+        rerunButton.onclick = () => onRerun({
+            ...entry,
+            photos: { user: photoFile(entry.photos.user), garment: photoFile(entry.photos.garment) }
+        }, select.value);
+        rerun.append(select, rerunButton);
+
+        const actions = element('div', 'history-actions');
+        actions.append(favorite, remove);
+
+        card.append(result, inputs, meta, rerun, actions);
+        list.appendChild(card);
+    }
+}
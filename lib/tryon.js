@@ -0,0 +1,872 @@
+/**
+ * Shared try-on request handling
+ * Every route (generate, legacy, ...) goes through the same CORS, rate limit,
+ * upload parsing, job and error mapping code - only the provider differs.
+ */
+
+import fs from 'fs';
+import { waitUntil } from '@vercel/functions';
+import { handleCors, parseForm, firstValue, getBaseUrl } from './http.js';
+import { enforceRateLimit, getClientIp } from './rate-limit.js';
+import { authenticateRequest, callerId, checkSwapTypes, checkVariants, checkQuota, consumeQuota } from './api-keys.js';
+import { describeError, requestLocale, rejectionBody, localizeError, RejectionError } from './errors.js';
+import { UpstreamError, GENERATION_DEADLINE, FINISH_TIME, withDeadline } from './upstream.js';
+import { createLogger } from './logger.js';
+import { tryOnRequests, upstreamLatency, errorsByCategory, resultCacheLookups } from './metrics.js';
+import { normalizeImage } from './images.js';
+import { selectPromptTemplate, getPromptTemplate, isSupportedSwapType, sanitizeInstruction } from './prompts.js';
+import { AUTO_SWAP_TYPE, supportsAuto, resolveAutoSwapTypes } from './classify.js';
+import { screenTryOnInputs } from './screening.js';
+import { loadResultImage, saveResult, createRequestId } from './results.js';
+import { createSignedUrl } from './signed-urls.js';
+import { releaseHostedImages, pruneHostedImages } from './image-host.js';
+import { describeProvenance, resolveWatermark } from './provenance.js';
+import { validateCallbackUrl, getWebhookSecret, sendJobWebhook } from './webhooks.js';
+import { checkGarmentUrl, fetchGarmentImage } from './remote-images.js';
+import { lookupProducts } from './catalog.js';
+import { rememberTryOnContext, shareTryOnContext, pruneRefineContexts } from './refine.js';
+import {
+    fingerprintRequest, getCachePolicy, getCachedResult, cacheResult,
+    readIdempotencyKey, claimIdempotencyKey, completeIdempotentJob, releaseIdempotencyKey
+} from './cache.js';
+import { createJob, getJob, claimJob, markRunning, markSucceeded, markFailed, pruneJobs, isTerminal, serializeJob, JOB_STATUS } from './jobs.js';
+import { describeProgress, setJobProgress, wantsEventStream, openEventStream } from './progress.js';
+import { getProvider, resolveProvider } from './providers/index.js';
+
+// A job without an upstream id that is still unfinished after the function's maxDuration will never finish
+const DEFAULT_MAX_WAIT = 320 * 1000;
+
+// Upper bound on layered garments per request, whatever the provider allows
+const MAX_GARMENTS = 4;
+
+// Event streams re-read the job this often and ask the provider at most every UPSTREAM_POLL_INTERVAL
+const STREAM_POLL_INTERVAL = 1000;
+const UPSTREAM_POLL_INTERVAL = 3000;
+
+// A stream that outlives this ends without a result; the client reconnects to /api/jobs/:id
+const DEFAULT_STREAM_DURATION = 280 * 1000;
+
+/**
+ * Read an uploaded file into a validated, normalized { buffer, mimeType }
+ * The declared mimetype is ignored - the bytes decide (see lib/images.js).
+ */
+export async function readUpload(file, label = 'image') {
+    const buffer = await fs.promises.readFile(file.filepath);
+    return normalizeImage(buffer, { label });
+}
+
+function describeUpload(image) {
+    const resized = image.width !== image.originalWidth || image.height !== image.originalHeight;
+    return `${image.originalFormat} ${image.originalWidth}x${image.originalHeight}${resized ? ` → ${image.width}x${image.height}` : ''}`;
+}
+
+export function removeUploads(files, log) {
+    try {
+        for (const file of files) {
+            fs.unlinkSync(file.filepath);
+        }
+        log.debug('Temp files cleaned up', { stage: 'cleanup' });
+    } catch (cleanupError) {
+        log.warn('Temp file cleanup failed', { stage: 'cleanup', error: cleanupError.message });
+    }
+}
+
+/**
+ * Count a failed request or job under its error category
+ */
+export function recordFailure(route, described) {
+    errorsByCategory.inc({ route, category: described.category });
+}
+
+/**
+ * Pick the prompt template for a request and check its swap types and styling instruction
+ * Resolves to { ok, prompt } - prompt is { version, instruction }, or null for providers
+ * without templates - or { ok: false, statusCode, error, message, code }.
+ */
+export function resolvePrompt(provider, requestId, swapTypes, rawInstruction) {
+    let instruction;
+    try {
+        instruction = sanitizeInstruction(rawInstruction);
+    } catch (error) {
+        return { ok: false, statusCode: error.statusCode || 400, error: 'Invalid styling instruction', message: error.message, code: error.code };
+    }
+
+    if (!provider.prompts) {
+        if (instruction) {
+            return {
+                ok: false,
+                statusCode: 400,
+                error: 'Invalid styling instruction',
+                message: 'Styling instructions are not available for this service.',
+                code: 'instructions_unavailable'
+            };
+        }
+        return { ok: true, prompt: null };
+    }
+
+    const template = selectPromptTemplate(requestId);
+    const auto = supportsAuto(provider);
+    const unsupported = swapTypes.filter(swapType => !isSupportedSwapType(template, swapType) && !(auto && swapType === AUTO_SWAP_TYPE));
+    if (unsupported.length > 0) {
+        const choices = [...Object.keys(template.categories), ...(auto ? [AUTO_SWAP_TYPE] : [])];
+        return {
+            ok: false,
+            statusCode: 400,
+            error: 'Unsupported swap type',
+            message: `Unsupported swap type: ${[...new Set(unsupported)].join(', ')}. Use one of: ${choices.join(', ')}.`,
+            code: 'unsupported_swap_type',
+            params: { swapTypes: [...new Set(unsupported)].join(', '), choices: choices.join(', ') }
+        };
+    }
+
+    return { ok: true, prompt: { version: template.version, instruction } };
+}
+
+/**
+ * Call provider.submit, timing it as the "generate" stage and as upstream latency
+ */
+async function submitToProvider(provider, request, log) {
+    const done = log.time('generate');
+    try {
+        const result = await provider.submit(request);
+        const durationMs = done({ outcome: result.status });
+        upstreamLatency.observe({ provider: provider.name, outcome: result.status }, durationMs / 1000);
+        return result;
+    } catch (error) {
+        const durationMs = done({ outcome: 'error', error: error.message });
+        upstreamLatency.observe({ provider: provider.name, outcome: 'error' }, durationMs / 1000);
+        throw error;
+    }
+}
+
+/**
+ * Dress the model one garment at a time, feeding each result into the next step
+ */
+async function runChain(requestId, provider, { userImage, garments, prompt, baseUrl, deadline, onProgress }, log) {
+    const steps = [];
+    let currentImage = userImage;
+    let result = null;
+
+    for (const [index, garment] of garments.entries()) {
+        const stepLog = log.child({ step: index + 1 });
+        stepLog.info('Chain step started', { swapType: garment.swapType, steps: garments.length });
+        await onProgress('generating', { step: index + 1, steps: garments.length });
+        result = await submitToProvider(provider, { requestId, userImage: currentImage, garments: [garment], prompt, baseUrl, deadline, onProgress }, stepLog);
+
+        if (result.status !== 'completed') {
+            throw new Error(`Provider ${provider.name} cannot chain pending generations`);
+        }
+
+        steps.push({ step: index + 1, swapTypes: [garment.swapType], imageUrl: result.imageUrl });
+        if (index < garments.length - 1) {
+            currentImage = await loadResultImage(result.imageUrl);
+        }
+    }
+
+    return { ...result, steps };
+}
+
+/**
+ * Write the final image (and any chain steps) to result storage, labeled with `provenance`
+ * Returns the job result with signed links in place of the provider's image URLs.
+ */
+async function storeOutput(resultId, result, swapTypes, provenance) {
+    const stored = await saveResult(resultId, result.imageUrl, provenance);
+    const output = { resultId: stored.resultId, imageUrl: stored.url, expiresAt: stored.expiresAt };
+
+    // Which template produced the image, so A/B results can be compared
+    if (provenance.promptVersion) {
+        output.promptVersion = provenance.promptVersion;
+    }
+
+    if (swapTypes.length > 1) {
+        // A combined generation is a single step whose image is the final one
+        output.steps = result.steps
+            ? await Promise.all(result.steps.map(async step => {
+                const storedStep = step.step === result.steps.length
+                    ? stored
+                    : await saveResult(`${resultId}-step${step.step}`, step.imageUrl, provenance);
+                return { step: step.step, swapTypes: step.swapTypes, resultId: storedStep.resultId, imageUrl: storedStep.url };
+            }))
+            : [{ step: 1, swapTypes, resultId: stored.resultId, imageUrl: stored.url }];
+    }
+
+    return output;
+}
+
+/**
+ * Store every variant; the first one is also the job's main image
+ */
+async function storeVariants(requestId, results, swapTypes, provenance) {
+    const output = await storeOutput(requestId, results[0], swapTypes, provenance);
+    if (results.length === 1) return output;
+
+    output.variants = await Promise.all(results.map(async (result, index) => {
+        const stored = index === 0 ? output : await storeOutput(`${requestId}-v${index + 1}`, result, swapTypes, provenance);
+        const variant = { variant: index + 1, resultId: stored.resultId, imageUrl: stored.imageUrl, expiresAt: stored.expiresAt };
+        if (stored.steps) variant.steps = stored.steps;
+        return variant;
+    }));
+    return output;
+}
+
+/**
+ * Generate `count` candidates side by side
+ * Variants that fail are dropped as long as one succeeds.
+ */
+async function generateVariants(provider, count, generate, log) {
+    const settled = await Promise.allSettled(
+        Array.from({ length: count }, (_, index) => generate(log.child({ variant: index + 1 })))
+    );
+    const results = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+    const failures = settled.filter(outcome => outcome.status === 'rejected').map(outcome => outcome.reason);
+
+    if (results.length === 0) throw failures[0];
+    if (failures.length > 0) {
+        log.warn('Some variants failed', { requested: count, failed: failures.length, error: failures[0].message });
+    }
+    if (results.some(result => result.status !== 'completed')) {
+        throw new Error(`Provider ${provider.name} cannot generate pending variants`);
+    }
+    return results;
+}
+
+/**
+ * Keep a finished job's output for identical requests, unless the caller opted out
+ */
+async function rememberResult(job, log) {
+    if (!job?.data?.cacheKey) return;
+    try {
+        await cacheResult(job.data.cacheKey, job.result);
+    } catch (error) {
+        log.warn('Could not cache result', { stage: 'cache', error: error.message });
+    }
+}
+
+/**
+ * Submit a queued job to its provider and record the outcome
+ * input is { userImage, garments, layering, prompt, variants, deadline } - variants defaults
+ * to 1. deadline is when the invocation must be done with the job (GENERATION_DEADLINE after
+ * its request came in by default): a generation still going then fails the job, and a pending
+ * upstream job is left to the provider's callback.
+ * Providers that fetch their inputs by URL are given the job's baseUrl to build them on.
+ */
+export async function runTryOn(jobId, requestId, provider, input) {
+    const { deadline = Date.now() + GENERATION_DEADLINE } = input;
+    let log = createLogger({ requestId, jobId, provider: provider.name });
+    let route = 'unknown';
+
+    try {
+        const running = await markRunning(jobId, { startedAt: Date.now() });
+        route = running?.route || route;
+        log = log.child({ route });
+
+        const { layering, prompt = null, variants = 1 } = input;
+        const baseUrl = running?.data?.baseUrl;
+
+        // Providers that finish in the background call this signed link when they are done
+        const callback = createSignedUrl(`/api/jobs/${jobId}/callback`, (provider.maxWait || DEFAULT_MAX_WAIT) + 60 * 1000);
+        const notifyUrl = baseUrl ? `${baseUrl}${callback.url}` : null;
+
+        // Variants run side by side; their progress writes to the job are queued so they never overlap
+        let progressWrites = Promise.resolve();
+        const onProgress = (stage, fields) => {
+            progressWrites = progressWrites.catch(() => {}).then(() => setJobProgress(jobId, stage, fields));
+            return progressWrites;
+        };
+
+        // Auto garments get their category before the prompt is built
+        const { garments, detections } = prompt
+            ? await resolveAutoSwapTypes(provider, { requestId, garments: input.garments, template: getPromptTemplate(prompt.version) }, log)
+            : { garments: input.garments, detections: [] };
+        if (detections.length > 0) {
+            // Auto garments only now have a swap type the key's allowed swap types can be checked against
+            const allowed = checkSwapTypes(running?.data, garments.map(garment => garment.swapType));
+            if (!allowed.ok) {
+                throw new RejectionError(allowed);
+            }
+            await onProgress('classified', { detections });
+        }
+
+        // The inputs behind every result are kept for refinements and composites
+        const keepContext = output => rememberTryOnContext(output, { provider: provider.name, owner: running?.data?.owner, prompt, userImage: input.userImage, garments })
+            .catch(error => log.warn('Could not keep result context', { stage: 'store', error: error.message }));
+
+        const generate = generateLog => layering === 'chain'
+            ? runChain(requestId, provider, { ...input, garments, baseUrl, onProgress }, generateLog)
+            : submitToProvider(provider, { requestId, userImage: input.userImage, garments, prompt, baseUrl, notifyUrl, deadline, onProgress }, generateLog);
+
+        if (layering !== 'chain') {
+            await onProgress('generating', variants > 1 ? { variants } : undefined);
+        }
+        const results = await withDeadline(variants > 1 ? generateVariants(provider, variants, generate, log) : generate(log).then(result => [result]), deadline);
+        const [result] = results;
+
+        if (result.status === 'completed') {
+            await releaseHostedImages(results.flatMap(completed => completed.hostedImages || []));
+            await onProgress('storing');
+            const stored = log.time('store');
+            const provenance = describeProvenance(provider, { requestId, promptVersion: prompt?.version, watermark: running?.data?.watermark });
+            const output = await storeVariants(requestId, results, garments.map(garment => garment.swapType), provenance);
+            if (detections.length > 0) {
+                output.detections = detections;
+            }
+            await keepContext(output);
+            const job = await markSucceeded(jobId, output);
+            stored({ resultId: output.resultId, variants: output.variants?.length }, 'Result stored');
+            log.info('Job succeeded', { stage: 'done', durationMs: job.updatedAt - job.createdAt });
+            await rememberResult(job, log);
+            await sendJobWebhook(job, { deadline: deadline + FINISH_TIME });
+            return;
+        }
+
+        // Still running upstream - followed from here, then by the provider's callback and status polls
+        await markRunning(jobId, {
+            provider: provider.name,
+            swapTypes: garments.map(garment => garment.swapType),
+            upstreamId: result.upstreamId,
+            upstreamStatus: result.upstreamStatus,
+            hostedImages: result.hostedImages || [],
+            submittedAt: Date.now()
+        });
+        await onProgress('upstream', { upstreamStatus: result.upstreamStatus });
+
+        // The result will be stored under the request id once the upstream job completes
+        await keepContext({ resultId: requestId });
+        await followUpstream(jobId, deadline);
+
+    } catch (error) {
+        const described = describeError(error);
+        recordFailure(route, described);
+        log.error('Job failed', { stage: 'done', category: described.category, code: described.code, error: error.message });
+
+        const job = await markFailed(jobId, described).catch(storeError => {
+            log.error('Could not record job failure', { error: storeError.message });
+        });
+        if (job) {
+            await sendJobWebhook(job, { deadline: deadline + FINISH_TIME });
+        }
+    } finally {
+        pruneJobs().catch(() => {});
+        pruneHostedImages().catch(() => {});
+        pruneRefineContexts().catch(() => {});
+    }
+}
+
+/**
+ * Poll a pending upstream job from the background work until it finishes or `until` passes
+ */
+async function followUpstream(jobId, until) {
+    while (Date.now() + UPSTREAM_POLL_INTERVAL < until) {
+        await wait(UPSTREAM_POLL_INTERVAL);
+        const job = await getJob(jobId);
+        if (!job || isTerminal(job.status)) return;
+        await refreshJob(job, { deadline: until + FINISH_TIME });
+    }
+}
+
+/**
+ * Finish a job exactly once, however many pollers see it done together
+ * Only the caller that claims the job runs `finish` and sends the webhook (by `deadline`,
+ * see sendJobWebhook); the others get it as stored.
+ */
+async function finishJob(job, finish, deadline) {
+    if (!await claimJob(job.id)) {
+        return await getJob(job.id) || job;
+    }
+
+    const finished = await finish();
+    if (finished && isTerminal(finished.status)) {
+        waitUntil(sendJobWebhook(finished, { deadline }));
+    }
+    return finished;
+}
+
+async function failJob(job, error, log) {
+    await releaseHostedImages(job.data?.hostedImages);
+    const described = describeError(error);
+    recordFailure(job.route, described);
+    log.error('Job failed', { stage: 'done', category: described.category, code: described.code, error: error.message });
+    return markFailed(job.id, described);
+}
+
+/**
+ * Bring an unfinished job up to date - polls the provider once if it runs upstream
+ * Whoever finishes the job sends its webhook, so completion never waits for a particular poller;
+ * `deadline` bounds that delivery (see sendJobWebhook).
+ */
+export async function refreshJob(job, { deadline } = {}) {
+    const { provider: providerName, upstreamId, submittedAt, maxWait = DEFAULT_MAX_WAIT } = job.data || {};
+    const log = createLogger({ requestId: job.requestId, route: job.route, jobId: job.id, provider: providerName });
+
+    // A queued job may wait its turn (maxWait - see api/batch.js); a started one has its invocation to finish
+    if (job.status !== JOB_STATUS.RUNNING || !upstreamId) {
+        const startedAt = job.status === JOB_STATUS.RUNNING ? job.data?.startedAt : null;
+        if (startedAt ? Date.now() - startedAt > DEFAULT_MAX_WAIT : Date.now() - job.createdAt > maxWait) {
+            return finishJob(job, () => failJob(job, new UpstreamError('generation_timeout', 'Generation timeout: job was lost'), log), deadline);
+        }
+        return job;
+    }
+
+    const provider = getProvider(providerName);
+    const upstreamSeconds = () => (Date.now() - submittedAt) / 1000;
+
+    try {
+        const result = await provider.poll(upstreamId);
+        log.debug('Poll result', { stage: 'poll', upstreamStatus: result.upstreamStatus || result.status });
+
+        if (result.status === 'completed') {
+            return await finishJob(job, async () => {
+                upstreamLatency.observe({ provider: provider.name, outcome: 'completed' }, upstreamSeconds());
+                log.info('Upstream generation completed', { stage: 'generate', durationMs: Date.now() - submittedAt });
+                const provenance = describeProvenance(provider, { requestId: job.requestId, promptVersion: job.data.promptVersion, watermark: job.data.watermark });
+                const succeeded = await markSucceeded(job.id, await storeOutput(job.requestId, result, job.data.swapTypes || [], provenance));
+                await releaseHostedImages(job.data.hostedImages);
+                await rememberResult(succeeded, log);
+                return succeeded;
+            }, deadline);
+        }
+
+        if (result.status === 'failed') {
+            return await finishJob(job, () => {
+                upstreamLatency.observe({ provider: provider.name, outcome: 'failed' }, upstreamSeconds());
+                return failJob(job, result.error, log);
+            }, deadline);
+        }
+
+        // Queued -> in progress on the provider's side
+        if (result.upstreamStatus && result.upstreamStatus !== job.progress?.upstreamStatus) {
+            job = await setJobProgress(job.id, 'upstream', { upstreamStatus: result.upstreamStatus }) || job;
+        }
+    } catch (pollError) {
+        // Transient status errors are retried on the next poll
+        log.warn('Poll error', { stage: 'poll', error: pollError.message });
+    }
+
+    if (Date.now() - submittedAt > (provider.maxWait || DEFAULT_MAX_WAIT)) {
+        return finishJob(job, () => {
+            const totalTime = Math.round(upstreamSeconds());
+            upstreamLatency.observe({ provider: provider.name, outcome: 'timeout' }, upstreamSeconds());
+            return failJob(job, new UpstreamError('generation_timeout', `Generation timeout after ${totalTime} seconds`, { service: provider.name }), log);
+        }, deadline);
+    }
+
+    return job;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Push a job's progress to an event stream (see lib/progress.js) until it finishes
+ * Unfinished upstream jobs are polled at the provider the way GET /api/jobs/:id does.
+ * Errors are reported in `locale` (see requestLocale).
+ */
+export async function streamJob(stream, jobId, { maxDuration = DEFAULT_STREAM_DURATION, locale } = {}) {
+    const deadline = Date.now() + maxDuration;
+    let lastProgress = null;
+    let refreshedAt = 0;
+
+    try {
+        while (!stream.closed) {
+            let job = await getJob(jobId);
+            if (!job) {
+                stream.send('error', localizeError({ error: 'Job not found', message: 'The job no longer exists.', code: 'job_not_found' }, locale));
+                break;
+            }
+
+            if (!isTerminal(job.status) && Date.now() - refreshedAt >= UPSTREAM_POLL_INTERVAL) {
+                job = await refreshJob(job);
+                refreshedAt = Date.now();
+            }
+
+            if (isTerminal(job.status)) {
+                stream.send(job.status === JOB_STATUS.SUCCEEDED ? 'result' : 'error', localizeError(serializeJob(job), locale));
+                break;
+            }
+
+            const progress = JSON.stringify(job.progress || null);
+            if (job.progress && progress !== lastProgress) {
+                const { at, ...current } = job.progress;
+                stream.send('progress', { jobId, ...current });
+            }
+            lastProgress = progress;
+
+            if (Date.now() >= deadline) break;
+            await wait(STREAM_POLL_INTERVAL);
+        }
+    } catch (error) {
+        createLogger({ jobId, stage: 'stream' }).error('Progress stream failed', { error: error.message });
+        stream.send('error', localizeError({
+            error: 'Failed to read job status',
+            message: 'An error occurred while checking the job. Please try again.',
+            code: 'job_status_failed'
+        }, locale));
+    } finally {
+        stream.end();
+    }
+}
+
+/**
+ * Build a Vercel handler for a try-on route
+ * Validates and screens the upload, queues a job and returns 202 with the job id.
+ * Clients that accept text/event-stream instead get the job's progress and result as events.
+ */
+export function createTryOnHandler({ route, provider: defaultProvider }) {
+    return async function handler(req, res) {
+        if (await handleCors(req, res)) return;
+
+        const provider = resolveProvider(route, defaultProvider);
+        const locale = requestLocale(req);
+        const fail = (statusCode, body) => res.status(statusCode).json(localizeError(body, locale));
+
+        // Check provider credentials
+        if (!provider.isConfigured()) {
+            createLogger({ route, provider: provider.name }).error('Missing API configuration for provider');
+            return fail(500, {
+                error: 'Server configuration error',
+                message: 'Missing API configuration. Please contact support.',
+                code: 'server_misconfigured'
+            });
+        }
+
+        // Generate request ID
+        const requestId = createRequestId();
+        const deadline = Date.now() + GENERATION_DEADLINE;
+        let log = createLogger({ requestId, route, provider: provider.name });
+        log.info('Request started', { stage: 'start' });
+
+        // API key, origin and quota - checked before any upload is parsed
+        const auth = await authenticateRequest(req);
+        if (!auth.ok) {
+            log.warn('Request rejected', { stage: 'auth', reason: auth.error });
+            return fail(auth.statusCode, rejectionBody(auth));
+        }
+        const apiKey = auth.key;
+        if (apiKey) {
+            log = log.child({ keyId: apiKey.id });
+        }
+
+        const quota = await checkQuota(apiKey);
+        if (!quota.ok) {
+            return fail(quota.statusCode, rejectionBody(quota));
+        }
+
+        // Rate limiting
+        if (await enforceRateLimit(req, res, { route, keyId: apiKey?.id, limit: apiKey?.rateLimit, widget: auth.widget })) return;
+
+        const idempotency = readIdempotencyKey(req);
+        if (!idempotency.ok) {
+            return fail(idempotency.statusCode, rejectionBody(idempotency));
+        }
+
+        // From here on a streaming client gets every answer as an event
+        const stream = wantsEventStream(req) ? openEventStream(res) : null;
+        const reply = (statusCode, body) => {
+            if (!stream) return fail(statusCode, body);
+            stream.send('error', { status: statusCode, ...localizeError(body, locale) });
+            stream.end();
+        };
+        const report = (stage, fields) => stream?.send('progress', describeProgress(stage, fields));
+
+        // Set while this request holds an Idempotency-Key it has not attached a job to yet
+        let idempotencyClaim = null;
+
+        try {
+            // Parse form data
+            const parsed = log.time('parse');
+            const { fields, files } = await parseForm(req);
+            parsed({ files: Object.keys(files), fields: Object.keys(fields) });
+            report('parsed');
+
+            const userImageFile = firstValue(files.userImage);
+
+            // Garments come as an ordered list - uploaded clothingImage files, then clothingImageUrl
+            // links, then catalog SKUs - with matching swapType fields
+            const clothingImageFiles = [].concat(files.clothingImage || []);
+            const clothingImageUrls = [].concat(fields.clothingImageUrl || []).map(value => value.trim()).filter(Boolean);
+            const skus = [].concat(fields.sku || []).map(value => value.trim()).filter(Boolean);
+            const swapTypes = [].concat(fields.swapType || []);
+            const uploads = [userImageFile, ...clothingImageFiles].filter(Boolean);
+            const garmentCount = clothingImageFiles.length + clothingImageUrls.length + skus.length;
+
+            // Every early answer from here on drops the temp files first
+            const reject = (statusCode, body) => {
+                removeUploads(uploads, log);
+                return reply(statusCode, body);
+            };
+
+            if (!userImageFile || garmentCount === 0) {
+                log.warn('Missing files', { stage: 'validate', userImage: !!userImageFile, clothingImages: garmentCount });
+                return reject(400, {
+                    error: 'Both user image and clothing image are required',
+                    message: 'Send the garment as a clothingImage file, a clothingImageUrl or a catalog sku.',
+                    code: 'missing_images'
+                });
+            }
+
+            const maxGarments = Math.min(MAX_GARMENTS, provider.maxGarments || 1);
+            if (garmentCount > maxGarments) {
+                return reject(400, {
+                    error: 'Too many garments',
+                    message: `This service accepts at most ${maxGarments} garment${maxGarments === 1 ? '' : 's'} per request.`,
+                    code: 'too_many_garments',
+                    params: { max: maxGarments }
+                });
+            }
+
+            // Several garments are either combined into one call or chained one after another
+            const layering = firstValue(fields.layering) || (provider.layering || [])[0] || 'combined';
+            if (garmentCount > 1 && !(provider.layering || []).includes(layering)) {
+                return reject(400, {
+                    error: 'Unsupported layering mode',
+                    message: `Layering mode "${layering}" is not available for this service.`,
+                    code: 'unsupported_layering',
+                    params: { layering }
+                });
+            }
+
+            const varied = checkVariants(apiKey, firstValue(fields.variants), provider.maxVariants || 1);
+            if (!varied.ok) {
+                return reject(varied.statusCode, rejectionBody(varied));
+            }
+            const { variants } = varied;
+
+            // Every variant is a generation of its own against the key's quotas
+            if (variants > 1) {
+                const quotaForVariants = await checkQuota(apiKey, variants);
+                if (!quotaForVariants.ok) {
+                    return reject(quotaForVariants.statusCode, rejectionBody(quotaForVariants));
+                }
+            }
+
+            for (const url of clothingImageUrls) {
+                const checked = checkGarmentUrl(url);
+                if (!checked.ok) {
+                    return reject(checked.statusCode, rejectionBody(checked));
+                }
+            }
+
+            const catalog = await lookupProducts(skus);
+            if (!catalog.ok) {
+                return reject(catalog.statusCode, rejectionBody(catalog));
+            }
+
+            const sources = [
+                ...clothingImageFiles.map(file => ({ file })),
+                ...clothingImageUrls.map(url => ({ url })),
+                ...catalog.products.map(product => ({ url: product.imageUrl, product }))
+            ];
+
+            // A catalog product brings its own swap type unless the client picked one
+            const garmentSwapTypes = sources.map((source, index) => {
+                const requested = swapTypes[index];
+                if (source.product?.swapType && (!requested || requested === AUTO_SWAP_TYPE)) {
+                    return source.product.swapType;
+                }
+                return requested || provider.defaultSwapType;
+            });
+
+            const allowed = checkSwapTypes(apiKey, garmentSwapTypes);
+            if (!allowed.ok) {
+                return reject(allowed.statusCode, rejectionBody(allowed));
+            }
+
+            const prompted = resolvePrompt(provider, requestId, garmentSwapTypes, firstValue(fields.instruction));
+            if (!prompted.ok) {
+                return reject(prompted.statusCode, rejectionBody(prompted));
+            }
+            const { prompt } = prompted;
+
+            // Optional callback, signed with the key's webhook secret when the job finishes -
+            // not for widget shoppers, who act for the key without holding it
+            const callbackUrl = firstValue(fields.callbackUrl) || null;
+            if (callbackUrl) {
+                const rejection = auth.widget || !(await getWebhookSecret(apiKey?.id))
+                    ? 'Callbacks need an API key with a webhook secret.'
+                    : await validateCallbackUrl(callbackUrl).then(() => null, error => error.message);
+                if (rejection) {
+                    return reject(400, { error: 'Invalid callback URL', message: rejection, code: 'invalid_callback_url' });
+                }
+            }
+
+            // Read, validate and normalize image files; linked and catalog images are downloaded first
+            const normalized = log.time('normalize');
+            let userImage;
+            const garments = [];
+            try {
+                userImage = await readUpload(userImageFile, 'user image');
+                for (const [index, source] of sources.entries()) {
+                    const label = sources.length > 1 ? `clothing image #${index + 1}` : 'clothing image';
+                    const image = source.file
+                        ? await readUpload(source.file, label)
+                        : await fetchGarmentImage(source.url, { label, trusted: Boolean(source.product) });
+                    garments.push({ image, swapType: garmentSwapTypes[index] });
+                }
+            } finally {
+                removeUploads(uploads, log);
+            }
+            normalized({
+                userImage: describeUpload(userImage),
+                clothingImages: garments.map(garment => describeUpload(garment.image)),
+                swapTypes: garments.map(garment => garment.swapType),
+                skus: skus.length > 0 ? skus : undefined,
+                linkedImages: clothingImageUrls.length || undefined,
+                layering: garments.length > 1 ? layering : undefined,
+                variants: variants > 1 ? variants : undefined,
+                promptVersion: prompt?.version,
+                instructionLength: prompt?.instruction?.length
+            });
+            report('normalized');
+
+            // Watermarked and unmarked results of the same photos are cached apart
+            const watermark = resolveWatermark(apiKey);
+            const fingerprint = fingerprintRequest({ provider: provider.name, userImage, garments, layering, prompt, variants, watermark });
+            const scope = apiKey ? `key:${apiKey.id}` : `ip:${getClientIp(req)}`;
+
+            // A repeated Idempotency-Key attaches to the job it started - claimed before any further work
+            if (idempotency.key) {
+                const claim = await claimIdempotencyKey(route, scope, idempotency.key, fingerprint, {
+                    jobExists: async jobId => Boolean(await getJob(jobId))
+                });
+                if (claim.conflict) {
+                    return reply(422, {
+                        error: 'Idempotency-Key reused',
+                        message: 'This Idempotency-Key was already used for a different request.',
+                        code: 'idempotency_key_reused'
+                    });
+                }
+                if (claim.pending) {
+                    if (!stream) res.setHeader('Retry-After', '2');
+                    return reply(409, {
+                        error: 'Request in progress',
+                        message: 'A request with this Idempotency-Key is still being processed. Try again in a moment.',
+                        code: 'idempotency_key_in_progress'
+                    });
+                }
+
+                const existingJob = claim.jobId && await getJob(claim.jobId);
+                if (existingJob) {
+                    log.info('Idempotent replay', { stage: 'queue', jobId: existingJob.id });
+                    if (stream) {
+                        report('queued', { jobId: existingJob.id, statusUrl: `/api/jobs/${existingJob.id}`, requestId: existingJob.requestId, replayed: true });
+                        return streamJob(stream, existingJob.id, { locale });
+                    }
+                    res.setHeader('Idempotent-Replayed', 'true');
+                    return res.status(202).json({
+                        success: true,
+                        jobId: existingJob.id,
+                        status: existingJob.status,
+                        statusUrl: `/api/jobs/${existingJob.id}`,
+                        requestId: existingJob.requestId
+                    });
+                }
+                if (claim.reserved) {
+                    idempotencyClaim = { scope, token: claim.token };
+                }
+            }
+
+            const cachePolicy = getCachePolicy(req, firstValue(fields.cache));
+            const cached = cachePolicy.read ? await getCachedResult(fingerprint) : null;
+            if (cachePolicy.read) {
+                resultCacheLookups.inc({ route, outcome: cached ? 'hit' : 'miss' });
+            }
+
+            // Cache hits were screened when they were first generated
+            if (!cached) {
+                const screening = await screenTryOnInputs({ route, requestId, userImage, garments }, log);
+                if (!screening.ok) {
+                    return reply(screening.statusCode, rejectionBody(screening));
+                }
+                if (!screening.skipped) {
+                    report('screened');
+                }
+            }
+
+            // The quota is taken for good only now, just before queueing
+            const consumed = await consumeQuota(apiKey, variants);
+            if (!consumed.ok) {
+                return reply(consumed.statusCode, rejectionBody(consumed));
+            }
+
+            // Queue the generation and answer right away - the client polls /api/jobs/:id
+            const job = await createJob({
+                route,
+                requestId,
+                data: {
+                    provider: provider.name,
+                    swapTypes: garments.map(garment => garment.swapType),
+                    layering,
+                    variants,
+                    promptVersion: prompt?.version || null,
+                    cacheKey: cachePolicy.write && !cached ? fingerprint : null,
+                    keyId: apiKey?.id || null,
+                    allowedSwapTypes: apiKey?.allowedSwapTypes || null,
+                    owner: callerId(req, auth),
+                    watermark,
+                    callbackUrl,
+                    baseUrl: getBaseUrl(req)
+                }
+            });
+            if (idempotencyClaim) {
+                await completeIdempotentJob(route, scope, idempotency.key, fingerprint, job.id);
+                idempotencyClaim = null;
+            }
+            for (const garment of garments) {
+                tryOnRequests.inc({ route, swap_type: garment.swapType });
+            }
+
+            // Served from an earlier identical generation - the job is finished already
+            if (cached) {
+                const finished = await markSucceeded(job.id, cached);
+                await shareTryOnContext(cached, callerId(req, auth))
+                    .catch(error => log.warn('Could not share result context', { stage: 'cache', error: error.message }));
+                log.info('Served from result cache', { stage: 'cache', jobId: job.id, resultId: cached.resultId });
+                waitUntil(sendJobWebhook(finished));
+                if (stream) {
+                    stream.send('result', { ...serializeJob(finished), statusUrl: `/api/jobs/${job.id}` });
+                    return stream.end();
+                }
+                return res.status(200).json({ ...serializeJob(finished), statusUrl: `/api/jobs/${job.id}` });
+            }
+
+            log.info('Job queued', { stage: 'queue', jobId: job.id });
+
+            waitUntil(runTryOn(job.id, requestId, provider, { userImage, garments, layering, prompt, variants, deadline }));
+
+            if (stream) {
+                report('queued', { jobId: job.id, statusUrl: `/api/jobs/${job.id}`, requestId });
+                return streamJob(stream, job.id, { locale });
+            }
+
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`,
+                requestId: requestId
+            });
+
+        } catch (error) {
+            const described = describeError(error);
+            const { statusCode, message, code } = described;
+            recordFailure(route, described);
+            log.error('Request failed', { stage: 'request', category: described.category, code: described.code, error: error.message, stack: error.stack });
+
+            return reply(statusCode, {
+                error: 'Failed to generate image',
+                message: message,
+                code: code,
+                requestId: requestId,
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        } finally {
+            // Rejected or failed before queueing - let a retry with the same key start over
+            if (idempotencyClaim) {
+                await releaseIdempotencyKey(route, idempotencyClaim.scope, idempotency.key, idempotencyClaim.token)
+                    .catch(error => log.warn('Could not release Idempotency-Key', { stage: 'queue', error: error.message }));
+            }
+        }
+    };
+}
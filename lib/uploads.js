@@ -0,0 +1,125 @@
+/**
+ * Photos uploaded ahead of a request that refers to them
+ * A batch holds up to BATCH_MAX_ITEMS garments - far more than fits in one request
+ * body on Vercel (~4.5MB) - so batch.html sends every photo to POST /api/uploads on
+ * its own and starts the batch with the upload ids it got back (see api/batch.js).
+ *
+ * Uploads are normalized like any other input (lib/images.js), belong to the caller
+ * that sent them (see callerId) and expire after UPLOAD_TTL seconds (1 hour by default),
+ * long enough for the last item of a full batch to start. The batch items read them from
+ * other function instances, so they live in the shared storage (lib/storage.js);
+ * UPLOAD_DIR pins them to a local directory for single-server setups.
+ */
+
+import crypto from 'crypto';
+import { LocalStorage, getStorage } from './storage.js';
+import { StorageRecordStore } from './record-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ stage: 'uploads' });
+
+const UPLOAD_TTL = Number(process.env.UPLOAD_TTL || 60 * 60) * 1000;
+
+/**
+ * An upload that is gone, expired or someone else's - the message is safe to show
+ */
+export class UploadExpiredError extends Error {
+    constructor(message = 'An uploaded image is no longer available. Please upload it again.') {
+        super(message);
+        this.name = 'UploadExpiredError';
+        this.code = 'upload_expired';
+        this.statusCode = 410;
+        this.expose = true;
+    }
+}
+
+let storage = process.env.UPLOAD_DIR ? new LocalStorage(process.env.UPLOAD_DIR) : null;
+let records = null;
+
+/**
+ * Where the uploaded bytes live - the shared storage unless swapped or pinned
+ */
+export function getUploadStorage() {
+    return storage || getStorage();
+}
+
+export function setUploadStorage(customStorage) {
+    storage = customStorage;
+    records = null;
+}
+
+// One { id, owner, expiresAt, image } record per upload - image holds the details, not the bytes
+function getUploadRecords() {
+    if (!records) {
+        records = new StorageRecordStore({ prefix: 'upload-records', storage });
+    }
+    return records;
+}
+
+function uploadKey(id) {
+    return `uploads/${id}`;
+}
+
+// Upload ids come back from the browser, so only accept what we generate
+const UPLOAD_ID_PATTERN = /^upl_[a-f0-9]{24}$/;
+
+export function isValidUploadId(id) {
+    return typeof id === 'string' && UPLOAD_ID_PATTERN.test(id);
+}
+
+/**
+ * Keep a normalized image (see normalizeImage) for `owner` - resolves to { id, expiresAt }
+ */
+export async function saveUpload(image, { owner }) {
+    const id = `upl_${crypto.randomBytes(12).toString('hex')}`;
+    const expiresAt = Date.now() + UPLOAD_TTL;
+    const { buffer, ...details } = image;
+    await getUploadStorage().put(uploadKey(id), buffer, { contentType: image.mimeType });
+    await getUploadRecords().set(id, { id, owner, expiresAt, image: details });
+    return { id, expiresAt };
+}
+
+/**
+ * An upload as a normalized image, or null once it is gone, expired or not `owner`'s
+ * Pass owner: null to skip the owner check, for work already checked when it was queued.
+ */
+export async function loadUpload(id, { owner, now = Date.now() } = {}) {
+    if (!isValidUploadId(id)) return null;
+    const record = await getUploadRecords().get(id);
+    if (!record || record.expiresAt <= now || (owner !== null && record.owner !== owner)) return null;
+    const stored = await getUploadStorage().get(uploadKey(id));
+    return stored ? { ...record.image, buffer: stored.buffer } : null;
+}
+
+/**
+ * Like loadUpload, but throws an UploadExpiredError instead of resolving to null
+ */
+export async function requireUpload(id, options) {
+    const image = await loadUpload(id, options);
+    if (!image) {
+        throw new UploadExpiredError();
+    }
+    return image;
+}
+
+/**
+ * Delete uploads that are no longer needed - failures are logged, never thrown
+ */
+export async function releaseUploads(ids = []) {
+    for (const id of ids.filter(isValidUploadId)) {
+        try {
+            await getUploadStorage().delete(uploadKey(id));
+            await getUploadRecords().delete(id);
+        } catch (error) {
+            log.warn('Could not delete upload', { id, error: error.message });
+        }
+    }
+}
+
+/**
+ * Drop uploads past their expiry, whether or not a request ever used them
+ */
+export async function pruneUploads(now = Date.now()) {
+    const uploads = await getUploadRecords().list();
+    await releaseUploads(uploads.filter(upload => upload.expiresAt <= now).map(upload => upload.id));
+}
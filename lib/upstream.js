@@ -0,0 +1,224 @@
+/**
+ * Calls to upstream AI and hosting services
+ * upstreamFetch() retries 429/5xx answers and network errors with jittered
+ * exponential backoff (honouring Retry-After), and a per-instance circuit breaker
+ * makes calls to a service that keeps failing fail fast for a while. A deadline
+ * bounds the attempts and backoff together, so retries never outlast the function.
+ * Every failure surfaces as an UpstreamError with a stable, machine-readable code.
+ */
+
+import { createLogger } from './logger.js';
+import { upstreamRetries, circuitTrips } from './metrics.js';
+
+const UPSTREAM_MAX_ATTEMPTS = Number(process.env.UPSTREAM_MAX_ATTEMPTS || 3);
+const UPSTREAM_BASE_DELAY = 1000; // 1s, 2s, 4s... plus jitter
+const UPSTREAM_MAX_DELAY = 20 * 1000; // a longer Retry-After is not worth waiting for in-request
+
+// Vercel stops a generation function at its maxDuration (300 s in vercel.json), which would
+// leave the job "running" forever; the work gives up this long after the request came in,
+// keeping time to record the failure
+export const GENERATION_DEADLINE = 280 * 1000;
+
+// What the invocation still has after a deadline to deliver the outcome's webhook
+export const FINISH_TIME = 15 * 1000;
+
+const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD || 5);
+const CIRCUIT_COOLDOWN = Number(process.env.CIRCUIT_COOLDOWN_SECONDS || 30) * 1000;
+
+// Error code -> HTTP status and the message shown to the client
+export const UPSTREAM_ERRORS = {
+    upstream_rate_limited: {
+        statusCode: 503,
+        message: 'The AI service is busy right now. Please try again in a minute.'
+    },
+    upstream_unavailable: {
+        statusCode: 502,
+        message: 'AI generation service temporarily unavailable. Please try again in a few minutes.'
+    },
+    upstream_timeout: {
+        statusCode: 504,
+        message: 'The AI service took too long to answer. Please try again.'
+    },
+    upstream_rejected: {
+        statusCode: 502,
+        message: 'The AI service could not process this request. Please try again later.'
+    },
+    circuit_open: {
+        statusCode: 503,
+        message: 'AI generation is paused after repeated failures. Please try again in a minute.'
+    },
+    no_image: {
+        statusCode: 502,
+        message: 'The AI service did not return an image. Please try again or use different photos.'
+    },
+    safety_blocked: {
+        statusCode: 422,
+        message: 'The images were blocked by the safety filter. Please use different photos.'
+    },
+    generation_failed: {
+        statusCode: 502,
+        message: 'The generation failed on the AI service. Please try again.'
+    },
+    generation_timeout: {
+        statusCode: 504,
+        message: 'Processing took too long. Please try again with smaller images.'
+    },
+    upload_failed: {
+        statusCode: 502,
+        message: 'Error uploading images to processing service. Please try again.'
+    }
+};
+
+/**
+ * A failed upstream call
+ * `message` is the internal detail for logs; describeError() sends `publicMessage`.
+ */
+export class UpstreamError extends Error {
+    constructor(code, detail, { service = null, upstreamStatus = null, retryAfterMs = null } = {}) {
+        super(detail || code);
+        this.name = 'UpstreamError';
+        this.code = UPSTREAM_ERRORS[code] ? code : 'upstream_unavailable';
+        this.statusCode = UPSTREAM_ERRORS[this.code].statusCode;
+        this.publicMessage = UPSTREAM_ERRORS[this.code].message;
+        this.service = service;
+        this.upstreamStatus = upstreamStatus;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get retryable() {
+        return this.code === 'upstream_rate_limited' || this.code === 'upstream_unavailable' || this.code === 'upstream_timeout';
+    }
+}
+
+const circuits = new Map();
+
+function getCircuit(service) {
+    if (!circuits.has(service)) {
+        circuits.set(service, { failures: 0, openedAt: null });
+    }
+    return circuits.get(service);
+}
+
+/**
+ * Throws while the service's circuit is open
+ * After the cooldown calls go through again; one more failure re-opens it at once.
+ */
+export function assertCircuitClosed(service) {
+    const circuit = getCircuit(service);
+    if (circuit.openedAt && Date.now() - circuit.openedAt < CIRCUIT_COOLDOWN) {
+        const retryAfterMs = CIRCUIT_COOLDOWN - (Date.now() - circuit.openedAt);
+        throw new UpstreamError('circuit_open', `Circuit open for ${service}`, { service, retryAfterMs });
+    }
+}
+
+function recordSuccess(service) {
+    const circuit = getCircuit(service);
+    circuit.failures = 0;
+    circuit.openedAt = null;
+}
+
+function recordFailure(service, log) {
+    const circuit = getCircuit(service);
+    circuit.failures++;
+    if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+        if (!circuit.openedAt || Date.now() - circuit.openedAt >= CIRCUIT_COOLDOWN) {
+            circuitTrips.inc({ service });
+            log.error('Circuit opened', { failures: circuit.failures, cooldownMs: CIRCUIT_COOLDOWN });
+        }
+        circuit.openedAt = Date.now();
+    }
+}
+
+/**
+ * Retry-After in ms - accepts delta-seconds or an HTTP date
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function toUpstreamError(service, response) {
+    const text = await response.text().catch(() => '');
+    const detail = `${service} answered ${response.status}${text ? `: ${text.slice(0, 500)}` : ''}`;
+    const options = { service, upstreamStatus: response.status, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) };
+
+    if (response.status === 429) return new UpstreamError('upstream_rate_limited', detail, options);
+    if (response.status === 408 || response.status === 504) return new UpstreamError('upstream_timeout', detail, options);
+    if (response.status >= 500) return new UpstreamError('upstream_unavailable', detail, options);
+    return new UpstreamError('upstream_rejected', detail, options);
+}
+
+function networkError(service, error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        return new UpstreamError('upstream_timeout', `${service} timed out`, { service });
+    }
+    return new UpstreamError('upstream_unavailable', `${service} unreachable: ${error.message}`, { service });
+}
+
+/**
+ * fetch() with retries and the circuit breaker - resolves to an ok Response
+ * `service` names the circuit (e.g. 'gemini'); `timeout` bounds each attempt and
+ * `deadline` (a timestamp) the whole call - no attempt or backoff runs past it.
+ */
+export async function upstreamFetch(service, url, init = {}, { attempts = UPSTREAM_MAX_ATTEMPTS, timeout = null, deadline = null, requestId = null } = {}) {
+    const log = createLogger({ requestId, service, stage: 'upstream' });
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        assertCircuitClosed(service);
+
+        const remaining = deadline ? deadline - Date.now() : Infinity;
+        if (remaining <= 0) {
+            lastError = new UpstreamError('generation_timeout', `Deadline reached before ${service} answered`, { service });
+            break;
+        }
+        const limit = Math.min(timeout || Infinity, remaining);
+
+        try {
+            const response = await fetch(url, Number.isFinite(limit) ? { ...init, signal: AbortSignal.timeout(limit) } : init);
+            if (response.ok) {
+                recordSuccess(service);
+                return response;
+            }
+            lastError = await toUpstreamError(service, response);
+        } catch (error) {
+            lastError = networkError(service, error);
+        }
+
+        // A request the service refuses will be refused again
+        if (!lastError.retryable) break;
+
+        const backoff = UPSTREAM_BASE_DELAY * 2 ** (attempt - 1);
+        const delay = lastError.retryAfterMs ?? backoff + Math.random() * backoff / 2;
+        if (attempt === attempts || delay > UPSTREAM_MAX_DELAY) break;
+        if (deadline && Date.now() + delay >= deadline) break;
+
+        upstreamRetries.inc({ service, code: lastError.code });
+        log.warn('Upstream call failed, retrying', { attempt, code: lastError.code, status: lastError.upstreamStatus, delayMs: Math.round(delay) });
+        await wait(delay);
+    }
+
+    if (lastError.retryable) {
+        recordFailure(service, log);
+    }
+    throw lastError;
+}
+
+/**
+ * Reject with generation_timeout once `deadline` passes, whatever `promise` is still waiting on
+ */
+export function withDeadline(promise, deadline) {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new UpstreamError('generation_timeout', 'Generation deadline reached')), Math.max(deadline - Date.now(), 0));
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,264 @@
+/**
+ * Signed webhook callbacks
+ * A caller may pass `callbackUrl` with a try-on request; once the job succeeds or
+ * fails we POST a JSON event there, signed with HMAC-SHA256:
+ *
+ *   X-Cameleon-Timestamp: <unix seconds>
+ *   X-Cameleon-Signature: sha256=<hex hmac of "<timestamp>.<raw body>">
+ *
+ * Deliveries are retried with exponential backoff until the caller's deadline, so
+ * they end within the function's maxDuration. Each one is recorded before its first
+ * attempt and dropped once delivered: those that still fail - or that the end of an
+ * invocation cut short - can be replayed from /api/webhooks/deliveries.
+ *
+ * Records live in the shared storage (lib/storage.js), where that separate function
+ * reads them; WEBHOOK_STORE_DIR keeps them in a local directory, WEBHOOK_STORE=memory
+ * in the instance (never in production).
+ */
+
+import crypto from 'crypto';
+import { assertPublicUrl, fetchPublic } from './network.js';
+import { LocalStorage, isProduction } from './storage.js';
+import { MemoryRecordStore, StorageRecordStore } from './record-store.js';
+import { getApiKeyStore, openWebhookSecret } from './api-keys.js';
+import { JOB_STATUS } from './jobs.js';
+import { createLogger } from './logger.js';
+
+const WEBHOOK_TIMEOUT = 10 * 1000; // 10 seconds per attempt
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const WEBHOOK_BASE_DELAY = 1000; // 1s, 2s, 4s, 8s... plus jitter
+
+// Delivery time when the caller sets no deadline - fits the shortest function that sends one (60 s)
+const WEBHOOK_DELIVERY_TIME = 30 * 1000;
+
+function createDefaultStore() {
+    if (process.env.WEBHOOK_STORE === 'memory') {
+        if (isProduction()) {
+            throw new Error('WEBHOOK_STORE=memory is per instance and cannot be used in production');
+        }
+        return new MemoryRecordStore();
+    }
+    if (process.env.WEBHOOK_STORE_DIR) {
+        return new StorageRecordStore({ prefix: 'deliveries', storage: new LocalStorage(process.env.WEBHOOK_STORE_DIR) });
+    }
+    return new StorageRecordStore({ prefix: 'deliveries' });
+}
+
+let store = null;
+
+export function getDeliveryStore() {
+    if (!store) {
+        store = createDefaultStore();
+    }
+    return store;
+}
+
+/**
+ * Swap the backing store (any record store - see lib/record-store.js)
+ */
+export function setDeliveryStore(customStore) {
+    store = customStore;
+}
+
+const DELIVERY_ID_PATTERN = /^dlv_[a-f0-9]{24}$/;
+
+export function isValidDeliveryId(id) {
+    return typeof id === 'string' && DELIVERY_ID_PATTERN.test(id);
+}
+
+function allowHttp() {
+    return process.env.WEBHOOK_ALLOW_HTTP === 'true';
+}
+
+/**
+ * Check a caller-supplied callback URL before accepting the request
+ */
+export function validateCallbackUrl(value) {
+    return assertPublicUrl(value, { label: 'callback URL', allowHttp: allowHttp() });
+}
+
+/**
+ * Secret used to sign events for a key - its own, else the deployment-wide WEBHOOK_SECRET
+ */
+export async function getWebhookSecret(keyId) {
+    if (keyId) {
+        const secret = openWebhookSecret(await getApiKeyStore().get(keyId));
+        if (secret) return secret;
+    }
+    return process.env.WEBHOOK_SECRET || null;
+}
+
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function toIso(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Event body for a finished job
+ * The event id is derived from the job so receivers can drop duplicates.
+ */
+export function buildJobEvent(job) {
+    const succeeded = job.status === JOB_STATUS.SUCCEEDED;
+    const { baseUrl = '', startedAt = null } = job.data || {};
+
+    const data = {
+        requestId: job.requestId,
+        jobId: job.id,
+        route: job.route,
+        status: job.status,
+        timings: {
+            createdAt: toIso(job.createdAt),
+            startedAt: toIso(startedAt),
+            finishedAt: toIso(job.updatedAt),
+            durationMs: job.updatedAt - job.createdAt
+        }
+    };
+
+    if (succeeded && job.result) {
+        data.resultUrl = `${baseUrl}${job.result.imageUrl}`;
+        data.resultExpiresAt = toIso(job.result.expiresAt);
+        data.promptVersion = job.result.promptVersion;
+        data.detections = job.result.detections;
+        data.variants = job.result.variants?.map(variant => ({ variant: variant.variant, resultUrl: `${baseUrl}${variant.imageUrl}` }));
+    } else if (job.error) {
+        data.error = { category: job.error.category || 'internal', code: job.error.code || job.error.category || 'internal', message: job.error.message };
+    }
+
+    return {
+        id: `evt_${job.id.slice(4)}`,
+        type: succeeded ? 'tryon.succeeded' : 'tryon.failed',
+        createdAt: new Date().toISOString(),
+        data
+    };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * POST a delivery once - resolves to { ok, status, error, retryable }
+ */
+async function attemptDelivery(delivery, secret, timeout) {
+    try {
+        // Checked again on every attempt, and fetchPublic checks the address it connects to:
+        // the host may have been re-pointed since it was accepted
+        await validateCallbackUrl(delivery.url);
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        const response = await fetchPublic(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Cameleon-Webhooks/1.0',
+                'X-Cameleon-Event': delivery.eventType,
+                'X-Cameleon-Delivery': delivery.id,
+                'X-Cameleon-Timestamp': String(timestamp),
+                'X-Cameleon-Signature': signPayload(secret, timestamp, delivery.body)
+            },
+            body: delivery.body,
+            signal: AbortSignal.timeout(timeout)
+        });
+
+        // Only the status matters
+        response.body?.cancel().catch(() => {});
+
+        if (response.ok) {
+            return { ok: true, status: response.status };
+        }
+
+        // Client errors other than throttling/timeouts will not fix themselves
+        const retryable = response.status >= 500 || response.status === 429 || response.status === 408;
+        return { ok: false, status: response.status, error: `HTTP ${response.status}`, retryable };
+
+    } catch (error) {
+        return { ok: false, status: null, error: error.message, retryable: error.name !== 'UnsafeUrlError' };
+    }
+}
+
+/**
+ * Deliver with retries until `deadline` (a timestamp); a delivery that does not succeed is kept for replay
+ */
+export async function deliverWebhook(delivery, { deadline = Date.now() + WEBHOOK_DELIVERY_TIME } = {}) {
+    const log = createLogger({ requestId: delivery.requestId, stage: 'webhook', deliveryId: delivery.id });
+    const secret = await getWebhookSecret(delivery.keyId);
+    if (!secret) {
+        log.error('No webhook secret, not sending');
+        return false;
+    }
+
+    // Kept from the start: if the invocation ends mid-delivery, the record is still there to replay
+    await getDeliveryStore().set(delivery.id, { ...delivery, status: 'sending' });
+
+    for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) break;
+
+        const outcome = await attemptDelivery(delivery, secret, Math.min(WEBHOOK_TIMEOUT, remaining));
+        delivery.attempts = (delivery.attempts || 0) + 1;
+        delivery.lastStatus = outcome.status;
+        delivery.lastAttemptAt = Date.now();
+
+        if (outcome.ok) {
+            log.info('Webhook delivered', { eventType: delivery.eventType, attempt });
+            await getDeliveryStore().delete(delivery.id);
+            return true;
+        }
+
+        delivery.lastError = outcome.error;
+        log.warn('Webhook attempt failed', { attempt, status: outcome.status, error: outcome.error });
+        if (!outcome.retryable || attempt === WEBHOOK_MAX_ATTEMPTS) break;
+
+        const backoff = WEBHOOK_BASE_DELAY * 2 ** (attempt - 1);
+        const delay = backoff + Math.random() * backoff / 2;
+        if (Date.now() + delay >= deadline) break;
+        await wait(delay);
+    }
+
+    log.error('Webhook failed, recorded for replay', { attempts: delivery.attempts });
+    await getDeliveryStore().set(delivery.id, { ...delivery, status: 'failed' });
+    return false;
+}
+
+/**
+ * Send the finished-job event if the caller registered a callback
+ * `deadline` bounds the delivery - see deliverWebhook.
+ */
+export async function sendJobWebhook(job, { deadline } = {}) {
+    const { callbackUrl, keyId = null } = job.data || {};
+    if (!callbackUrl) return;
+
+    const event = buildJobEvent(job);
+    try {
+        await deliverWebhook({
+            id: `dlv_${crypto.randomBytes(12).toString('hex')}`,
+            eventId: event.id,
+            eventType: event.type,
+            requestId: job.requestId,
+            url: callbackUrl,
+            keyId,
+            body: JSON.stringify(event),
+            attempts: 0,
+            createdAt: Date.now()
+        }, { deadline });
+    } catch (error) {
+        createLogger({ requestId: job.requestId, stage: 'webhook' }).error('Webhook error', { error: error.message });
+    }
+}
+
+export async function listFailedDeliveries() {
+    const deliveries = await getDeliveryStore().list();
+    return deliveries.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Send a recorded delivery again (same event body, fresh timestamp and signature)
+ */
+export async function replayDelivery(id) {
+    const delivery = await getDeliveryStore().get(id);
+    if (!delivery) return null;
+    return deliverWebhook(delivery);
+}
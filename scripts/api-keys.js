@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Partner API key management
+ * Writes hashed key records to the shared storage the deployment reads (run it with the
+ * same STORAGE_DRIVER/S3_* and API_KEYS_SECRET settings), or to API_KEYS_DIR.
+ *
+ *   npm run keys -- create --name "Shop" --origins https://shop.example --daily 200 --monthly 5000
+ *   npm run keys -- list
+ *   npm run keys -- update <id> --swap-types "Upper Body,Lower Body" --rate 20/60 --variants 2
+ *   npm run keys -- update <id> --watermark on|off|default
+ *   npm run keys -- rotate-webhook-secret <id>
+ *   npm run keys -- disable <id> | enable <id> | delete <id>
+ */
+
+import { parseArgs } from 'util';
+import { createApiKey, updateApiKey, rotateWebhookSecret, deleteApiKey, listApiKeys } from '../lib/api-keys.js';
+
+const OPTIONS = {
+    name: { type: 'string' },
+    origins: { type: 'string' },
+    'swap-types': { type: 'string' },
+    daily: { type: 'string' },
+    monthly: { type: 'string' },
+    rate: { type: 'string' },
+    variants: { type: 'string' },
+    watermark: { type: 'string' }
+};
+
+function splitList(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// "20/60" -> 20 requests per 60 seconds
+function parseRate(value) {
+    const [limit, seconds] = value.split('/').map(Number);
+    if (!(limit > 0 && seconds > 0)) {
+        throw new Error(`Invalid rate "${value}", expected <requests>/<seconds>`);
+    }
+    return { limit, windowMs: seconds * 1000 };
+}
+
+function parseQuota(value) {
+    const quota = Number(value);
+    if (!Number.isInteger(quota) || quota < 0) {
+        throw new Error(`Invalid quota "${value}"`);
+    }
+    // 0 removes the quota
+    return quota || null;
+}
+
+// 0 falls back to the deployment default (MAX_VARIANTS)
+function parseVariants(value) {
+    const variants = Number(value);
+    if (!Number.isInteger(variants) || variants < 0) {
+        throw new Error(`Invalid variants "${value}"`);
+    }
+    return variants || null;
+}
+
+// "default" follows the deployment (RESULT_WATERMARK)
+const WATERMARK_VALUES = { on: true, off: false, default: null };
+
+function parseWatermark(value) {
+    if (!(value in WATERMARK_VALUES)) {
+        throw new Error(`Invalid watermark "${value}", expected on, off or default`);
+    }
+    return WATERMARK_VALUES[value];
+}
+
+function buildPatch(values, current = {}) {
+    const patch = {};
+    if (values.name !== undefined) patch.name = values.name;
+    if (values.origins !== undefined) patch.allowedOrigins = splitList(values.origins);
+    if (values['swap-types'] !== undefined) patch.allowedSwapTypes = splitList(values['swap-types']);
+    if (values.rate !== undefined) patch.rateLimit = values.rate ? parseRate(values.rate) : null;
+    if (values.variants !== undefined) patch.maxVariants = parseVariants(values.variants);
+    if (values.watermark !== undefined) patch.watermark = parseWatermark(values.watermark);
+    if (values.daily !== undefined || values.monthly !== undefined) {
+        patch.quotas = {
+            daily: values.daily !== undefined ? parseQuota(values.daily) : current.quotas?.daily || null,
+            monthly: values.monthly !== undefined ? parseQuota(values.monthly) : current.quotas?.monthly || null
+        };
+    }
+    return patch;
+}
+
+function describe(record) {
+    const quotas = `${record.quotas?.daily || '∞'}/day, ${record.quotas?.monthly || '∞'}/month`;
+    const rate = record.rateLimit ? `${record.rateLimit.limit}/${record.rateLimit.windowMs / 1000}s` : 'route default';
+    const watermark = typeof record.watermark === 'boolean' ? (record.watermark ? 'on' : 'off') : 'default';
+    return [
+        `${record.enabled ? '🟢' : '🔴'} ${record.id}  ${record.name}`,
+        `   origins: ${record.allowedOrigins.join(', ') || '(server-to-server only)'}`,
+        `   swap types: ${record.allowedSwapTypes.join(', ') || 'all'}`,
+        `   quotas: ${quotas} · rate: ${rate} · variants: ${record.maxVariants || 'default'} · watermark: ${watermark}`
+    ].join('\n');
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    const [command, id] = positionals;
+
+    switch (command) {
+        case 'create': {
+            if (!values.name) throw new Error('--name is required');
+            const patch = buildPatch(values);
+            const { key, record, webhookSecret } = await createApiKey({ ...patch, quotas: patch.quotas || {} });
+            console.log(describe(record));
+            console.log(`\n🔑 ${key}\n   Store it now - it cannot be shown again.`);
+            console.log(`\n🪝 Webhook signing secret: ${webhookSecret}`);
+            console.log(`\n🧩 Widget key (data-cameleon-key): ${record.id} - public, works only on the origins listed by name`);
+            break;
+        }
+        case 'rotate-webhook-secret': {
+            if (!id) throw new Error('Usage: rotate-webhook-secret <id>');
+            const secret = await rotateWebhookSecret(id);
+            if (!secret) throw new Error(`Unknown key ${id}`);
+            console.log(`🪝 New webhook signing secret for ${id}: ${secret}`);
+            break;
+        }
+        case 'list': {
+            const records = await listApiKeys();
+            console.log(records.length ? records.map(describe).join('\n\n') : 'No API keys.');
+            break;
+        }
+        case 'update':
+        case 'enable':
+        case 'disable': {
+            if (!id) throw new Error(`Usage: ${command} <id>`);
+            const current = (await listApiKeys()).find(record => record.id === id);
+            if (!current) throw new Error(`Unknown key ${id}`);
+            const patch = command === 'update' ? buildPatch(values, current) : { enabled: command === 'enable' };
+            console.log(describe(await updateApiKey(id, patch)));
+            break;
+        }
+        case 'delete': {
+            if (!id) throw new Error('Usage: delete <id>');
+            await deleteApiKey(id);
+            console.log(`🗑️ Deleted ${id}`);
+            break;
+        }
+        default:
+            throw new Error('Commands: create, list, update, rotate-webhook-secret, enable, disable, delete');
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,213 @@
+/**
+ * Cameleon try-on widget - a "Try it on" button for partner product pages
+ *
+ *   <script src="https://<cameleon host>/widget.js" async data-cameleon-key="<key id>"
+ *           data-cameleon-accent="#a855f7"></script>
+ *
+ *   <button data-cameleon-tryon
+ *           data-cameleon-product-image="https://cdn.shop.example/products/shirt.jpg"
+ *           data-cameleon-swap-type="Upper-Body"
+ *           data-cameleon-product-id="shirt-042">Try it on</button>
+ *
+ * A click opens the try-on flow (widget.html) in a modal iframe, with the product already
+ * filled in. The flow runs on /api/generate like the app itself, billed to the partner key.
+ *
+ * data-cameleon-key is the key's publishable id (shown by `npm run keys`), never the
+ * secret key. The page's origin must be one the key lists by name: the widget asks
+ * POST /api/widget/session for a session from the page, the browser reports the origin,
+ * and the session is handed to the iframe - see api/widget/session.js.
+ *
+ * Button attributes:
+ * - data-cameleon-product-image: the product photo, downloaded by the server - its host
+ *   must be listed in GARMENT_URL_HOSTS
+ * - data-cameleon-sku: a product of the catalog feed, instead of the photo
+ * - data-cameleon-swap-type: the try-on type (Upper-Body, Dress, Shoes...); the catalog's
+ *   or the service default otherwise
+ * - data-cameleon-product-id: the shop's own id, echoed in every event
+ * - data-cameleon-key: another publishable key than the script tag's
+ *
+ * Theme and language, on the script tag and overridable per button: data-cameleon-accent,
+ * data-cameleon-background, data-cameleon-text (#rgb or #rrggbb colors),
+ * data-cameleon-radius (corner radius in px) and data-cameleon-locale (it, en, fr, de, es;
+ * the page's lang otherwise).
+ *
+ * Events - posted from the Cameleon origin to the host window, on the origin the session was issued to:
+ *
+ *   { source: 'cameleon-widget', version: 1, type, productId, ...fields }
+ *
+ *   opened          the try-on flow is on screen
+ *   generated       a try-on is ready - resultId, imageUrl (signed link), expiresAt
+ *   downloaded      the shopper saved the image - resultId
+ *   add-to-cart     the shopper wants to buy the product they tried on - resultId
+ *   error           a try-on failed - code, message
+ *   closed          the modal was closed
+ *
+ *   window.addEventListener('message', event => {
+ *       if (event.origin !== 'https://<cameleon host>' || event.data?.source !== 'cameleon-widget') return;
+ *       if (event.data.type === 'add-to-cart') addToCart(event.data.productId);
+ *   });
+ *
+ * Script API: Cameleon.open({ productImage, sku, swapType, productId, locale, theme, key })
+ * and Cameleon.close(); buttons added after the page loaded work as well.
+ */
+(function () {
+    'use strict';
+
+    if (window.Cameleon) return;
+
+    const script = document.currentScript;
+    const BASE_URL = new URL('.', script ? script.src : window.location.href);
+    const MESSAGE_SOURCE = 'cameleon-widget';
+
+    const THEME_ATTRIBUTES = {
+        accent: 'cameleonAccent',
+        background: 'cameleonBackground',
+        text: 'cameleonText',
+        radius: 'cameleonRadius'
+    };
+
+    const defaults = script ? script.dataset : {};
+    let modal = null;
+    let opening = 0;
+
+    // One session per key serves every open until shortly before it expires
+    const sessions = new Map();
+    const SESSION_MARGIN = 60 * 1000;
+
+    async function widgetSession(key) {
+        if (!key) throw new Error('data-cameleon-key is missing');
+        const cached = sessions.get(key);
+        if (cached && cached.expiresAt - SESSION_MARGIN > Date.now()) return cached.token;
+
+        const response = await fetch(new URL('api/widget/session', BASE_URL), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.token) {
+            throw new Error(data.message || `HTTP ${response.status}`);
+        }
+        sessions.set(key, { token: data.token, expiresAt: data.expiresAt });
+        return data.token;
+    }
+
+    function themeFrom(dataset) {
+        const theme = {};
+        for (const [name, attribute] of Object.entries(THEME_ATTRIBUTES)) {
+            if (dataset[attribute]) theme[name] = dataset[attribute];
+        }
+        return theme;
+    }
+
+    // Everything the flow needs travels in the iframe URL; widget.html checks each value.
+    // The session goes in the fragment, which is never sent to a server
+    function flowUrl(options, token) {
+        const url = new URL('widget.html', BASE_URL);
+        const params = {
+            productImage: options.productImage,
+            sku: options.sku,
+            swapType: options.swapType,
+            productId: options.productId,
+            locale: options.locale || defaults.cameleonLocale || document.documentElement.lang,
+            ...themeFrom(defaults),
+            ...options.theme
+        };
+        for (const [name, value] of Object.entries(params)) {
+            if (value) url.searchParams.set(name, value);
+        }
+        if (token) {
+            url.hash = new URLSearchParams({ session: token }).toString();
+        }
+        return url.href;
+    }
+
+    function buildModal(src, radius) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;display:flex;align-items:center;'
+            + 'justify-content:center;background:rgba(0,0,0,0.6);';
+
+        const frame = document.createElement('iframe');
+        frame.src = src;
+        frame.title = 'Cameleon';
+        frame.allow = 'clipboard-write';
+        frame.style.cssText = 'width:min(440px,100vw);height:min(760px,100vh);border:0;'
+            + `border-radius:${Number(radius) >= 0 ? Number(radius) : 16}px;background:#2e1a47;`
+            + 'box-shadow:0 20px 60px rgba(0,0,0,0.4);';
+
+        overlay.appendChild(frame);
+        overlay.addEventListener('click', event => {
+            if (event.target === overlay) close();
+        });
+        return { overlay, frame, ready: false, previousOverflow: document.body.style.overflow };
+    }
+
+    function teardown() {
+        if (!modal) return;
+        modal.overlay.remove();
+        document.body.style.overflow = modal.previousOverflow;
+        document.removeEventListener('keydown', onKeydown);
+        modal = null;
+    }
+
+    function onKeydown(event) {
+        if (event.key === 'Escape') close();
+    }
+
+    // Without a session the flow still opens, to tell the shopper it is unavailable
+    async function open(options = {}) {
+        const attempt = ++opening;
+        let token = null;
+        try {
+            token = await widgetSession(options.key || defaults.cameleonKey);
+        } catch (error) {
+            console.error('Cameleon: no widget session -', error.message);
+        }
+        // A later open() or close() wins
+        if (attempt !== opening) return;
+
+        teardown();
+        const theme = { ...themeFrom(defaults), ...options.theme };
+        modal = buildModal(flowUrl(options, token), theme.radius);
+        document.body.appendChild(modal.overlay);
+        document.body.style.overflow = 'hidden';
+        document.addEventListener('keydown', onKeydown);
+    }
+
+    // The flow closes itself, so the host gets its "closed" event; before it loaded there is nothing to close
+    function close() {
+        opening++;
+        if (!modal) return;
+        if (!modal.ready) {
+            teardown();
+            return;
+        }
+        modal.frame.contentWindow.postMessage({ source: MESSAGE_SOURCE, type: 'close' }, BASE_URL.origin);
+    }
+
+    window.addEventListener('message', event => {
+        if (!modal || event.source !== modal.frame.contentWindow || event.origin !== BASE_URL.origin) return;
+        if (event.data?.source !== MESSAGE_SOURCE) return;
+
+        if (event.data.type === 'opened') modal.ready = true;
+        if (event.data.type === 'closed') teardown();
+    });
+
+    document.addEventListener('click', event => {
+        const button = event.target.closest?.('[data-cameleon-tryon]');
+        if (!button) return;
+        event.preventDefault();
+        const data = button.dataset;
+        open({
+            productImage: data.cameleonProductImage,
+            sku: data.cameleonSku,
+            swapType: data.cameleonSwapType,
+            productId: data.cameleonProductId,
+            locale: data.cameleonLocale,
+            key: data.cameleonKey,
+            theme: themeFrom(data)
+        });
+    });
+
+    window.Cameleon = { open, close };
+})();